@@ -0,0 +1,36 @@
+const store = require("../store");
+
+// entryId -> { connectionId -> { userId, connectionId, position, timestamp } }
+// Kept in the shared store so every instance sees every cursor
+const CURSOR_TTL = 10 * 60 * 1000; // drop cursors of connections that vanished
+
+const namespace = (entryId) => `cursors:${entryId}`;
+
+module.exports = {
+  set(entryId, connectionId, cursor) {
+    return store.set(namespace(entryId), connectionId, cursor, CURSOR_TTL);
+  },
+
+  /**
+   * @returns {Promise<boolean>} Whether the connection had a cursor
+   */
+  remove(entryId, connectionId) {
+    return store.delete(namespace(entryId), connectionId);
+  },
+
+  async list(entryId) {
+    return Object.values(await store.getAll(namespace(entryId)));
+  },
+
+  /**
+   * Drop every cursor a user owns in an entry, across all their connections
+   * @returns {Promise<string[]>} The connection ids that were cleared
+   */
+  async removeUser(entryId, userId) {
+    const cursors = await store.getAll(namespace(entryId));
+    const connectionIds = Object.keys(cursors).filter((id) => cursors[id].userId === userId);
+
+    await Promise.all(connectionIds.map((id) => store.delete(namespace(entryId), id)));
+    return connectionIds;
+  },
+};
@@ -0,0 +1,99 @@
+const OT = require("../utils/operationalTransform");
+
+// entryId -> {
+//   content, revision, savedRevision,
+//   history: [{ revision, userId, operation, opId, timestamp }],  // for transforms
+//   unsaved: [...same records not yet written to entry_revisions]
+//   anchors: Map(commentId -> { start, end }),  // comment ranges, kept in step with edits
+//   movedAnchors: Set(commentId)                // anchors not yet written to entry_comments
+// }
+const documentCache = new Map();
+
+// Number of sequenced operations kept per entry for transforming late edits
+const MAX_HISTORY = 500;
+
+module.exports = {
+  MAX_HISTORY,
+
+  get(entryId) {
+    return documentCache.get(entryId);
+  },
+
+  set(entryId, doc) {
+    documentCache.set(entryId, doc);
+  },
+
+  remove(entryId) {
+    documentCache.delete(entryId);
+  },
+
+  has(entryId) {
+    return documentCache.has(entryId);
+  },
+
+  keys() {
+    return [...documentCache.keys()];
+  },
+
+  /**
+   * Operations sequenced after `revision`, oldest first.
+   * Returns null when the revision is older than the retained history.
+   */
+  historySince(entryId, revision) {
+    const doc = documentCache.get(entryId);
+    if (!doc) return null;
+
+    const missing = doc.revision - revision;
+    if (missing < 0 || missing > doc.history.length) return null;
+
+    return doc.history.slice(doc.history.length - missing);
+  },
+
+  /**
+   * Sequence an operation. `opId` is the client's id for it, kept so a
+   * replayed operation can be recognised instead of applied twice.
+   */
+  pushRevision(entryId, userId, operation, content, opId = null) {
+    const doc = documentCache.get(entryId);
+    if (!doc) return null;
+
+    doc.revision += 1;
+    doc.content = content;
+
+    // Keep comments attached to the passage they were made on
+    for (const [commentId, range] of doc.anchors) {
+      const moved = OT.transformRange(range, operation);
+      if (moved.start === range.start && moved.end === range.end) continue;
+      doc.anchors.set(commentId, moved);
+      doc.movedAnchors.add(commentId);
+    }
+
+    const record = { revision: doc.revision, userId, operation, opId, timestamp: Date.now() };
+    doc.history.push(record);
+    doc.unsaved.push(record);
+
+    if (doc.history.length > MAX_HISTORY) {
+      doc.history.splice(0, doc.history.length - MAX_HISTORY);
+    }
+
+    return doc.revision;
+  },
+
+  /**
+   * Track a comment's range. `moved` marks it as differing from the
+   * range stored in entry_comments so the next flush writes it.
+   */
+  setAnchor(entryId, commentId, range, moved = false) {
+    const doc = documentCache.get(entryId);
+    if (!doc) return;
+    doc.anchors.set(commentId, { start: range.start, end: range.end });
+    if (moved) doc.movedAnchors.add(commentId);
+  },
+
+  removeAnchor(entryId, commentId) {
+    const doc = documentCache.get(entryId);
+    if (!doc) return;
+    doc.anchors.delete(commentId);
+    doc.movedAnchors.delete(commentId);
+  },
+};
@@ -1,29 +1,49 @@
-// userId -> { online: [], offline: [] }
-const friendsCache = new Map();
+const store = require("../store");
+
+// userId -> { friendId -> isOnline }, kept in the shared store so a
+// status change seen by one instance is visible to all of them
+const namespace = (userId) => `friends:${userId}`;
 
 module.exports = {
-  get(userId) {
-    return friendsCache.get(userId);
+  /**
+   * @returns {Promise<{ onlineFriends: string[], offlineFriends: string[] }|null>}
+   */
+  async get(userId) {
+    const friends = await store.getAll(namespace(userId));
+    const ids = Object.keys(friends);
+    if (ids.length === 0) return null;
+
+    return {
+      onlineFriends: ids.filter((id) => friends[id]),
+      offlineFriends: ids.filter((id) => !friends[id]),
+    };
   },
 
-  set(userId, data) {
-    friendsCache.set(userId, data);
+  async set(userId, { onlineFriends, offlineFriends }) {
+    await store.clear(namespace(userId));
+    await Promise.all([
+      ...onlineFriends.map((id) => store.set(namespace(userId), id, true)),
+      ...offlineFriends.map((id) => store.set(namespace(userId), id, false)),
+    ]);
   },
 
   remove(userId) {
-    friendsCache.delete(userId);
+    return store.clear(namespace(userId));
+  },
+
+  async updateStatus(userId, friendId, isOnline) {
+    // Only touch lists that are already cached
+    if ((await store.get(namespace(userId), friendId)) === undefined) return;
+    await store.set(namespace(userId), friendId, isOnline);
   },
 
-  updateStatus(userId, friendId, isOnline) {
-    const cache = friendsCache.get(userId);
-    if (!cache) return;
-
-    if (isOnline) {
-      cache.offline = cache.offline.filter(id => id !== friendId);
-      if (!cache.online.includes(friendId)) cache.online.push(friendId);
-    } else {
-      cache.online = cache.online.filter(id => id !== friendId);
-      if (!cache.offline.includes(friendId)) cache.offline.push(friendId);
-    }
-  }
+  async addFriend(userId, friendId, isOnline) {
+    // A partial list would hide the rest of the user's friends
+    if ((await store.count(namespace(userId))) === 0) return;
+    await store.set(namespace(userId), friendId, isOnline);
+  },
+
+  removeFriend(userId, friendId) {
+    return store.delete(namespace(userId), friendId);
+  },
 };
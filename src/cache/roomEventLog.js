@@ -0,0 +1,85 @@
+const crypto = require("crypto");
+const config = require("../config");
+
+// entryId -> {
+//   epoch,                      // new for every log; seqs only compare within one
+//   seq,                        // last sequence number handed out
+//   events: [{ seq, event, payload, timestamp }]   // oldest first
+// }
+// Per instance, like documentCache: a client that resumes on another
+// instance sees a different epoch and falls back to a state resync.
+const roomEventLogs = new Map();
+
+// Events kept per entry, and how long they stay replayable
+const MAX_EVENTS = 500;
+const REPLAY_WINDOW = config.collaboration.replayWindow;
+
+module.exports = {
+  MAX_EVENTS,
+  REPLAY_WINDOW,
+
+  /**
+   * Number an event broadcast to an entry room and keep it for replay.
+   * @returns {object} The payload with `seq` and `epoch` added; emit this
+   */
+  record(entryId, event, payload) {
+    let log = roomEventLogs.get(entryId);
+    if (!log) {
+      log = { epoch: crypto.randomUUID(), seq: 0, events: [] };
+      roomEventLogs.set(entryId, log);
+    }
+
+    log.seq += 1;
+    const logged = { ...payload, seq: log.seq, epoch: log.epoch };
+    log.events.push({ seq: log.seq, event, payload: logged, timestamp: Date.now() });
+
+    if (log.events.length > MAX_EVENTS) {
+      log.events.splice(0, log.events.length - MAX_EVENTS);
+    }
+
+    return logged;
+  },
+
+  /**
+   * Events after `seq` in the given epoch, oldest first.
+   * Returns null when they can no longer all be replayed.
+   */
+  since(entryId, epoch, seq) {
+    const log = roomEventLogs.get(entryId);
+    if (!log || log.epoch !== epoch || !Number.isInteger(seq) || seq > log.seq) return null;
+    if (seq === log.seq) return [];
+
+    const first = log.events.length ? log.events[0].seq : log.seq + 1;
+    if (seq < first - 1) return null;
+
+    return log.events.filter((e) => e.seq > seq);
+  },
+
+  /**
+   * Where the log currently stands, for clients starting to follow it
+   */
+  position(entryId) {
+    const log = roomEventLogs.get(entryId);
+    return log ? { epoch: log.epoch, seq: log.seq } : { epoch: null, seq: 0 };
+  },
+
+  /**
+   * Drop events older than the replay window, and logs left empty
+   * @returns {number} Events removed
+   */
+  prune(now = Date.now()) {
+    let removed = 0;
+
+    for (const [entryId, log] of roomEventLogs.entries()) {
+      const keep = log.events.findIndex((e) => now - e.timestamp <= REPLAY_WINDOW);
+      const drop = keep === -1 ? log.events.length : keep;
+
+      log.events.splice(0, drop);
+      removed += drop;
+
+      if (log.events.length === 0) roomEventLogs.delete(entryId);
+    }
+
+    return removed;
+  },
+};
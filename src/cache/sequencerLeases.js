@@ -0,0 +1,48 @@
+const config = require("../config");
+const store = require("../store");
+
+// entryId -> the instance sequencing its edits (its Socket.IO adapter's uid)
+// Kept in the shared store: each instance sequences edits in its own
+// document cache, so two of them sequencing one entry would hand out the
+// same revisions. Only the lease holder may; it lets go when it drops the
+// document, and a lease nobody renews lapses after
+// config.collaboration.sequencerLease.
+const NAMESPACE = "sequencers";
+
+const instanceOf = (io) => io.of("/").adapter.uid;
+
+// `${instance}:${entryId}` -> when this process last saw the lease run out
+const held = new Map();
+
+module.exports = {
+  /**
+   * Take (or keep) the lease on sequencing the entry's edits for the
+   * instance. Renewed once half of it has passed.
+   * @returns {Promise<{ held: boolean, continued: boolean }>} Whether the
+   *   instance holds it, and whether it held it all along (if not, another
+   *   instance may have sequenced edits in between)
+   */
+  async acquire(io, entryId) {
+    const id = `${instanceOf(io)}:${entryId}`;
+    const ttl = config.collaboration.sequencerLease;
+    const until = held.get(id);
+    const now = Date.now();
+
+    if (until && until - now > ttl / 2) return { held: true, continued: true };
+    if (!(await store.acquire(NAMESPACE, entryId, instanceOf(io), ttl))) {
+      held.delete(id);
+      return { held: false, continued: false };
+    }
+
+    held.set(id, now + ttl);
+    return { held: true, continued: Boolean(until) && until > now };
+  },
+
+  /**
+   * @returns {Promise<boolean>} Whether the instance held the lease
+   */
+  release(io, entryId) {
+    held.delete(`${instanceOf(io)}:${entryId}`);
+    return store.release(NAMESPACE, entryId, instanceOf(io));
+  },
+};
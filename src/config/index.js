@@ -0,0 +1,9 @@
+const { loadConfig } = require("./load");
+
+// Settings for the whole server, read once at startup from the environment
+// (and .env), plus an optional JSON file named by CONFIG_FILE. An invalid
+// or incomplete configuration stops the process here, before anything
+// listens. See src/config/load.js for every setting and its default.
+require("dotenv").config();
+
+module.exports = loadConfig();
@@ -0,0 +1,367 @@
+const fs = require("fs");
+const path = require("path");
+
+// ============================================
+// Readers
+// ============================================
+// Each setting comes from an environment variable, else the config file
+// (CONFIG_FILE, JSON shaped like the config below), else its default.
+// Problems are collected so startup can report all of them at once.
+
+function createReader(env, file) {
+  const problems = [];
+
+  // "db.pool.max" -> file.db.pool.max
+  const fromFile = (key) =>
+    key.split(".").reduce((node, part) => (node == null ? undefined : node[part]), file);
+
+  function raw(name, key) {
+    if (env[name] !== undefined && env[name] !== "") return { value: env[name], source: name };
+    const value = fromFile(key);
+    if (value !== undefined && value !== null) return { value, source: `${key} (config file)` };
+    return null;
+  }
+
+  return {
+    problems,
+
+    string(name, key, fallback = null) {
+      const found = raw(name, key);
+      if (!found) return fallback;
+      if (typeof found.value !== "string") {
+        problems.push(`${found.source} must be a string`);
+        return fallback;
+      }
+      return found.value;
+    },
+
+    oneOf(name, key, values, fallback) {
+      const value = this.string(name, key, fallback);
+      if (!values.includes(value)) {
+        problems.push(`${name} must be one of ${values.join(", ")} (got "${value}")`);
+        return fallback;
+      }
+      return value;
+    },
+
+    integer(name, key, fallback, { min = 0 } = {}) {
+      const found = raw(name, key);
+      if (!found) return fallback;
+
+      const value = typeof found.value === "string" ? Number(found.value) : found.value;
+      if (!Number.isInteger(value) || value < min) {
+        problems.push(`${found.source} must be an integer of at least ${min}`);
+        return fallback;
+      }
+      return value;
+    },
+
+    boolean(name, key, fallback = false) {
+      const found = raw(name, key);
+      if (!found) return fallback;
+      if (found.value === true || found.value === "true") return true;
+      if (found.value === false || found.value === "false") return false;
+
+      problems.push(`${found.source} must be true or false`);
+      return fallback;
+    },
+
+    // "a, b" or ["a", "b"] -> ["a", "b"]
+    list(name, key) {
+      const found = raw(name, key);
+      if (!found) return [];
+
+      const items = Array.isArray(found.value) ? found.value : String(found.value).split(",");
+      return items.map((item) => String(item).trim()).filter(Boolean);
+    },
+
+    // "collaboration=debug,db=warn" or { collaboration: "debug" } -> { collaboration: "debug" }
+    map(name, key) {
+      const found = raw(name, key);
+      if (!found) return {};
+      if (typeof found.value === "object") return { ...found.value };
+
+      return Object.fromEntries(
+        found.value
+          .split(",")
+          .map((pair) => pair.split("=").map((part) => part.trim()))
+          .filter(([k, v]) => k && v)
+      );
+    },
+
+    // "edits=20/10" or { edits: { capacity: 20, refillPerSec: 10 } }
+    buckets(name, key) {
+      return Object.fromEntries(
+        Object.entries(this.map(name, key)).flatMap(([eventClass, bucket]) => {
+          const [capacity, refillPerSec] =
+            typeof bucket === "string"
+              ? bucket.split("/").map(Number)
+              : [bucket.capacity, bucket.refillPerSec];
+
+          if (!(capacity > 0) || !(refillPerSec > 0)) {
+            problems.push(`${name} "${eventClass}" must be capacity/refillPerSec`);
+            return [];
+          }
+          return [[eventClass, { capacity, refillPerSec }]];
+        })
+      );
+    },
+  };
+}
+
+function readFile(configFile) {
+  if (!configFile) return {};
+
+  try {
+    return JSON.parse(fs.readFileSync(path.resolve(configFile), "utf8"));
+  } catch (err) {
+    throw new Error(`Could not read CONFIG_FILE ${configFile}: ${err.message}`);
+  }
+}
+
+// ============================================
+// Secrets
+// ============================================
+// Placeholder values that must never sign production tokens
+const WEAK_SECRETS = new Set(["secret", "changeme", "change-me", "jwt_secret", "password"]);
+const MIN_SECRET_LENGTH = 32;
+
+function checkSecrets(config, problems) {
+  const { jwtSecret } = config.auth;
+
+  if (!jwtSecret) {
+    problems.push("JWT_SECRET is required");
+  } else if (config.isProduction) {
+    if (WEAK_SECRETS.has(jwtSecret.toLowerCase())) {
+      problems.push("JWT_SECRET is a placeholder value; refusing to start in production");
+    } else if (jwtSecret.length < MIN_SECRET_LENGTH) {
+      problems.push(`JWT_SECRET must be at least ${MIN_SECRET_LENGTH} characters in production`);
+    }
+  }
+
+  if (config.isProduction && !config.db.url && !config.db.password) {
+    problems.push("DATABASE_URL or DB_PASSWORD is required in production");
+  }
+}
+
+// ============================================
+// Loading
+// ============================================
+const LOG_LEVELS = ["debug", "info", "warn", "error", "silent"];
+const STORE_DRIVERS = ["memory", "postgres"];
+
+/**
+ * Read, type-check and validate the configuration
+ * @param {object} [options]
+ * @param {object} [options.env] - Environment variables (defaults to process.env)
+ * @param {string} [options.file] - JSON config file (defaults to CONFIG_FILE)
+ * @returns {object} Frozen config
+ * @throws {Error} Listing every invalid or missing setting
+ */
+function loadConfig({ env = process.env, file = env.CONFIG_FILE } = {}) {
+  const read = createReader(env, readFile(file));
+  const nodeEnv = read.string("NODE_ENV", "env", "development");
+
+  const config = {
+    env: nodeEnv,
+    isProduction: nodeEnv === "production",
+
+    server: {
+      port: read.integer("PORT", "server.port", 4000, { min: 1 }),
+      corsOrigin: read.string("FRONTEND_URL", "server.corsOrigin", "*"),
+      // Shared key for /internal endpoints (disabled when unset)
+      internalApiKey: read.string("INTERNAL_API_KEY", "server.internalApiKey"),
+    },
+
+    auth: {
+      jwtSecret: read.string("JWT_SECRET", "auth.jwtSecret"),
+      // Users allowed to use the admin API
+      adminUserIds: read.list("ADMIN_USER_IDS", "auth.adminUserIds"),
+    },
+
+    db: {
+      // Takes precedence over the individual settings below
+      url: read.string("DATABASE_URL", "db.url"),
+      host: read.string("DB_HOST", "db.host", "localhost"),
+      port: read.integer("DB_PORT", "db.port", 5432, { min: 1 }),
+      database: read.string("DB_NAME", "db.database", "diary"),
+      user: read.string("DB_USER", "db.user", "diary_user"),
+      password: read.string("DB_PASSWORD", "db.password"),
+      pool: {
+        max: read.integer("DB_POOL_MAX", "db.pool.max", 20, { min: 1 }),
+        idleTimeout: read.integer("DB_IDLE_TIMEOUT", "db.pool.idleTimeout", 30 * 1000),
+        connectionTimeout: read.integer("DB_CONNECTION_TIMEOUT", "db.pool.connectionTimeout", 2000),
+      },
+      // Queries slower than this are logged as warnings
+      slowQueryMs: read.integer("DB_SLOW_QUERY_MS", "db.slowQueryMs", 500),
+    },
+
+    presence: {
+      heartbeatInterval: read.integer(
+        "HEARTBEAT_INTERVAL",
+        "presence.heartbeatInterval",
+        30 * 1000,
+        { min: 1000 }
+      ),
+      // Sockets silent this long are disconnected, checked every staleCheckInterval
+      staleTimeout: read.integer(
+        "STALE_TIMEOUT",
+        "presence.staleTimeout",
+        2 * 60 * 1000,
+        { min: 1000 }
+      ),
+      staleCheckInterval: read.integer(
+        "STALE_CHECK_INTERVAL",
+        "presence.staleCheckInterval",
+        60 * 1000,
+        { min: 1000 }
+      ),
+      // Sessions and cursors outlive a dropped connection this long
+      disconnectGrace: read.integer("DISCONNECT_GRACE", "presence.disconnectGrace", 30 * 1000),
+    },
+
+    cleanup: {
+      interval: read.integer("CLEANUP_INTERVAL", "cleanup.interval", 5 * 60 * 1000, { min: 1000 }),
+      // active_sessions rows not seen for this long are deleted
+      sessionTimeout: read.integer(
+        "SESSION_TIMEOUT",
+        "cleanup.sessionTimeout",
+        10 * 60 * 1000,
+        { min: 1000 }
+      ),
+    },
+
+    collaboration: {
+      // Flush edits once typing pauses this long, but never hold them longer than maxWait
+      autosaveDebounce: read.integer("AUTOSAVE_DEBOUNCE", "collaboration.autosaveDebounce", 2000),
+      autosaveMaxWait: read.integer(
+        "AUTOSAVE_MAX_WAIT",
+        "collaboration.autosaveMaxWait",
+        10 * 1000
+      ),
+      autosaveRetryDelay: read.integer(
+        "AUTOSAVE_RETRY_DELAY",
+        "collaboration.autosaveRetryDelay",
+        5000
+      ),
+      // How far back reconnecting clients are caught up: revisions replayed
+      // as operations, and the age of room events replayed on resume
+      maxReplayRevisions: read.integer(
+        "MAX_REPLAY_REVISIONS",
+        "collaboration.maxReplayRevisions",
+        2000
+      ),
+      replayWindow: read.integer("REPLAY_WINDOW", "collaboration.replayWindow", 10 * 60 * 1000),
+      inviteTtl: read.integer(
+        "INVITE_TTL",
+        "collaboration.inviteTtl",
+        7 * 24 * 60 * 60 * 1000,
+        { min: 1000 }
+      ),
+      // How long an instance's claim on sequencing an entry's edits lasts
+      // without an edit renewing it (see src/cache/sequencerLeases.js)
+      sequencerLease: read.integer(
+        "SEQUENCER_LEASE",
+        "collaboration.sequencerLease",
+        60 * 1000,
+        { min: 1000 }
+      ),
+    },
+
+    shutdown: {
+      // SIGTERM / SIGINT drain: the process exits after this long even if
+      // flushing or closing connections has not finished
+      timeout: read.integer("SHUTDOWN_TIMEOUT", "shutdown.timeout", 10 * 1000, { min: 1000 }),
+      // Clients are told to reconnect after a random delay up to this long,
+      // so they don't all land on the remaining instances at once
+      reconnectJitter: read.integer("SHUTDOWN_RECONNECT_JITTER", "shutdown.reconnectJitter", 5000),
+    },
+
+    store: {
+      // "memory" for a single instance, "postgres" to share state across instances
+      driver: read.oneOf("STORE_DRIVER", "store.driver", STORE_DRIVERS, "memory"),
+    },
+
+    log: {
+      level: read.oneOf("LOG_LEVEL", "log.level", LOG_LEVELS, "info"),
+      // Per-subsystem overrides (presence, collaboration, friends, db, ...)
+      levels: read.map("LOG_LEVELS", "log.levels"),
+    },
+
+    rateLimit: {
+      // Token buckets per event class (see src/middleware/rateLimit.js): a
+      // burst of `capacity` events, refilled at `refillPerSec`. Each user has
+      // one bucket per class, and so does each client IP (shared by everyone
+      // behind it). RATE_LIMITS / RATE_LIMITS_IP override single classes.
+      user: {
+        edits: { capacity: 30, refillPerSec: 15 },
+        cursors: { capacity: 20, refillPerSec: 10 },
+        presence: { capacity: 20, refillPerSec: 2 },
+        social: { capacity: 10, refillPerSec: 1 },
+        default: { capacity: 30, refillPerSec: 5 },
+        ...read.buckets("RATE_LIMITS", "rateLimit.user"),
+      },
+      ip: {
+        edits: { capacity: 150, refillPerSec: 75 },
+        cursors: { capacity: 100, refillPerSec: 50 },
+        presence: { capacity: 100, refillPerSec: 10 },
+        social: { capacity: 50, refillPerSec: 5 },
+        default: { capacity: 150, refillPerSec: 25 },
+        ...read.buckets("RATE_LIMITS_IP", "rateLimit.ip"),
+      },
+      // Use the first X-Forwarded-For address (only behind a trusted proxy)
+      trustProxy: read.boolean("TRUST_PROXY", "rateLimit.trustProxy"),
+      // Rejections within `window` ms escalate: a warning, then every event is
+      // delayed by `slowDownMs`, then the socket is disconnected
+      penalties: {
+        window: read.integer(
+          "RATE_LIMIT_PENALTY_WINDOW",
+          "rateLimit.penalties.window",
+          60 * 1000,
+          { min: 1 }
+        ),
+        warnAfter: read.integer(
+          "RATE_LIMIT_WARN_AFTER",
+          "rateLimit.penalties.warnAfter",
+          5,
+          { min: 1 }
+        ),
+        slowDownAfter: read.integer(
+          "RATE_LIMIT_SLOW_DOWN_AFTER",
+          "rateLimit.penalties.slowDownAfter",
+          20,
+          { min: 1 }
+        ),
+        slowDownMs: read.integer("RATE_LIMIT_SLOW_DOWN_MS", "rateLimit.penalties.slowDownMs", 500),
+        disconnectAfter: read.integer(
+          "RATE_LIMIT_DISCONNECT_AFTER",
+          "rateLimit.penalties.disconnectAfter",
+          50,
+          { min: 1 }
+        ),
+      },
+    },
+  };
+
+  const { problems } = read;
+  const { warnAfter, slowDownAfter, disconnectAfter } = config.rateLimit.penalties;
+  if (!(warnAfter <= slowDownAfter && slowDownAfter < disconnectAfter)) {
+    problems.push("RATE_LIMIT_* penalties must escalate: warn <= slow down < disconnect");
+  }
+  checkSecrets(config, problems);
+  if (problems.length > 0) {
+    throw new Error(`Invalid configuration:\n  - ${problems.join("\n  - ")}`);
+  }
+
+  return deepFreeze(config);
+}
+
+function deepFreeze(value) {
+  if (value && typeof value === "object") {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+}
+
+module.exports = { loadConfig };
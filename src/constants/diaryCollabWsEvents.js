@@ -18,6 +18,8 @@ const DIARY_COLLAB_WS_EVENTS = {
   /* Entry Session */
   ENTRY_COLLAB_JOIN: 'entry_collab_join',
   ENTRY_COLLAB_LEAVE: 'entry_collab_leave',
+  SESSION_RESUME: 'session_resume',
+  SESSION_RESUMED: 'session_resumed',
 
   /* Presence (only inside that entry) */
   USER_VIEWING_ENTRY: 'user_viewing_entry',
@@ -26,12 +28,18 @@ const DIARY_COLLAB_WS_EVENTS = {
 
   /* Real-time Editing */
   ENTRY_EDIT: 'entry_edit',
+  ENTRY_EDIT_ACK: 'entry_edit_ack',
   ENTRY_CURSOR_MOVE: 'entry_cursor_move',
   ENTRY_SELECTION_CHANGE: 'entry_selection_change',
 
   /* Comments */
   COMMENT_ADDED: 'comment_added',
+  COMMENT_EDITED: 'comment_edited',
   COMMENT_DELETED: 'comment_deleted',
+  COMMENT_RESOLVED: 'comment_resolved',
+  COMMENT_REOPENED: 'comment_reopened',
+  COMMENT_LIST_REQUEST: 'comment_list_request',
+  COMMENT_LIST_RESPONSE: 'comment_list_response',
 
   ACCESS_DENIED: 'access_denied',
   PERMISSION_GRANTED: 'permission_granted',
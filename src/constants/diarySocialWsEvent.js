@@ -2,6 +2,10 @@ const DIARY_SOCIAL_WS_EVENTS = {
   FRIEND_REQUEST_SENT: 'friend_request_sent',
   FRIEND_REQUEST_RECEIVED: 'friend_request_received',
   FRIEND_ACCEPTED: 'friend_accepted',
+  FRIEND_REQUEST_DECLINED: 'friend_request_declined',
+  FRIEND_REMOVED: 'friend_removed',
+  FRIEND_BLOCKED: 'friend_blocked',
+  FRIEND_UNBLOCKED: 'friend_unblocked',
 
   FRIEND_ONLINE: 'friend_online',
   FRIEND_OFFLINE: 'friend_offline',
@@ -0,0 +1,20 @@
+const NOTIFICATION_EVENTS = {
+  /* Delivery */
+  NOTIFICATION_CREATED: 'notification:created',
+  NOTIFICATION_UPDATED: 'notification:updated',
+  NOTIFICATION_DELETED: 'notification:deleted',
+
+  /* Read/Unread */
+  NOTIFICATION_MARK_READ: 'notification:mark_read',
+  NOTIFICATION_MARK_ALL_READ: 'notification:mark_all_read',
+  NOTIFICATION_READ_SUCCESS: 'notification:read_success',
+  NOTIFICATION_ARCHIVE: 'notification:archive',
+
+  /* Query */
+  NOTIFICATION_LIST_REQUEST: 'notification:list_request',
+  NOTIFICATION_LIST_RESPONSE: 'notification:list_response',
+  NOTIFICATION_COUNT_REQUEST: 'notification:count_request',
+  NOTIFICATION_COUNT_RESPONSE: 'notification:count_response'
+};
+
+module.exports = NOTIFICATION_EVENTS;
@@ -11,6 +11,9 @@ const WS_EVENTS = {
   ERROR: 'error',
   SESSION_EXPIRED: 'session_expired',
   FORCE_LOGOUT: 'force_logout',
+  SERVER_SHUTDOWN: 'server_shutdown',
+  TOKEN_REFRESH: 'token_refresh',
+  RATE_LIMIT_WARNING: 'rate_limit_warning',
 
   // Presence Events
   ONLINE: 'online',
@@ -1,25 +1,141 @@
+const { AsyncLocalStorage } = require("async_hooks");
 const { Pool } = require("pg");
+const config = require("../config");
+const { createLogger } = require("../utils/logger");
+const { instrumentPool } = require("../utils/metrics");
 
-const pool = new Pool({
-  user: "diary_user",
-  host: "localhost",
-  database: "diary",
-  password: "password123",
-  port: 5432,
-   connectionString: process.env.DATABASE_URL, // Your database URL
-  max: 20,                   // max number of connections in pool
-  idleTimeoutMillis: 30000,  // close idle clients after 30 seconds
-  connectionTimeoutMillis: 2000, // fail if cannot connect in 2 sec
-});
-
-pool.on("error", (err, client) => {
-  console.error("Unexpected DB error", err);
-});
-
-pool.query("SELECT NOW()", (err, res) => {
-  if (err) console.error("DB connection error:", err);
-  else console.log("DB connected:", res.rows[0]);
-});
-
-module.exports = pool;
+const log = createLogger("db");
 
+/**
+ * Pool for the configured database (DATABASE_URL, else DB_HOST / DB_NAME / ...)
+ */
+function createPool(db = config.db) {
+  return new Pool({
+    // pg lets connectionString win over the individual settings
+    connectionString: db.url || undefined,
+    host: db.host,
+    port: db.port,
+    database: db.database,
+    user: db.user,
+    password: db.password || undefined,
+    max: db.pool.max,
+    idleTimeoutMillis: db.pool.idleTimeout,
+    connectionTimeoutMillis: db.pool.connectionTimeout,
+  });
+}
+
+function connect() {
+  const pool = createPool();
+
+  pool.on("error", (err, client) => {
+    log.error("Unexpected DB error", { err });
+  });
+
+  pool.query("SELECT NOW()", (err, res) => {
+    if (err) log.error("DB connection error", { err });
+    else log.info("DB connected", { now: res.rows[0].now });
+  });
+
+  return pool;
+}
+
+/**
+ * Log every promise-style pool.query call (statement text only; parameters
+ * can hold diary content). Lines carry the calling event's correlation id.
+ */
+function logQueries(pool, slowQueryMs = config.db.slowQueryMs) {
+  const query = pool.query.bind(pool);
+
+  pool.query = (text, ...args) => {
+    if (typeof args[args.length - 1] === "function") return query(text, ...args);
+
+    const sql = (typeof text === "string" ? text : text.text).replace(/\s+/g, " ").trim();
+    const started = Date.now();
+
+    return query(text, ...args).then(
+      (result) => {
+        const durationMs = Date.now() - started;
+        const level = durationMs >= slowQueryMs ? "warn" : "debug";
+        log[level]("Query", { sql, durationMs, rowCount: result.rowCount });
+        return result;
+      },
+      (err) => {
+        log.error("Query failed", { sql, durationMs: Date.now() - started, err });
+        throw err;
+      }
+    );
+  };
+
+  return pool;
+}
+
+// ============================================
+// Shared pool
+// ============================================
+// Every module queries through this object. By default one pool serves the
+// whole process, created on first use. createServer({ pool }) runs its
+// server inside withPool(), so the queries made for its connections,
+// requests and timers go to its own pool instead.
+
+let current = null;
+const serverPool = new AsyncLocalStorage();
+const instrumented = new WeakSet();
+
+/**
+ * Add query logging, latency and pool usage for /metrics to `pool`
+ * (once, however often it is handed in)
+ */
+function instrument(pool) {
+  if (!instrumented.has(pool)) {
+    instrumentPool(logQueries(pool));
+    instrumented.add(pool);
+  }
+  return pool;
+}
+
+/**
+ * Route every query outside withPool() to `pool` from now on
+ */
+function usePool(pool) {
+  current = instrument(pool);
+  return current;
+}
+
+/**
+ * Run `fn` with `pool` serving every query it makes, and every query made
+ * by the callbacks and timers it starts
+ */
+function withPool(pool, fn) {
+  return serverPool.run(instrument(pool), fn);
+}
+
+const getPool = () => serverPool.getStore() || current || usePool(connect());
+
+/**
+ * Run `fn(client)` between BEGIN and COMMIT on one pooled client; rolled
+ * back if it throws
+ * @returns {Promise<*>} What `fn` resolved to
+ */
+async function withTransaction(fn) {
+  const client = await getPool().connect();
+  try {
+    await client.query("BEGIN");
+    const result = await fn(client);
+    await client.query("COMMIT");
+    return result;
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  query: (...args) => getPool().query(...args),
+  connect: (...args) => getPool().connect(...args),
+  end: () => (current ? current.end() : Promise.resolve()),
+  usePool,
+  withPool,
+  withTransaction,
+};
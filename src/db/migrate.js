@@ -0,0 +1,282 @@
+const fs = require("fs");
+const path = require("path");
+const { createLogger } = require("../utils/logger");
+
+const log = createLogger("migrations");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+const SEEDS_DIR = path.join(__dirname, "seeds");
+
+// Held while migrating, so instances started together don't race
+const LOCK_ID = 7245311;
+
+// ============================================
+// Migration files
+// ============================================
+// migrations/NNN_name.up.sql applies a change, NNN_name.down.sql reverts
+// it. Versions are applied in order and recorded in schema_migrations.
+
+function readMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = new Map(); // version -> { version, name, up, down }
+
+  for (const file of fs.readdirSync(dir).sort()) {
+    const match = /^(\d+)_(\w+)\.(up|down)\.sql$/.exec(file);
+    if (!match) continue;
+
+    const [, digits, name, direction] = match;
+    const version = Number(digits);
+    const migration = migrations.get(version) || { version, name };
+    if (migration.name !== name) {
+      throw new Error(`Migration ${digits} has two names: ${migration.name} and ${name}`);
+    }
+
+    migration[direction] = path.join(dir, file);
+    migrations.set(version, migration);
+  }
+
+  for (const migration of migrations.values()) {
+    if (!migration.up || !migration.down) {
+      throw new Error(
+        `Migration ${migration.version}_${migration.name} needs both .up.sql and .down.sql`
+      );
+    }
+  }
+
+  return [...migrations.values()].sort((a, b) => a.version - b.version);
+}
+
+// ============================================
+// Runner
+// ============================================
+
+/**
+ * Migrations against one pool
+ * @param {object} pool - pg Pool
+ * @param {object} [options]
+ * @param {string} [options.dir] - Directory holding the migration files
+ */
+function createMigrator(pool, { dir = MIGRATIONS_DIR } = {}) {
+  async function ensureTable(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        applied_at TIMESTAMP NOT NULL DEFAULT NOW()
+      )
+    `);
+  }
+
+  async function appliedVersions(client) {
+    const { rows } = await client.query(
+      `SELECT version, name, applied_at FROM schema_migrations ORDER BY version`
+    );
+    return rows;
+  }
+
+  // One client for the whole run, holding the advisory lock
+  async function withLock(fn) {
+    const client = await pool.connect();
+    try {
+      await client.query(`SELECT pg_advisory_lock($1)`, [LOCK_ID]);
+      try {
+        await ensureTable(client);
+        return await fn(client);
+      } finally {
+        await client.query(`SELECT pg_advisory_unlock($1)`, [LOCK_ID]);
+      }
+    } finally {
+      client.release();
+    }
+  }
+
+  // Each migration commits together with its schema_migrations row
+  async function run(client, migration, direction) {
+    const sql = fs.readFileSync(migration[direction], "utf8");
+    const started = Date.now();
+
+    await client.query("BEGIN");
+    try {
+      await client.query(sql);
+      if (direction === "up") {
+        await client.query(`INSERT INTO schema_migrations (version, name) VALUES ($1, $2)`, [
+          migration.version,
+          migration.name,
+        ]);
+      } else {
+        await client.query(`DELETE FROM schema_migrations WHERE version = $1`, [
+          migration.version,
+        ]);
+      }
+      await client.query("COMMIT");
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw new Error(
+        `Migration ${migration.version}_${migration.name} (${direction}) failed: ${err.message}`
+      );
+    }
+
+    log.info(direction === "up" ? "Migrated" : "Rolled back", {
+      version: migration.version,
+      name: migration.name,
+      durationMs: Date.now() - started,
+    });
+  }
+
+  return {
+    /**
+     * Apply every pending migration, up to `to` when given
+     * @returns {Promise<object[]>} The migrations applied
+     */
+    async migrate({ to = Infinity } = {}) {
+      const migrations = readMigrations(dir);
+
+      return withLock(async (client) => {
+        const applied = new Set((await appliedVersions(client)).map((row) => row.version));
+        const pending = migrations.filter((m) => !applied.has(m.version) && m.version <= to);
+
+        for (const migration of pending) await run(client, migration, "up");
+        return pending;
+      });
+    },
+
+    /**
+     * Revert the last `steps` applied migrations, newest first
+     * @returns {Promise<object[]>} The migrations reverted
+     */
+    async rollback({ steps = 1 } = {}) {
+      const migrations = new Map(readMigrations(dir).map((m) => [m.version, m]));
+
+      return withLock(async (client) => {
+        const applied = (await appliedVersions(client)).reverse().slice(0, steps);
+        const reverted = [];
+
+        for (const row of applied) {
+          const migration = migrations.get(row.version);
+          if (!migration) {
+            throw new Error(
+              `Migration ${row.version}_${row.name} is applied but its files are missing`
+            );
+          }
+          await run(client, migration, "down");
+          reverted.push(migration);
+        }
+        return reverted;
+      });
+    },
+
+    /**
+     * Every migration with when it was applied (null if pending); applied
+     * versions without files are listed as missing
+     * @returns {Promise<object[]>} [{ version, name, appliedAt, missing }]
+     */
+    async status() {
+      const migrations = readMigrations(dir);
+
+      return withLock(async (client) => {
+        const applied = new Map((await appliedVersions(client)).map((row) => [row.version, row]));
+        const known = new Set(migrations.map((m) => m.version));
+
+        return [
+          ...migrations.map(({ version, name }) => ({
+            version,
+            name,
+            appliedAt: applied.has(version) ? applied.get(version).applied_at : null,
+            missing: false,
+          })),
+          ...[...applied.values()]
+            .filter((row) => !known.has(row.version))
+            .map((row) => ({
+              version: row.version,
+              name: row.name,
+              appliedAt: row.applied_at,
+              missing: true,
+            })),
+        ].sort((a, b) => a.version - b.version);
+      });
+    },
+
+    /**
+     * Load seeds/<name>.sql (sample users, friendships and entries)
+     */
+    async seed(name = "development") {
+      const sql = fs.readFileSync(path.join(SEEDS_DIR, `${name}.sql`), "utf8");
+      await pool.query(sql);
+      log.info("Seeded", { seed: name });
+    },
+  };
+}
+
+// ============================================
+// CLI
+// ============================================
+// node src/db/migrate.js migrate [--to <version>]
+// node src/db/migrate.js rollback [--steps <n>]
+// node src/db/migrate.js status
+// node src/db/migrate.js seed            (not in production)
+
+const USAGE =
+  "Usage: node src/db/migrate.js <migrate [--to N] | rollback [--steps N] | status | seed>";
+
+function option(args, name, fallback) {
+  const index = args.indexOf(name);
+  if (index === -1) return fallback;
+
+  const value = Number(args[index + 1]);
+  if (!Number.isInteger(value) || value < 0) throw new Error(`${name} needs a number\n${USAGE}`);
+  return value;
+}
+
+async function main([command, ...args]) {
+  const config = require("../config");
+  const pool = require("./connection");
+  const migrator = createMigrator(pool);
+
+  try {
+    switch (command) {
+      case "migrate": {
+        const applied = await migrator.migrate({ to: option(args, "--to", Infinity) });
+        console.log(
+          applied.length ? `Applied ${applied.length} migration(s)` : "Already up to date"
+        );
+        break;
+      }
+
+      case "rollback": {
+        const reverted = await migrator.rollback({ steps: option(args, "--steps", 1) });
+        console.log(
+          reverted.length ? `Rolled back ${reverted.length} migration(s)` : "Nothing to roll back"
+        );
+        break;
+      }
+
+      case "status":
+        for (const m of await migrator.status()) {
+          const state = m.missing ? "missing" : m.appliedAt ? "applied" : "pending";
+          const version = String(m.version).padStart(3, "0");
+          const at = m.appliedAt ? `  ${new Date(m.appliedAt).toISOString()}` : "";
+          console.log(`${version}  ${state.padEnd(8)}${m.name}${at}`);
+        }
+        break;
+
+      case "seed":
+        if (config.isProduction) throw new Error("Refusing to seed a production database");
+        await migrator.seed();
+        console.log("Seeded development data");
+        break;
+
+      default:
+        throw new Error(USAGE);
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { createMigrator, readMigrations };
@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS active_sessions;
+DROP TABLE IF EXISTS ws_connections;
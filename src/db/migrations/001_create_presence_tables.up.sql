@@ -0,0 +1,62 @@
+-- ============================================
+-- Connections and entry sessions
+-- ============================================
+
+-- One row per socket: a user may have several tabs/devices
+CREATE TABLE IF NOT EXISTS ws_connections (
+    socket_id VARCHAR(255) PRIMARY KEY,
+    user_id VARCHAR(255) NOT NULL,
+    online BOOLEAN DEFAULT FALSE,
+    last_seen TIMESTAMP DEFAULT NOW(),
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Who is viewing or editing which entry, per socket
+CREATE TABLE IF NOT EXISTS active_sessions (
+    id SERIAL PRIMARY KEY,
+    entry_id VARCHAR(255) NOT NULL,
+    user_id VARCHAR(255) NOT NULL,
+    socket_id VARCHAR(255) NOT NULL,
+    status VARCHAR(10) DEFAULT 'viewing',
+    joined_at TIMESTAMP DEFAULT NOW(),
+    last_seen TIMESTAMP DEFAULT NOW(),
+    CONSTRAINT unique_entry_socket UNIQUE(entry_id, socket_id)
+);
+
+-- Databases set up with the old schema.sql predate multiple connections per
+-- user: ws_connections was keyed by user_id and active_sessions had no
+-- socket_id and one row per user. Their rows describe connections that are
+-- long gone, so rows without a socket are dropped rather than carried over.
+DELETE FROM ws_connections WHERE socket_id IS NULL;
+ALTER TABLE ws_connections
+    DROP CONSTRAINT IF EXISTS ws_connections_pkey,
+    ALTER COLUMN user_id SET NOT NULL;
+ALTER TABLE ws_connections ADD CONSTRAINT ws_connections_pkey PRIMARY KEY (socket_id);
+
+ALTER TABLE active_sessions
+    ADD COLUMN IF NOT EXISTS socket_id VARCHAR(255);
+DELETE FROM active_sessions WHERE socket_id IS NULL;
+ALTER TABLE active_sessions
+    ALTER COLUMN socket_id SET NOT NULL,
+    DROP CONSTRAINT IF EXISTS unique_entry_user,
+    DROP CONSTRAINT IF EXISTS unique_entry_socket;
+ALTER TABLE active_sessions
+    ADD CONSTRAINT unique_entry_socket UNIQUE (entry_id, socket_id);
+
+CREATE INDEX IF NOT EXISTS idx_ws_connections_online
+    ON ws_connections(online);
+
+CREATE INDEX IF NOT EXISTS idx_ws_connections_user_id
+    ON ws_connections(user_id);
+
+CREATE INDEX IF NOT EXISTS idx_active_sessions_entry_id
+    ON active_sessions(entry_id);
+
+CREATE INDEX IF NOT EXISTS idx_active_sessions_user_id
+    ON active_sessions(user_id);
+
+CREATE INDEX IF NOT EXISTS idx_active_sessions_socket_id
+    ON active_sessions(socket_id);
+
+CREATE INDEX IF NOT EXISTS idx_active_sessions_last_seen
+    ON active_sessions(last_seen);
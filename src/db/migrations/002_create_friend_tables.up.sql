@@ -0,0 +1,42 @@
+-- ============================================
+-- Friends, friend requests and blocks
+-- ============================================
+
+-- One row per direction: (a, b) and (b, a)
+CREATE TABLE IF NOT EXISTS friends (
+    id SERIAL PRIMARY KEY,
+    user_id VARCHAR(255) NOT NULL,
+    friend_id VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    CONSTRAINT unique_friendship UNIQUE(user_id, friend_id)
+);
+
+CREATE TABLE IF NOT EXISTS friend_requests (
+    id SERIAL PRIMARY KEY,
+    sender_id VARCHAR(255) NOT NULL,
+    receiver_id VARCHAR(255) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'accepted', 'declined', 'cancelled')),
+    created_at TIMESTAMP DEFAULT NOW(),
+    responded_at TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS blocked_users (
+    id SERIAL PRIMARY KEY,
+    blocker_id VARCHAR(255) NOT NULL,
+    blocked_id VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    CONSTRAINT unique_block UNIQUE(blocker_id, blocked_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_friends_user_id
+    ON friends(user_id);
+
+CREATE INDEX IF NOT EXISTS idx_friends_friend_id
+    ON friends(friend_id);
+
+CREATE INDEX IF NOT EXISTS idx_friend_requests_receiver_status
+    ON friend_requests(receiver_id, status);
+
+CREATE INDEX IF NOT EXISTS idx_friend_requests_sender_id
+    ON friend_requests(sender_id);
@@ -0,0 +1,55 @@
+-- ============================================
+-- Diary entries, their revision history and tags
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS diary_entries (
+    id VARCHAR(255) PRIMARY KEY,
+    user_id VARCHAR(255) NOT NULL,
+    title VARCHAR(255),
+    content TEXT,
+    revision INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    deleted_at TIMESTAMP,
+    mood VARCHAR(20)
+);
+
+-- Databases set up with the old schema.sql before these columns existed
+ALTER TABLE diary_entries
+    ADD COLUMN IF NOT EXISTS title VARCHAR(255),
+    ADD COLUMN IF NOT EXISTS revision INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS mood VARCHAR(20);
+
+-- One row per committed collaborative edit
+CREATE TABLE IF NOT EXISTS entry_revisions (
+    id SERIAL PRIMARY KEY,
+    entry_id VARCHAR(255) NOT NULL,
+    revision INTEGER NOT NULL,
+    user_id VARCHAR(255) NOT NULL,
+    operation JSONB NOT NULL,
+    op_id VARCHAR(64),
+    created_at TIMESTAMP DEFAULT NOW(),
+    CONSTRAINT unique_entry_revision UNIQUE(entry_id, revision)
+);
+
+ALTER TABLE entry_revisions
+    ADD COLUMN IF NOT EXISTS op_id VARCHAR(64);
+
+-- Tags are stored trimmed and lowercased
+CREATE TABLE IF NOT EXISTS entry_tags (
+    entry_id VARCHAR(255) NOT NULL,
+    tag VARCHAR(50) NOT NULL,
+    created_by VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    PRIMARY KEY (entry_id, tag)
+);
+
+CREATE INDEX IF NOT EXISTS idx_diary_entries_user_id
+    ON diary_entries(user_id, updated_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_entry_revisions_entry_id
+    ON entry_revisions(entry_id);
+
+CREATE INDEX IF NOT EXISTS idx_entry_tags_tag
+    ON entry_tags(tag);
@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS entry_comments;
+DROP TABLE IF EXISTS entry_invites;
+DROP TABLE IF EXISTS entry_permissions;
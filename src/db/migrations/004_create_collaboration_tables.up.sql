@@ -0,0 +1,64 @@
+-- ============================================
+-- Sharing: permissions, invites and comments
+-- ============================================
+
+-- The entry author is always owner; rows here grant access to others
+CREATE TABLE IF NOT EXISTS entry_permissions (
+    id SERIAL PRIMARY KEY,
+    entry_id VARCHAR(255) NOT NULL,
+    user_id VARCHAR(255) NOT NULL,
+    role VARCHAR(20) NOT NULL
+        CHECK (role IN ('owner', 'editor', 'commenter', 'viewer')),
+    granted_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    CONSTRAINT unique_entry_permission UNIQUE(entry_id, user_id)
+);
+
+CREATE TABLE IF NOT EXISTS entry_invites (
+    id SERIAL PRIMARY KEY,
+    entry_id VARCHAR(255) NOT NULL,
+    inviter_id VARCHAR(255) NOT NULL,
+    invitee_id VARCHAR(255) NOT NULL,
+    role VARCHAR(20) NOT NULL DEFAULT 'editor'
+        CHECK (role IN ('editor', 'commenter', 'viewer')),
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'accepted', 'declined', 'revoked', 'expired')),
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    responded_at TIMESTAMP
+);
+
+-- Root comments anchor a text range; replies hang off parent_id
+CREATE TABLE IF NOT EXISTS entry_comments (
+    id SERIAL PRIMARY KEY,
+    entry_id VARCHAR(255) NOT NULL,
+    parent_id INTEGER REFERENCES entry_comments(id) ON DELETE CASCADE,
+    user_id VARCHAR(255) NOT NULL,
+    body TEXT NOT NULL,
+    anchor_start INTEGER,
+    anchor_end INTEGER,
+    anchor_revision INTEGER,
+    quote TEXT,
+    resolved BOOLEAN DEFAULT FALSE,
+    resolved_by VARCHAR(255),
+    resolved_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    CHECK (anchor_start IS NULL OR anchor_end >= anchor_start)
+);
+
+CREATE INDEX IF NOT EXISTS idx_entry_permissions_user_id
+    ON entry_permissions(user_id);
+
+CREATE INDEX IF NOT EXISTS idx_entry_invites_invitee_status
+    ON entry_invites(invitee_id, status);
+
+CREATE INDEX IF NOT EXISTS idx_entry_invites_entry_id
+    ON entry_invites(entry_id);
+
+CREATE INDEX IF NOT EXISTS idx_entry_comments_entry_id
+    ON entry_comments(entry_id);
+
+CREATE INDEX IF NOT EXISTS idx_entry_comments_parent_id
+    ON entry_comments(parent_id);
@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS realtime_messages;
+DROP TABLE IF EXISTS realtime_buckets;
+DROP TABLE IF EXISTS realtime_counters;
+DROP TABLE IF EXISTS realtime_state;
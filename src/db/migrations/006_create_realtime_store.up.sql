@@ -0,0 +1,43 @@
+-- ============================================
+-- Shared store (STORE_DRIVER=postgres, see src/store/postgresStore.js)
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS realtime_state (
+    namespace VARCHAR(255) NOT NULL,
+    key VARCHAR(255) NOT NULL,
+    value JSONB NOT NULL,
+    expires_at TIMESTAMP,
+    PRIMARY KEY (namespace, key)
+);
+
+CREATE TABLE IF NOT EXISTS realtime_counters (
+    namespace VARCHAR(255) NOT NULL,
+    key VARCHAR(255) NOT NULL,
+    count INTEGER NOT NULL DEFAULT 0,
+    expires_at TIMESTAMP NOT NULL,
+    PRIMARY KEY (namespace, key)
+);
+
+-- Token buckets (rate limiting); granted is the outcome of the last take
+CREATE TABLE IF NOT EXISTS realtime_buckets (
+    namespace VARCHAR(255) NOT NULL,
+    key VARCHAR(255) NOT NULL,
+    tokens DOUBLE PRECISION NOT NULL,
+    granted BOOLEAN NOT NULL,
+    updated_at TIMESTAMP NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    PRIMARY KEY (namespace, key)
+);
+
+-- Pub/sub messages too large for a NOTIFY payload
+CREATE TABLE IF NOT EXISTS realtime_messages (
+    id SERIAL PRIMARY KEY,
+    payload JSONB NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_realtime_state_expires_at
+    ON realtime_state(expires_at);
+
+CREATE INDEX IF NOT EXISTS idx_realtime_messages_created_at
+    ON realtime_messages(created_at);
@@ -0,0 +1,23 @@
+-- ============================================
+-- Development seed data
+-- (node src/db/migrate.js seed; refused when NODE_ENV=production)
+-- ============================================
+
+-- user_1 is friends with user_2 and user_3
+INSERT INTO friends (user_id, friend_id) VALUES
+    ('user_1', 'user_2'),
+    ('user_2', 'user_1'),
+    ('user_1', 'user_3'),
+    ('user_3', 'user_1')
+ON CONFLICT (user_id, friend_id) DO NOTHING;
+
+INSERT INTO diary_entries (id, user_id, content) VALUES
+    ('entry_123', 'user_1', 'This is my first diary entry!'),
+    ('entry_456', 'user_2', 'Second entry for testing')
+ON CONFLICT (id) DO NOTHING;
+
+-- user_2 may edit and user_3 may view user_1's entry
+INSERT INTO entry_permissions (entry_id, user_id, role, granted_by) VALUES
+    ('entry_123', 'user_2', 'editor', 'user_1'),
+    ('entry_123', 'user_3', 'viewer', 'user_1')
+ON CONFLICT (entry_id, user_id) DO NOTHING;
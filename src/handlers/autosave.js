@@ -0,0 +1,244 @@
+const pool = require("../db/connection");
+const config = require("../config");
+const documentCache = require("../cache/documentCache");
+const sequencerLeases = require("../cache/sequencerLeases");
+const DIARY_WS_EVENTS = require("../constants/diaryWsEvents");
+const { authorizeEntry } = require("./permissions");
+const MessageFormatter = require("../utils/messageFormatter");
+const { handleEvent } = require("../utils/handleEvent");
+const metrics = require("../utils/metrics");
+const { createLogger } = require("../utils/logger");
+
+const log = createLogger("autosave");
+
+// ============================================
+// Batched persistence of sequenced edits
+// ============================================
+// Flush once typing pauses for autosaveDebounce, but never hold edits
+// longer than autosaveMaxWait (config.collaboration)
+const {
+  autosaveDebounce: FLUSH_DEBOUNCE,
+  autosaveMaxWait: FLUSH_MAX_WAIT,
+  autosaveRetryDelay: RETRY_DELAY,
+} = config.collaboration;
+
+// Revisions or comment anchors not yet written to the database
+const hasUnsavedChanges = (doc) => doc.unsaved.length > 0 || doc.movedAnchors.size > 0;
+
+const flushTimers = new Map(); // entryId -> { io, timeout, firstScheduledAt }
+const activeFlushes = new Map(); // entryId -> Promise
+
+/**
+ * Schedule a debounced flush of an entry's unsaved revisions
+ */
+function scheduleFlush(io, entryId, delay = FLUSH_DEBOUNCE) {
+  const now = Date.now();
+  const pending = flushTimers.get(entryId);
+  const firstScheduledAt = pending ? pending.firstScheduledAt : now;
+
+  if (pending) clearTimeout(pending.timeout);
+
+  const wait = Math.max(0, Math.min(delay, firstScheduledAt + FLUSH_MAX_WAIT - now));
+
+  flushTimers.set(entryId, {
+    io,
+    firstScheduledAt,
+    timeout: setTimeout(() => {
+      flushTimers.delete(entryId);
+      flushEntry(io, entryId).catch(() => {});
+    }, wait),
+  });
+}
+
+/**
+ * Write the entry's current content, every unsaved revision and every moved
+ * comment anchor in a single transaction, then acknowledge to the entry room
+ * @param {object} [options]
+ * @param {string|null} [options.title] - Written in the same transaction
+ */
+async function flushEntry(io, entryId, { title } = {}) {
+  // Serialize flushes per entry; a second caller waits and re-checks
+  while (activeFlushes.has(entryId)) {
+    await activeFlushes.get(entryId).catch(() => {});
+  }
+
+  const doc = documentCache.get(entryId);
+  if (!doc || (!hasUnsavedChanges(doc) && title === undefined)) {
+    return doc ? doc.savedRevision : null;
+  }
+
+  const pending = flushTimers.get(entryId);
+  if (pending) {
+    clearTimeout(pending.timeout);
+    flushTimers.delete(entryId);
+  }
+
+  const revisions = doc.unsaved.splice(0);
+  const { content, revision } = doc;
+
+  // Comment anchors moved by these (or already saved) edits are saved alongside them
+  const movedIds = [...doc.movedAnchors];
+  doc.movedAnchors.clear();
+  const anchors = movedIds
+    .filter((id) => doc.anchors.has(id))
+    .map((id) => ({ id, ...doc.anchors.get(id) }));
+
+  const flush = persistRevisions(entryId, { content, revision, revisions, anchors, title });
+  activeFlushes.set(entryId, flush);
+
+  try {
+    await flush;
+
+    doc.savedRevision = revision;
+
+    const savedAt = Date.now();
+    revisions.forEach((r) => metrics.editPersistLatency.observe((savedAt - r.timestamp) / 1000));
+
+    io.to(`entry_${entryId}`).emit(DIARY_WS_EVENTS.SAVE_SUCCESS, {
+      entryId,
+      revision,
+      timestamp: Date.now(),
+    });
+
+    log.info("Entry saved", { entryId, revision, ops: revisions.length });
+  } catch (err) {
+    // Put the batch back so the next flush retries it
+    doc.unsaved.unshift(...revisions);
+    movedIds.forEach((id) => doc.movedAnchors.add(id));
+    log.error("Autosave error", { entryId, err });
+
+    io.to(`entry_${entryId}`).emit(DIARY_WS_EVENTS.SAVE_FAILED, {
+      entryId,
+      revision: doc.savedRevision,
+      message: "Failed to save entry",
+      timestamp: Date.now(),
+    });
+
+    scheduleFlush(io, entryId, RETRY_DELAY);
+    throw err;
+  } finally {
+    activeFlushes.delete(entryId);
+  }
+
+  // Not while the flush is active: releaseEntryDocument keeps the document then
+  releaseEntryDocument(io, entryId);
+  return revision;
+}
+
+function persistRevisions(entryId, { content, revision, revisions, anchors, title }) {
+  return pool.withTransaction(async (client) => {
+    if (title !== undefined) {
+      await client.query(
+        `UPDATE diary_entries SET title = $2, updated_at = NOW() WHERE id = $1`,
+        [entryId, title]
+      );
+    }
+
+    for (const r of revisions) {
+      await client.query(
+        `
+        INSERT INTO entry_revisions (entry_id, revision, user_id, operation, op_id, created_at)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        ON CONFLICT (entry_id, revision) DO NOTHING
+        `,
+        [entryId, r.revision, r.userId, JSON.stringify(r.operation), r.opId, new Date(r.timestamp)]
+      );
+    }
+
+    await client.query(
+      `
+      UPDATE diary_entries
+      SET content = $2, revision = $3, updated_at = NOW()
+      WHERE id = $1 AND revision < $3
+      `,
+      [entryId, content, revision]
+    );
+
+    for (const a of anchors) {
+      await client.query(
+        `
+        UPDATE entry_comments
+        SET anchor_start = $2, anchor_end = $3, anchor_revision = $4
+        WHERE id = $1
+        `,
+        [a.id, a.start, a.end, revision]
+      );
+    }
+  });
+}
+
+/**
+ * Flush every entry with unsaved revisions or moved anchors
+ */
+async function flushAll(io) {
+  const entryIds = documentCache.keys().filter((id) => hasUnsavedChanges(documentCache.get(id)));
+  const results = await Promise.allSettled(entryIds.map((id) => flushEntry(io, id)));
+  return results.filter((r) => r.status === "rejected").length;
+}
+
+/**
+ * Cancel the flushes (debounces and retries) `io` scheduled, e.g. on
+ * shutdown once flushAll has run
+ * @returns {number} How many were cancelled
+ */
+function cancelScheduledFlushes(io) {
+  let cancelled = 0;
+  for (const [entryId, pending] of flushTimers) {
+    if (pending.io !== io) continue;
+    clearTimeout(pending.timeout);
+    flushTimers.delete(entryId);
+    cancelled += 1;
+  }
+  return cancelled;
+}
+
+/**
+ * Drop a fully saved document from memory once nobody has its room open
+ */
+function releaseEntryDocument(io, entryId) {
+  const doc = documentCache.get(entryId);
+  if (!doc || hasUnsavedChanges(doc) || activeFlushes.has(entryId)) return;
+
+  const room = io.sockets.adapter.rooms.get(`entry_${entryId}`);
+  if (!room || room.size === 0) {
+    documentCache.remove(entryId);
+    // Another instance may sequence the entry's edits from here
+    sequencerLeases.release(io, entryId).catch((err) => {
+      log.error("Lease release error", { entryId, err });
+    });
+  }
+}
+
+// ============================================
+// AUTOSAVE Handler (explicit save request)
+// ============================================
+function registerAutosaveHandlers(io, socket) {
+  handleEvent(
+    socket,
+    DIARY_WS_EVENTS.AUTOSAVE,
+    async ({ entryId }) => {
+      await authorizeEntry(socket, entryId, "editor", "save");
+
+      const doc = documentCache.get(entryId);
+      if (!doc || !hasUnsavedChanges(doc)) {
+        const saved = { entryId, revision: doc ? doc.savedRevision : null };
+        socket.emit(DIARY_WS_EVENTS.SAVE_SUCCESS, MessageFormatter.event(saved));
+        return saved;
+      }
+
+      // A failure is also reported to the room as SAVE_FAILED
+      return { entryId, revision: await flushEntry(io, entryId) };
+    },
+    { log, action: "save" }
+  );
+}
+
+module.exports = {
+  scheduleFlush,
+  flushEntry,
+  flushAll,
+  cancelScheduledFlushes,
+  releaseEntryDocument,
+  hasUnsavedChanges,
+  registerAutosaveHandlers,
+};
@@ -1,77 +1,175 @@
 const pool = require("../db/connection");
+const config = require("../config");
 const MessageFormatter = require("../utils/messageFormatter");
+const OT = require("../utils/operationalTransform");
+const documentCache = require("../cache/documentCache");
+const roomEventLog = require("../cache/roomEventLog");
+const sequencerLeases = require("../cache/sequencerLeases");
+const { scheduleFlush, releaseEntryDocument, hasUnsavedChanges } = require("./autosave");
+const { getEntryRole, cacheRole, authorizeEntry } = require("./permissions");
+const { handleEvent } = require("../utils/handleEvent");
+const {
+  AccessDeniedError,
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} = require("../utils/errors");
+const metrics = require("../utils/metrics");
+const { createLogger } = require("../utils/logger");
+
+const log = createLogger("collaboration");
+const DIARY_WS_EVENTS = require("../constants/diaryWsEvents");
 const DIARY_COLLAB_WS_EVENTS = require("../constants/diaryCollabWsEvents");
 
+// Longest an entry may grow, however its content is written
+const MAX_CONTENT_LENGTH = 100000;
+
 // ============================================
-// Cursor Management
+// Cursor & Selection Management
+// (text offsets, one per connection so two devices don't clobber each
+// other; a cursor is a selection whose anchor and head coincide)
 // ============================================
-function handleCursorMove(io, socket, userId, entryId, position, cursorStore) {
-  const room = `entry_${entryId}`;
 
-  if (!cursorStore.has(entryId)) {
-    cursorStore.set(entryId, new Map());
-  }
+/**
+ * Bring a selection made at `revision` up to the entry's current revision.
+ * Returns null when that revision is older than the retained history.
+ */
+function rebaseSelection(entryId, { anchor, head }, revision) {
+  const doc = documentCache.get(entryId);
+  if (!doc) return { anchor, head, revision: Number.isInteger(revision) ? revision : null };
+
+  const concurrent = Number.isInteger(revision)
+    ? documentCache.historySince(entryId, revision)
+    : [];
+  if (!concurrent) return null;
+
+  const moved = concurrent.reduce(
+    (selection, past) => OT.transformSelection(selection, past.operation),
+    { anchor, head }
+  );
+  const clamp = (n) => Math.min(n, doc.content.length);
 
-  const entryCursors = cursorStore.get(entryId);
+  return { anchor: clamp(moved.anchor), head: clamp(moved.head), revision: doc.revision };
+}
+
+async function handleSelectionChange(io, socket, userId, entryId, selection, cursorStore, event) {
+  const room = `entry_${entryId}`;
+
+  const rebased = rebaseSelection(entryId, selection, selection.revision);
+  if (!rebased) return;
 
   const cursorPayload = {
     userId,
-    position,
+    connectionId: socket.id,
+    entryId,
+    ...rebased,
     timestamp: Date.now(),
   };
 
-  entryCursors.set(userId, cursorPayload);
+  await cursorStore.set(entryId, socket.id, cursorPayload);
 
   // Broadcast to others in the room
-  socket.to(room).emit(DIARY_COLLAB_WS_EVENTS.ENTRY_CURSOR_MOVE, cursorPayload);
+  socket.to(room).emit(event, cursorPayload);
+}
+
+function handleCursorMove(io, socket, userId, entryId, { position, revision }, cursorStore) {
+  return handleSelectionChange(
+    io,
+    socket,
+    userId,
+    entryId,
+    { anchor: position, head: position, revision },
+    cursorStore,
+    DIARY_COLLAB_WS_EVENTS.ENTRY_CURSOR_MOVE
+  );
+}
+
+/**
+ * Every cursor/selection in an entry at the current revision,
+ * optionally leaving out the requesting connection
+ */
+async function listCursors(entryId, cursorStore, exceptConnectionId) {
+  const cursors = await cursorStore.list(entryId);
+
+  return cursors
+    .filter((cursor) => cursor.connectionId !== exceptConnectionId)
+    .map((cursor) => {
+      const rebased = rebaseSelection(entryId, cursor, cursor.revision);
+      return rebased && { ...cursor, ...rebased };
+    })
+    .filter(Boolean);
 }
 
-function clearCursor(io, socket, userId, entryId, cursorStore) {
+async function clearCursor(io, socket, userId, entryId, cursorStore) {
   const room = `entry_${entryId}`;
-  const entryCursors = cursorStore.get(entryId);
-  if (!entryCursors) return;
 
-  entryCursors.delete(userId);
+  if (!(await cursorStore.remove(entryId, socket.id))) return;
 
-  if (entryCursors.size === 0) {
-    cursorStore.delete(entryId);
-  }
+  socket.to(room).emit(
+    DIARY_COLLAB_WS_EVENTS.ENTRY_CURSOR_CLEAR,
+    MessageFormatter.event({ userId, connectionId: socket.id, entryId })
+  );
+}
+
+// ============================================
+// Viewers
+// ============================================
+const STATUS_PRIORITY = { editing: 0, viewing: 1, idle: 2 };
+
+/**
+ * One row per user, showing their most active status across devices
+ */
+async function getEntryViewers(entryId) {
+  const { rows } = await pool.query(
+    `SELECT user_id, status FROM active_sessions WHERE entry_id = $1`,
+    [entryId]
+  );
 
-  socket.to(room).emit(DIARY_COLLAB_WS_EVENTS.ENTRY_CURSOR_CLEAR, { 
-    userId, 
-    entryId 
+  const viewers = new Map();
+  rows.forEach((row) => {
+    const current = viewers.get(row.user_id);
+    if (!current || STATUS_PRIORITY[row.status] < STATUS_PRIORITY[current.status]) {
+      viewers.set(row.user_id, row);
+    }
   });
+
+  return [...viewers.values()];
 }
 
 // ============================================
 // Entry Room Lifecycle
 // ============================================
-async function joinEntryRoom(io, socket, userId, entryId) {
+async function joinEntryRoom(io, socket, userId, entryId, cursorStore) {
   const room = `entry_${entryId}`;
+
+  // Always re-read the role on join; later events use the cached copy
+  const role = await getEntryRole(entryId, userId);
+  if (!role) {
+    throw new AccessDeniedError("You do not have access to this entry");
+  }
+
+  cacheRole(socket, entryId, role);
   socket.join(room);
 
-  // Insert or update active session
+  // Insert or update this connection's session
   await pool.query(
     `
-    INSERT INTO active_sessions (entry_id, user_id, status, last_seen)
-    VALUES ($1, $2, 'viewing', NOW())
-    ON CONFLICT (entry_id, user_id)
+    INSERT INTO active_sessions (entry_id, user_id, socket_id, status, last_seen)
+    VALUES ($1, $2, $3, 'viewing', NOW())
+    ON CONFLICT (entry_id, socket_id)
     DO UPDATE SET status = 'viewing', last_seen = NOW()
     `,
-    [entryId, userId]
+    [entryId, userId, socket.id]
   );
 
-  // Get current viewers
-  const { rows } = await pool.query(
-    `SELECT user_id, status FROM active_sessions WHERE entry_id = $1`,
-    [entryId]
-  );
-
-  // Send current viewers to the joining user
-  socket.emit(DIARY_COLLAB_WS_EVENTS.CURRENT_VIEWERS, {
+  // Send current viewers, and where everyone's cursor is, to the joining user
+  const current = MessageFormatter.event({
     entryId,
-    viewers: rows,
+    role,
+    viewers: await getEntryViewers(entryId),
+    cursors: cursorStore ? await listCursors(entryId, cursorStore, socket.id) : [],
   });
+  socket.emit(DIARY_COLLAB_WS_EVENTS.CURRENT_VIEWERS, current);
 
   // Notify others that this user is viewing
   socket.to(room).emit(DIARY_COLLAB_WS_EVENTS.USER_VIEWING_ENTRY, {
@@ -79,30 +177,220 @@ async function joinEntryRoom(io, socket, userId, entryId) {
     userId,
     timestamp: Date.now(),
   });
+
+  return current;
 }
 
 async function leaveEntryRoom(io, socket, userId, entryId, cursorStore) {
   const room = `entry_${entryId}`;
   socket.leave(room);
+  cacheRole(socket, entryId, null);
 
-  // Delete active session
+  // Delete this connection's session
   await pool.query(
-    `DELETE FROM active_sessions WHERE entry_id = $1 AND user_id = $2`,
+    `DELETE FROM active_sessions WHERE entry_id = $1 AND socket_id = $2`,
+    [entryId, socket.id]
+  );
+
+  // Clear this connection's cursor
+  if (cursorStore) await clearCursor(io, socket, userId, entryId, cursorStore);
+
+  // Free the in-memory document if this was the last viewer
+  releaseEntryDocument(io, entryId);
+
+  // Notify others once the user has no device left in the entry
+  const remaining = await pool.query(
+    `SELECT 1 FROM active_sessions WHERE entry_id = $1 AND user_id = $2 LIMIT 1`,
     [entryId, userId]
   );
 
-  // Clear cursor
-  if (cursorStore && cursorStore.has(entryId)) {
-    const cursors = cursorStore.get(entryId);
-    cursors.delete(userId);
+  if (remaining.rowCount === 0) {
+    socket.to(room).emit(DIARY_COLLAB_WS_EVENTS.ENTRY_COLLAB_LEAVE, {
+      entryId,
+      userId,
+      timestamp: Date.now(),
+    });
   }
+}
+
+/**
+ * Rejoin an entry after a reconnect and replay the room events missed
+ * since `lastSeq`. When they are no longer all logged, send state instead:
+ * the operations since `revision` where possible, else the full content.
+ */
+async function resumeEntrySession(io, socket, userId, resume, cursorStore) {
+  const { entryId, epoch, lastSeq, revision, previousSocketId } = resume;
+  const room = `entry_${entryId}`;
 
-  // Notify others
-  socket.to(room).emit(DIARY_COLLAB_WS_EVENTS.ENTRY_COLLAB_LEAVE, {
+  const role = await getEntryRole(entryId, userId);
+  if (!role) {
+    throw new AccessDeniedError("You do not have access to this entry");
+  }
+  cacheRole(socket, entryId, role);
+
+  // Join and replay with no await in between, so no event is both
+  // replayed and delivered live
+  socket.join(room);
+  const missed = roomEventLog.since(entryId, epoch, lastSeq);
+  if (missed) missed.forEach(({ event, payload }) => socket.emit(event, payload));
+
+  await pool.query(
+    `
+    INSERT INTO active_sessions (entry_id, user_id, socket_id, status, last_seen)
+    VALUES ($1, $2, $3, 'viewing', NOW())
+    ON CONFLICT (entry_id, socket_id)
+    DO UPDATE SET status = 'viewing', last_seen = NOW()
+    `,
+    [entryId, userId, socket.id]
+  );
+
+  // The old connection is back as this one: finish its teardown quietly
+  if (previousSocketId) await completeSessionTeardown(previousSocketId, userId);
+
+  socket.emit(
+    DIARY_COLLAB_WS_EVENTS.CURRENT_VIEWERS,
+    MessageFormatter.event({
+      entryId,
+      role,
+      viewers: await getEntryViewers(entryId),
+      cursors: cursorStore ? await listCursors(entryId, cursorStore, socket.id) : [],
+    })
+  );
+
+  socket.to(room).emit(DIARY_COLLAB_WS_EVENTS.USER_VIEWING_ENTRY, {
     entryId,
     userId,
     timestamp: Date.now(),
   });
+
+  if (!missed) {
+    await handleStateRequest(io, socket, userId, entryId, cursorStore, revision);
+  }
+
+  const resumed = {
+    entryId,
+    replayed: missed ? missed.length : 0,
+    resync: !missed,
+    ...roomEventLog.position(entryId),
+    timestamp: Date.now(),
+  };
+  socket.emit(DIARY_COLLAB_WS_EVENTS.SESSION_RESUMED, resumed);
+
+  log.info("Session resumed", {
+    userId,
+    entryId,
+    replayed: resumed.replayed,
+    resync: resumed.resync,
+  });
+  return resumed;
+}
+
+// ============================================
+// Disconnect Grace Period
+// (a dropped connection keeps its sessions and cursors for a while, so a
+// quick reconnect doesn't look like leaving and rejoining)
+// ============================================
+const pendingTeardowns = new Map(); // socket.id -> { io, userId, timeout, teardown }
+
+function scheduleSessionTeardown(
+  io,
+  socket,
+  userId,
+  cursorStore,
+  delay = config.presence.disconnectGrace
+) {
+  const teardown = async () => {
+    pendingTeardowns.delete(socket.id);
+
+    for (const entryId of Object.keys(socket.data.entryRoles || {})) {
+      await leaveEntryRoom(io, socket, userId, entryId, cursorStore);
+    }
+
+    // Sessions restored onto no room (e.g. left over from a restart)
+    await pool.query(`DELETE FROM active_sessions WHERE socket_id = $1`, [socket.id]);
+  };
+
+  pendingTeardowns.set(socket.id, {
+    io,
+    userId,
+    teardown,
+    timeout: setTimeout(() => {
+      teardown().catch((err) => {
+        log.error("Session teardown error", { userId, socketId: socket.id, err });
+      });
+    }, delay),
+  });
+}
+
+/**
+ * Tear down a disconnected socket's sessions now instead of after the grace period
+ * @returns {Promise<boolean>} Whether a teardown was pending for that socket
+ */
+async function completeSessionTeardown(socketId, userId) {
+  const pending = pendingTeardowns.get(socketId);
+  if (!pending || pending.userId !== userId) return false;
+
+  clearTimeout(pending.timeout);
+  await pending.teardown();
+  return true;
+}
+
+/**
+ * Run every teardown pending for `io`'s sockets now (shutdown: nobody will
+ * resume here); other servers in the process keep their grace periods
+ * @returns {Promise<number>} How many failed
+ */
+async function completeAllSessionTeardowns(io) {
+  const pending = [...pendingTeardowns.values()].filter((teardown) => teardown.io === io);
+  pending.forEach(({ timeout }) => clearTimeout(timeout));
+
+  const results = await Promise.allSettled(pending.map(({ teardown }) => teardown()));
+  results
+    .filter((r) => r.status === "rejected")
+    .forEach((r) => log.error("Session teardown error", { err: r.reason }));
+  return results.filter((r) => r.status === "rejected").length;
+}
+
+/**
+ * Rejoin entries left behind by connections that no longer exist
+ * (e.g. the server restarted before their disconnect was handled).
+ * Connections dropped within `graceMs` are skipped: they may still
+ * resume themselves (SESSION_RESUME), possibly on another device.
+ */
+async function restoreEntrySessions(io, socket, userId, graceMs = 0) {
+  // Sessions left behind by sockets that are no longer connected
+  const { rows } = await pool.query(
+    `
+    DELETE FROM active_sessions
+    WHERE user_id = $1
+      AND socket_id NOT IN (
+        SELECT socket_id FROM ws_connections WHERE online = true OR last_seen > $2
+      )
+    RETURNING entry_id
+    `,
+    [userId, new Date(Date.now() - graceMs)]
+  );
+
+  const entryIds = [...new Set(rows.map((row) => row.entry_id))];
+
+  for (const entryId of entryIds) {
+    const role = await getEntryRole(entryId, userId).catch(() => null);
+    if (!role) continue;
+
+    cacheRole(socket, entryId, role);
+    socket.join(`entry_${entryId}`);
+
+    await pool.query(
+      `
+      INSERT INTO active_sessions (entry_id, user_id, socket_id, status, last_seen)
+      VALUES ($1, $2, $3, 'viewing', NOW())
+      ON CONFLICT (entry_id, socket_id) DO NOTHING
+      `,
+      [entryId, userId, socket.id]
+    );
+
+    log.info("Session restored", { userId, socketId: socket.id, entryId });
+  }
 }
 
 // ============================================
@@ -112,8 +400,8 @@ async function userEditingEntry(io, socket, userId, entryId) {
   await pool.query(
     `UPDATE active_sessions 
      SET status = 'editing', last_seen = NOW() 
-     WHERE entry_id = $1 AND user_id = $2`,
-    [entryId, userId]
+     WHERE entry_id = $1 AND socket_id = $2`,
+    [entryId, socket.id]
   );
 
   io.to(`entry_${entryId}`).emit(DIARY_COLLAB_WS_EVENTS.USER_EDITING_ENTRY, {
@@ -127,8 +415,8 @@ async function userIdleEntry(io, socket, userId, entryId) {
   await pool.query(
     `UPDATE active_sessions 
      SET status = 'idle', last_seen = NOW() 
-     WHERE entry_id = $1 AND user_id = $2`,
-    [entryId, userId]
+     WHERE entry_id = $1 AND socket_id = $2`,
+    [entryId, socket.id]
   );
 
   io.to(`entry_${entryId}`).emit(DIARY_COLLAB_WS_EVENTS.USER_IDLE_ENTRY, {
@@ -138,170 +426,426 @@ async function userIdleEntry(io, socket, userId, entryId) {
   });
 }
 
+// ============================================
+// Entry Documents (sequenced content + revision)
+// ============================================
+const documentLoads = new Map(); // entryId -> Promise<doc | null>
+
+async function loadEntryDocument(entryId) {
+  const cached = documentCache.get(entryId);
+  if (cached) return cached;
+
+  // Share a single query between edits arriving while the entry loads
+  if (!documentLoads.has(entryId)) {
+    const load = Promise.all([
+      pool.query(
+        `
+        SELECT content, revision, updated_at FROM diary_entries
+        WHERE id = $1 AND deleted_at IS NULL
+        `,
+        [entryId]
+      ),
+      pool.query(
+        `
+        SELECT id, anchor_start, anchor_end FROM entry_comments
+        WHERE entry_id = $1 AND parent_id IS NULL AND anchor_start IS NOT NULL
+        `,
+        [entryId]
+      ),
+    ])
+      .then(([{ rows }, comments]) => {
+        if (!rows[0]) return null;
+        if (!documentCache.has(entryId)) {
+          documentCache.set(entryId, {
+            content: rows[0].content || "",
+            revision: rows[0].revision,
+            savedRevision: rows[0].revision,
+            updatedAt: rows[0].updated_at,
+            history: [],
+            unsaved: [],
+            anchors: new Map(
+              comments.rows.map((c) => [c.id, { start: c.anchor_start, end: c.anchor_end }])
+            ),
+            movedAnchors: new Set(),
+          });
+        }
+        return documentCache.get(entryId);
+      })
+      .finally(() => documentLoads.delete(entryId));
+
+    documentLoads.set(entryId, load);
+  }
+
+  return documentLoads.get(entryId);
+}
+
+// Furthest back a reconnecting client can be caught up operation by operation
+const { maxReplayRevisions: MAX_REPLAY_REVISIONS } = config.collaboration;
+
+/**
+ * Operations sequenced after `revision`, oldest first. Falls back to
+ * entry_revisions when the in-memory history no longer reaches back that
+ * far (e.g. a client that was offline while the document was released).
+ * Resolves to null when the gap cannot be filled.
+ */
+async function loadHistorySince(entryId, revision) {
+  const doc = documentCache.get(entryId);
+  if (!doc || !Number.isInteger(revision) || revision > doc.revision) return null;
+
+  const cached = documentCache.historySince(entryId, revision);
+  if (cached) return cached;
+  if (doc.revision - revision > MAX_REPLAY_REVISIONS) return null;
+
+  const { rows } = await pool.query(
+    `
+    SELECT revision, user_id, operation, op_id, created_at FROM entry_revisions
+    WHERE entry_id = $1 AND revision > $2
+    ORDER BY revision
+    LIMIT $3
+    `,
+    [entryId, revision, MAX_REPLAY_REVISIONS]
+  );
+
+  // Saved revisions from the table, anything newer from memory
+  const byRevision = new Map(
+    rows.map((row) => [
+      row.revision,
+      {
+        revision: row.revision,
+        userId: row.user_id,
+        operation: row.operation,
+        opId: row.op_id,
+        timestamp: new Date(row.created_at).getTime(),
+      },
+    ])
+  );
+  doc.history.forEach((record) => byRevision.set(record.revision, record));
+
+  const history = [];
+  for (let r = revision + 1; r <= doc.revision; r++) {
+    if (!byRevision.has(r)) return null;
+    history.push(byRevision.get(r));
+  }
+  return history;
+}
+
 // ============================================
 // State Request Handler
+// (with `sinceRevision`, a reconnecting client gets the operations it
+// missed rather than the whole content, so its own pending edits survive)
 // ============================================
-async function handleStateRequest(io, socket, userId, entryId) {
+async function handleStateRequest(io, socket, userId, entryId, cursorStore, sinceRevision) {
   try {
-    // Fetch entry content
-    const entryRes = await pool.query(
-      `SELECT content, updated_at FROM diary_entries WHERE id = $1`,
-      [entryId]
-    );
+    return await sendEntryState(socket, userId, entryId, cursorStore, sinceRevision);
+  } finally {
+    // Asked for from outside the room, the document needn't stay in memory
+    releaseIdleDocument(io, entryId);
+  }
+}
 
-    const entry = entryRes.rows[0];
-    if (!entry) {
-      socket.emit(DIARY_COLLAB_WS_EVENTS.STATE_RESPONSE, {
-        entryId,
-        error: "Entry not found",
-      });
-      return;
-    }
+async function sendEntryState(socket, userId, entryId, cursorStore, sinceRevision) {
+  const entry = await loadEntryDocument(entryId);
+  if (!entry) throw new NotFoundError("Entry");
 
-    // Fetch current viewers
-    const viewersRes = await pool.query(
-      `SELECT user_id, status FROM active_sessions WHERE entry_id = $1`,
-      [entryId]
-    );
+  const viewers = await getEntryViewers(entryId);
+  const cursors = cursorStore ? await listCursors(entryId, cursorStore, socket.id) : undefined;
+  const missed =
+    sinceRevision === undefined ? null : await loadHistorySince(entryId, sinceRevision);
 
-    // Send full state
-    socket.emit(DIARY_COLLAB_WS_EVENTS.STATE_RESPONSE, {
+  if (missed) {
+    const state = MessageFormatter.event({
       entryId,
-      content: entry.content,
-      updatedAt: entry.updated_at,
-      viewers: viewersRes.rows,
+      sinceRevision,
+      operations: missed.map(({ revision, userId: author, operation, opId }) => ({
+        revision,
+        userId: author,
+        operation,
+        opId,
+      })),
+      revision: entry.revision,
+      viewers,
+      cursors,
+    });
+    socket.emit(DIARY_COLLAB_WS_EVENTS.STATE_RESPONSE, state);
+    log.debug("Missed operations sent", { userId, entryId, operationCount: missed.length });
+    return state;
+  }
+
+  // Send full state
+  const state = MessageFormatter.event({
+    entryId,
+    content: entry.content,
+    revision: entry.revision,
+    updatedAt: entry.updatedAt,
+    viewers,
+    cursors,
+  });
+  socket.emit(DIARY_COLLAB_WS_EVENTS.STATE_RESPONSE, state);
+
+  log.debug("State sent", { userId, entryId });
+  return state;
+}
+
+// ============================================
+// Edit Sequencing (operational transform)
+// (resolves to the new revision once it has been broadcast)
+// ============================================
+const editQueues = new Map(); // entryId -> Promise (the last queued edit)
+
+/**
+ * Run `fn` once every edit queued before it for the entry has finished.
+ * Sequencing awaits (document loads, entry_revisions lookups), so without
+ * this an edit could be transformed against a history that other edits
+ * have since moved past.
+ */
+function serializeEntryEdits(entryId, fn) {
+  const previous = editQueues.get(entryId) || Promise.resolve();
+  const run = previous.then(fn);
+  const queued = run.catch(() => {});
+
+  editQueues.set(entryId, queued);
+  queued.then(() => {
+    if (editQueues.get(entryId) === queued) editQueues.delete(entryId);
+  });
+  return run;
+}
+
+/**
+ * Drop a document loaded just to be read (state requests, comment anchors)
+ * unless its room or unsaved edits still need it. Queued behind the edits
+ * in flight, so none of them loses the document halfway.
+ */
+function releaseIdleDocument(io, entryId) {
+  serializeEntryEdits(entryId, async () => releaseEntryDocument(io, entryId));
+}
+
+/**
+ * The entry's document, once this instance holds the lease on sequencing
+ * its edits (src/cache/sequencerLeases.js). After taking the lease over, a
+ * cached document may be behind what the previous holder saved, so unless
+ * it has unsaved changes it is loaded again.
+ * @throws {ConflictError} While another instance sequences the entry
+ */
+async function loadSequencedDocument(io, entryId) {
+  const lease = await sequencerLeases.acquire(io, entryId);
+  if (!lease.held) {
+    throw new ConflictError("Entry is being edited through another server", { entryId });
+  }
+
+  const cached = documentCache.get(entryId);
+  if (cached && !lease.continued && !hasUnsavedChanges(cached)) documentCache.remove(entryId);
+  return loadEntryDocument(entryId);
+}
+
+function applyEntryEdit(io, socket, userId, payload) {
+  return serializeEntryEdits(payload.entryId, () =>
+    sequenceEntryEdit(io, socket, userId, payload)
+  );
+}
+
+async function sequenceEntryEdit(io, socket, userId, payload) {
+  const { entryId, operation, baseRevision, cursorPosition, timestamp, opId } = payload;
+  const room = `entry_${entryId}`;
+
+  const doc = await loadSequencedDocument(io, entryId);
+  if (!doc) throw new NotFoundError("Entry");
+
+  // Too old (or from the future): the client must resync from full state
+  const concurrent = await loadHistorySince(entryId, baseRevision);
+  if (!concurrent) {
+    log.warn("Base revision unavailable, resyncing", { userId, entryId, baseRevision });
+    await handleStateRequest(io, socket, userId, entryId);
+    return;
+  }
+
+  // A replay of an operation that was sequenced before the client lost
+  // its connection (the ack never arrived): acknowledge it again
+  const duplicate = opId && concurrent.find((past) => past.opId === opId);
+  if (duplicate) {
+    socket.emit(DIARY_COLLAB_WS_EVENTS.ENTRY_EDIT_ACK, {
+      entryId,
+      revision: duplicate.revision,
+      opId,
       timestamp: Date.now(),
     });
+    return;
+  }
 
-    console.log(`📡 State sent to ${userId} for entry ${entryId}`);
+  // Transform against everything sequenced since the client's base revision
+  let transformed = operation;
+  let conflicted = false;
+  for (const past of concurrent) {
+    [transformed] = OT.transform(transformed, past.operation);
+    if (past.userId !== userId) conflicted = true;
+  }
+
+  let content;
+  try {
+    content = OT.apply(doc.content, transformed);
   } catch (err) {
-    console.error("State request error:", err);
-    socket.emit(DIARY_COLLAB_WS_EVENTS.STATE_RESPONSE, {
+    log.warn("Rejected edit", { userId, entryId, reason: err.message });
+    await handleStateRequest(io, socket, userId, entryId);
+    return;
+  }
+  if (content.length > MAX_CONTENT_LENGTH) {
+    throw new ValidationError(`content must be at most ${MAX_CONTENT_LENGTH} characters`);
+  }
+
+  const revision = documentCache.pushRevision(entryId, userId, transformed, content, opId);
+  scheduleFlush(io, entryId);
+
+  const edit = roomEventLog.record(entryId, DIARY_COLLAB_WS_EVENTS.ENTRY_EDIT, {
+    entryId,
+    operation: transformed,
+    revision,
+    opId,
+    cursorPosition,
+    userId,
+    timestamp: Date.now(),
+  });
+
+  // Confirm to the author (with the log position, so a resume doesn't
+  // replay the author's own edit), broadcast the op to everyone else
+  socket.emit(DIARY_COLLAB_WS_EVENTS.ENTRY_EDIT_ACK, {
+    entryId,
+    revision,
+    opId,
+    seq: edit.seq,
+    epoch: edit.epoch,
+    timestamp: Date.now(),
+  });
+
+  socket.to(room).emit(DIARY_COLLAB_WS_EVENTS.ENTRY_EDIT, edit);
+
+  if (conflicted) {
+    socket.emit(DIARY_WS_EVENTS.CONFLICT_DETECTED, {
       entryId,
-      error: "Failed to fetch state",
+      strategy: "operational-transform",
+      baseRevision,
+      revision,
+      clientTimestamp: timestamp,
+      timestamp: Date.now(),
     });
   }
+
+  return revision;
 }
 
 // ============================================
 // Collaboration Event Handlers
 // ============================================
-const lastEditMap = new Map(); // entryId -> { userId, timestamp }
-const debounceMap = new Map(); // socket.id -> timeout
-const cursorThrottleMap = new Map(); // socket.id -> lastEmit
-
-function registerCollaborationHandlers(io, socket, cursorStore, checkRateLimit) {
+// Edits, cursor moves and selection changes are rate limited per user and
+// IP before they get here (src/middleware/rateLimit.js)
+function registerCollaborationHandlers(io, socket, cursorStore) {
   const userId = socket.data.userId;
+  const handle = (event, action, options) =>
+    handleEvent(socket, event, action, { log, ...options });
 
   // ============================================
-  // ENTRY_EDIT Handler (with debounce & conflict detection)
+  // ENTRY_EDIT Handler (transform & sequence)
+  // (acks { entryId, opId, revision }; revision is null when the edit was
+  // not sequenced now: a resend, or the client was sent state to resync)
   // ============================================
-  socket.on(DIARY_COLLAB_WS_EVENTS.ENTRY_EDIT, (payload) => {
-    const { entryId, content, operation, cursorPosition, timestamp } = payload;
-    
-    if (!entryId || !timestamp) {
-      console.warn(`Invalid ENTRY_EDIT payload from ${userId}`);
-      return;
-    }
-
-    // Rate limiting
-    if (!checkRateLimit(userId)) {
-      socket.emit("ERROR", { 
-        code: "RATE_LIMIT", 
-        message: "Too many edits per second" 
-      });
-      return;
-    }
-
-    const room = `entry_${entryId}`;
-    const lastEdit = lastEditMap.get(entryId);
-
-    // Conflict detection (if two edits happen within 300ms)
-    if (
-      lastEdit &&
-      lastEdit.userId !== userId &&
-      Math.abs(timestamp - lastEdit.timestamp) < 300
-    ) {
-      socket.emit(DIARY_COLLAB_WS_EVENTS.CONFLICT_DETECTED, {
-        entryId,
-        strategy: "last-write-wins",
-        timestamp: Date.now(),
-      });
-    }
-
-    // Clear previous debounce
-    if (debounceMap.has(socket.id)) {
-      clearTimeout(debounceMap.get(socket.id));
-    }
-
-    // Debounce (500ms)
-    debounceMap.set(
-      socket.id,
-      setTimeout(() => {
-        const editPayload = {
-          entryId,
-          content,
-          operation,
-          cursorPosition,
-          userId,
-          timestamp: Date.now(),
-        };
-
-        // Broadcast to others in the room
-        socket.to(room).emit(DIARY_COLLAB_WS_EVENTS.ENTRY_EDIT, editPayload);
-
-        // Update last edit tracking
-        lastEditMap.set(entryId, {
-          userId,
-          timestamp: editPayload.timestamp,
-        });
-
-        debounceMap.delete(socket.id);
-      }, 500)
-    );
-  });
+  handle(
+    DIARY_COLLAB_WS_EVENTS.ENTRY_EDIT,
+    async (payload) => {
+      const { entryId, opId } = payload;
+      const endLatencyTimer = metrics.editBroadcastLatency.startTimer();
+
+      await authorizeEntry(socket, entryId, "editor", "edit");
+      const revision = await applyEntryEdit(io, socket, userId, payload);
+      if (revision) endLatencyTimer();
+
+      return { entryId, opId, revision: revision || null };
+    },
+    { action: "edit" }
+  );
 
   // ============================================
-  // ENTRY_CURSOR_MOVE Handler (with throttle)
+  // ENTRY_CURSOR_MOVE Handler
+  // ({ entryId, position: offset, revision })
   // ============================================
-  socket.on(DIARY_COLLAB_WS_EVENTS.ENTRY_CURSOR_MOVE, ({ entryId, position }) => {
-    if (!entryId || !position) return;
-
-    const lastEmit = cursorThrottleMap.get(socket.id) || 0;
-    const now = Date.now();
-
-    // Throttle: max 10 updates/sec (100ms between updates)
-    if (now - lastEmit < 100) return;
-    
-    cursorThrottleMap.set(socket.id, now);
+  handle(
+    DIARY_COLLAB_WS_EVENTS.ENTRY_CURSOR_MOVE,
+    async ({ entryId, position, revision }) => {
+      await authorizeEntry(socket, entryId, "viewer", "cursor");
+      await handleCursorMove(io, socket, userId, entryId, { position, revision }, cursorStore);
+      return null;
+    },
+    { action: "cursor" }
+  );
 
-    handleCursorMove(io, socket, userId, entryId, position, cursorStore);
-  });
+  // ============================================
+  // ENTRY_SELECTION_CHANGE Handler
+  // ({ entryId, anchor, head, revision })
+  // ============================================
+  handle(
+    DIARY_COLLAB_WS_EVENTS.ENTRY_SELECTION_CHANGE,
+    async ({ entryId, anchor, head, revision }) => {
+      await authorizeEntry(socket, entryId, "viewer", "cursor");
+      await handleSelectionChange(
+        io,
+        socket,
+        userId,
+        entryId,
+        { anchor, head, revision },
+        cursorStore,
+        DIARY_COLLAB_WS_EVENTS.ENTRY_SELECTION_CHANGE
+      );
+      return null;
+    },
+    { action: "cursor" }
+  );
 
   // ============================================
   // USER_EDITING_ENTRY Handler
   // ============================================
-  socket.on(DIARY_COLLAB_WS_EVENTS.USER_EDITING_ENTRY, async ({ entryId }) => {
-    if (!entryId) return;
-    await userEditingEntry(io, socket, userId, entryId);
-  });
+  handle(
+    DIARY_COLLAB_WS_EVENTS.USER_EDITING_ENTRY,
+    async ({ entryId }) => {
+      await authorizeEntry(socket, entryId, "editor", "edit");
+      await userEditingEntry(io, socket, userId, entryId);
+      return { entryId, status: "editing" };
+    },
+    { action: "edit" }
+  );
 
   // ============================================
   // USER_IDLE_ENTRY Handler
   // ============================================
-  socket.on(DIARY_COLLAB_WS_EVENTS.USER_IDLE_ENTRY, async ({ entryId }) => {
-    if (!entryId) return;
-    await userIdleEntry(io, socket, userId, entryId);
-  });
+  handle(
+    DIARY_COLLAB_WS_EVENTS.USER_IDLE_ENTRY,
+    async ({ entryId }) => {
+      await authorizeEntry(socket, entryId, "viewer", "view");
+      await userIdleEntry(io, socket, userId, entryId);
+      return { entryId, status: "idle" };
+    },
+    { action: "view" }
+  );
 }
 
 module.exports = {
+  MAX_CONTENT_LENGTH,
   registerCollaborationHandlers,
   joinEntryRoom,
   leaveEntryRoom,
+  restoreEntrySessions,
+  resumeEntrySession,
+  scheduleSessionTeardown,
+  completeSessionTeardown,
+  completeAllSessionTeardowns,
+  getEntryViewers,
   userEditingEntry,
   userIdleEntry,
   handleCursorMove,
+  handleSelectionChange,
+  listCursors,
   clearCursor,
   handleStateRequest,
+  loadEntryDocument,
+  loadSequencedDocument,
+  loadHistorySince,
+  serializeEntryEdits,
+  releaseIdleDocument,
+  applyEntryEdit,
 };
\ No newline at end of file
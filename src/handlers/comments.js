@@ -0,0 +1,405 @@
+const pool = require("../db/connection");
+const OT = require("../utils/operationalTransform");
+const documentCache = require("../cache/documentCache");
+const roomEventLog = require("../cache/roomEventLog");
+const DIARY_COLLAB_WS_EVENTS = require("../constants/diaryCollabWsEvents");
+const { getEntryRole, hasRole } = require("./permissions");
+const { loadEntryDocument, releaseIdleDocument } = require("./collaboration");
+const { scheduleFlush } = require("./autosave");
+const { createNotification, NOTIFICATION_TYPES } = require("./notifications");
+const {
+  AccessDeniedError,
+  NotFoundError,
+  ValidationError,
+} = require("../utils/errors");
+const MessageFormatter = require("../utils/messageFormatter");
+const { handleEvent } = require("../utils/handleEvent");
+const { createLogger } = require("../utils/logger");
+
+const log = createLogger("comments");
+
+const MAX_BODY_LENGTH = 5000;
+
+// Anchors follow edits in memory; fall back to the stored range
+function anchorOf(row) {
+  if (row.parent_id || row.anchor_start === null) return null;
+
+  const doc = documentCache.get(row.entry_id);
+  const live = doc && doc.anchors.get(row.id);
+  return live ? { ...live } : { start: row.anchor_start, end: row.anchor_end };
+}
+
+function formatComment(row) {
+  return {
+    commentId: row.id,
+    entryId: row.entry_id,
+    parentId: row.parent_id,
+    userId: row.user_id,
+    body: row.body,
+    anchor: anchorOf(row),
+    quote: row.quote,
+    resolved: row.resolved,
+    resolvedBy: row.resolved_by,
+    resolvedAt: row.resolved_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+async function getComment(commentId) {
+  const { rows } = await pool.query(`SELECT * FROM entry_comments WHERE id = $1`, [commentId]);
+  if (!rows[0]) throw new NotFoundError("Comment");
+  return rows[0];
+}
+
+async function requireEntryRole(entryId, userId, required) {
+  const role = await getEntryRole(entryId, userId);
+  if (!hasRole(role, required)) {
+    throw new AccessDeniedError(`Requires ${required} access to this entry`);
+  }
+  return role;
+}
+
+function validateBody(body) {
+  if (typeof body !== "string" || body.trim().length === 0) {
+    throw new ValidationError("Comment body is required");
+  }
+  if (body.length > MAX_BODY_LENGTH) {
+    throw new ValidationError(`Comment body exceeds ${MAX_BODY_LENGTH} characters`);
+  }
+  return body.trim();
+}
+
+/**
+ * Bring a client's anchor, made against `revision`, up to the
+ * entry's current revision
+ */
+async function resolveAnchor(entryId, anchor, revision) {
+  if (
+    !anchor ||
+    !Number.isInteger(anchor.start) ||
+    !Number.isInteger(anchor.end) ||
+    !Number.isInteger(revision)
+  ) {
+    throw new ValidationError("anchor { start, end } and revision are required");
+  }
+
+  const doc = await loadEntryDocument(entryId);
+  if (!doc) throw new NotFoundError("Entry");
+
+  const concurrent = documentCache.historySince(entryId, revision);
+  if (!concurrent) {
+    throw new ValidationError(`Revision ${revision} is no longer available; resync and retry`);
+  }
+
+  const range = concurrent.reduce((r, past) => OT.transformRange(r, past.operation), anchor);
+
+  if (range.start < 0 || range.end > doc.content.length || range.start >= range.end) {
+    throw new ValidationError("Anchor must select text inside the entry");
+  }
+
+  return {
+    range,
+    revision: doc.revision,
+    quote: doc.content.slice(range.start, range.end),
+  };
+}
+
+// ============================================
+// Comment Lifecycle
+// ============================================
+
+/**
+ * Start a thread on a text range, or reply to an existing thread
+ */
+async function addComment(io, userId, { entryId, body, anchor, revision, parentId }) {
+  const text = validateBody(body);
+  let row;
+
+  if (parentId) {
+    const parent = await getComment(parentId);
+    if (entryId && parent.entry_id !== entryId) {
+      throw new ValidationError("Parent comment belongs to another entry");
+    }
+    entryId = parent.entry_id;
+    await requireEntryRole(entryId, userId, "commenter");
+
+    // Threads are one level deep: replies to a reply join the root thread
+    const threadId = parent.parent_id || parent.id;
+
+    ({ rows: [row] } = await pool.query(
+      `
+      INSERT INTO entry_comments (entry_id, parent_id, user_id, body)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+      `,
+      [entryId, threadId, userId, text]
+    ));
+  } else {
+    await requireEntryRole(entryId, userId, "commenter");
+    try {
+      row = await insertAnchoredComment(io, userId, entryId, text, anchor, revision);
+    } finally {
+      // Commenters needn't be in the room; nobody there, nothing to keep loaded
+      releaseIdleDocument(io, entryId);
+    }
+  }
+
+  const comment = formatComment(row);
+  io.to(`entry_${entryId}`).emit(
+    DIARY_COLLAB_WS_EVENTS.COMMENT_ADDED,
+    roomEventLog.record(
+      entryId,
+      DIARY_COLLAB_WS_EVENTS.COMMENT_ADDED,
+      MessageFormatter.event(comment)
+    )
+  );
+
+  await notifyCommentAdded(io, userId, comment);
+
+  log.info("Comment added", { userId, entryId, commentId: comment.commentId });
+  return comment;
+}
+
+async function insertAnchoredComment(io, userId, entryId, text, anchor, revision) {
+  const { range, revision: anchorRevision, quote } = await resolveAnchor(
+    entryId,
+    anchor,
+    revision
+  );
+
+  const { rows: [row] } = await pool.query(
+    `
+    INSERT INTO entry_comments
+      (entry_id, user_id, body, anchor_start, anchor_end, anchor_revision, quote)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING *
+    `,
+    [entryId, userId, text, range.start, range.end, anchorRevision, quote]
+  );
+
+  // Edits sequenced while the row was being written still have to move it
+  const since = documentCache.historySince(entryId, anchorRevision) || [];
+  const current = since.reduce((r, past) => OT.transformRange(r, past.operation), range);
+  // A moved anchor is saved by the next flush, even if those edits already were
+  const moved = since.length > 0;
+  documentCache.setAnchor(entryId, row.id, current, moved);
+  if (moved) scheduleFlush(io, entryId);
+  return row;
+}
+
+async function notifyCommentAdded(io, userId, comment) {
+  const recipients = comment.parentId
+    ? await pool.query(
+        `SELECT DISTINCT user_id FROM entry_comments WHERE id = $1 OR parent_id = $1`,
+        [comment.parentId]
+      )
+    : await pool.query(`SELECT user_id FROM diary_entries WHERE id = $1`, [comment.entryId]);
+
+  const data = {
+    entryId: comment.entryId,
+    commentId: comment.commentId,
+    threadId: comment.parentId || comment.commentId,
+  };
+
+  for (const { user_id: recipient } of recipients.rows) {
+    if (recipient === userId) continue;
+
+    await createNotification(io, {
+      userId: recipient,
+      type: comment.parentId ? NOTIFICATION_TYPES.COMMENT_REPLY : NOTIFICATION_TYPES.COMMENT,
+      title: comment.parentId ? "New reply" : "New comment",
+      message: `${userId}: ${comment.body.slice(0, 100)}`,
+      data,
+    });
+  }
+}
+
+/**
+ * Authors can change the text of their own comments
+ */
+async function editComment(io, userId, commentId, body) {
+  const text = validateBody(body);
+  const existing = await getComment(commentId);
+
+  if (existing.user_id !== userId) {
+    throw new AccessDeniedError("Only the author can edit this comment");
+  }
+  await requireEntryRole(existing.entry_id, userId, "commenter");
+
+  const { rows } = await pool.query(
+    `
+    UPDATE entry_comments
+    SET body = $2, updated_at = NOW()
+    WHERE id = $1
+    RETURNING *
+    `,
+    [commentId, text]
+  );
+
+  const comment = formatComment(rows[0]);
+  io.to(`entry_${comment.entryId}`).emit(
+    DIARY_COLLAB_WS_EVENTS.COMMENT_EDITED,
+    roomEventLog.record(
+      comment.entryId,
+      DIARY_COLLAB_WS_EVENTS.COMMENT_EDITED,
+      MessageFormatter.event(comment)
+    )
+  );
+  return comment;
+}
+
+/**
+ * The author or the entry owner can delete a comment.
+ * Deleting a thread's root removes its replies too.
+ */
+async function deleteComment(io, userId, commentId) {
+  const existing = await getComment(commentId);
+  // Authors who lost access to the entry can't delete what they wrote there
+  const role = await requireEntryRole(existing.entry_id, userId, "viewer");
+
+  if (existing.user_id !== userId && role !== "owner") {
+    throw new AccessDeniedError("Only the author or the entry owner can delete this comment");
+  }
+
+  await pool.query(`DELETE FROM entry_comments WHERE id = $1 OR parent_id = $1`, [commentId]);
+  if (!existing.parent_id) documentCache.removeAnchor(existing.entry_id, existing.id);
+
+  const payload = {
+    entryId: existing.entry_id,
+    commentId: existing.id,
+    parentId: existing.parent_id,
+    deletedBy: userId,
+    timestamp: Date.now(),
+  };
+
+  io.to(`entry_${existing.entry_id}`).emit(
+    DIARY_COLLAB_WS_EVENTS.COMMENT_DELETED,
+    roomEventLog.record(existing.entry_id, DIARY_COLLAB_WS_EVENTS.COMMENT_DELETED, payload)
+  );
+
+  log.info("Comment deleted", { userId, entryId: existing.entry_id, commentId });
+  return payload;
+}
+
+/**
+ * Resolve or reopen a thread
+ */
+async function setCommentResolved(io, userId, commentId, resolved) {
+  const existing = await getComment(commentId);
+
+  if (existing.parent_id) {
+    throw new ValidationError("Only a thread's first comment can be resolved");
+  }
+  if (existing.resolved === resolved) {
+    throw new ValidationError(`Comment is already ${resolved ? "resolved" : "open"}`);
+  }
+  await requireEntryRole(existing.entry_id, userId, "commenter");
+
+  const { rows } = await pool.query(
+    `
+    UPDATE entry_comments
+    SET resolved = $2,
+        resolved_by = $3,
+        resolved_at = $4,
+        updated_at = NOW()
+    WHERE id = $1
+    RETURNING *
+    `,
+    [commentId, resolved, resolved ? userId : null, resolved ? new Date() : null]
+  );
+
+  const comment = formatComment(rows[0]);
+  const event = resolved
+    ? DIARY_COLLAB_WS_EVENTS.COMMENT_RESOLVED
+    : DIARY_COLLAB_WS_EVENTS.COMMENT_REOPENED;
+  io.to(`entry_${comment.entryId}`).emit(
+    event,
+    roomEventLog.record(comment.entryId, event, MessageFormatter.event(comment))
+  );
+  return comment;
+}
+
+/**
+ * Every thread on an entry, oldest first, with replies nested
+ */
+async function listComments(entryId, { includeResolved = true } = {}) {
+  const { rows } = await pool.query(
+    `
+    SELECT * FROM entry_comments
+    WHERE entry_id = $1
+    ORDER BY created_at ASC, id ASC
+    `,
+    [entryId]
+  );
+
+  const threads = new Map();
+  rows
+    .filter((row) => !row.parent_id)
+    .forEach((row) => threads.set(row.id, { ...formatComment(row), replies: [] }));
+
+  rows
+    .filter((row) => row.parent_id && threads.has(row.parent_id))
+    .forEach((row) => threads.get(row.parent_id).replies.push(formatComment(row)));
+
+  const doc = documentCache.get(entryId);
+  return {
+    entryId,
+    revision: doc ? doc.revision : null,
+    threads: [...threads.values()].filter((t) => includeResolved || !t.resolved),
+  };
+}
+
+// ============================================
+// Comment Event Handlers
+// ============================================
+function registerCommentHandlers(io, socket) {
+  const userId = socket.data.userId;
+
+  const handle = (event, action) => handleEvent(socket, event, action, { log });
+
+  handle(DIARY_COLLAB_WS_EVENTS.COMMENT_ADDED, async (payload) => {
+    if (!payload.entryId && !payload.parentId) {
+      throw new ValidationError("entryId or parentId is required");
+    }
+    return addComment(io, userId, payload);
+  });
+
+  handle(DIARY_COLLAB_WS_EVENTS.COMMENT_EDITED, async ({ commentId, body }) => {
+    if (!commentId) throw new ValidationError("commentId is required");
+    return editComment(io, userId, commentId, body);
+  });
+
+  handle(DIARY_COLLAB_WS_EVENTS.COMMENT_DELETED, async ({ commentId }) => {
+    if (!commentId) throw new ValidationError("commentId is required");
+    return deleteComment(io, userId, commentId);
+  });
+
+  handle(DIARY_COLLAB_WS_EVENTS.COMMENT_RESOLVED, async ({ commentId }) => {
+    if (!commentId) throw new ValidationError("commentId is required");
+    return setCommentResolved(io, userId, commentId, true);
+  });
+
+  handle(DIARY_COLLAB_WS_EVENTS.COMMENT_REOPENED, async ({ commentId }) => {
+    if (!commentId) throw new ValidationError("commentId is required");
+    return setCommentResolved(io, userId, commentId, false);
+  });
+
+  handle(DIARY_COLLAB_WS_EVENTS.COMMENT_LIST_REQUEST, async ({ entryId, includeResolved }) => {
+    if (!entryId) throw new ValidationError("entryId is required");
+    await requireEntryRole(entryId, userId, "viewer");
+    const result = await listComments(entryId, { includeResolved: includeResolved !== false });
+    socket.emit(DIARY_COLLAB_WS_EVENTS.COMMENT_LIST_RESPONSE, MessageFormatter.event(result));
+    return result;
+  });
+}
+
+module.exports = {
+  MAX_BODY_LENGTH,
+  addComment,
+  editComment,
+  deleteComment,
+  setCommentResolved,
+  listComments,
+  registerCommentHandlers,
+};
@@ -11,7 +11,11 @@ const USER_COLORS = [
   "#8B5CF6", // purple
 ];
 
-export default function CollaborationBar({ entryId }) {
+/**
+ * `offsetToPoint` / `rangeToRects` come from the editor and turn text
+ * offsets into pixel positions (see LiveCursor)
+ */
+export default function CollaborationBar({ entryId, offsetToPoint, rangeToRects }) {
   const { viewers, cursors } = useCollaboration(entryId);
 
   // Assign consistent color per user
@@ -41,13 +45,16 @@ export default function CollaborationBar({ entryId }) {
         </span>
       </div>
 
-      {/* Live cursors */}
-      {Object.entries(cursors).map(([userId, cursor]) => (
+      {/* Live cursors and selections */}
+      {Object.entries(cursors).map(([connectionId, cursor]) => (
         <LiveCursor
-          key={userId}
-          userId={userId}
-          position={cursor.position}
-          color={userColorMap[userId] || "#000"}
+          key={connectionId}
+          userId={cursor.userId}
+          anchor={cursor.anchor}
+          head={cursor.head}
+          color={userColorMap[cursor.userId] || "#000"}
+          offsetToPoint={offsetToPoint}
+          rangeToRects={rangeToRects}
         />
       ))}
     </div>
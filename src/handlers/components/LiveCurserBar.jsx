@@ -2,28 +2,53 @@ import React from "react";
 
 /**
  * LiveCursor Component
- * Displays a user's cursor with label above it
+ * Displays a user's caret (and selection) with label above it.
+ * Positions are text offsets; the editor maps them to pixels through
+ * `offsetToPoint(offset) -> { x, y }` and, for selections,
+ * `rangeToRects(start, end) -> [{ x, y, width, height }]`, so the
+ * cursor lands on the same text whatever the window size or font.
  */
-export default function LiveCursor({ userId, position, color }) {
-  if (!position) return null;
+export default function LiveCursor({ userId, anchor, head, color, offsetToPoint, rangeToRects }) {
+  if (!Number.isInteger(head) || !offsetToPoint) return null;
 
-  const { x, y } = position;
+  const point = offsetToPoint(head);
+  if (!point) return null;
+
+  const hasSelection = Number.isInteger(anchor) && anchor !== head && rangeToRects;
+  const rects = hasSelection
+    ? rangeToRects(Math.min(anchor, head), Math.max(anchor, head)) || []
+    : [];
 
   return (
-    <div
-      className="absolute pointer-events-none flex flex-col items-center transition-all duration-100"
-      style={{ left: x, top: y }}
-    >
-      <span
-        className="text-xs font-semibold bg-white px-1 rounded shadow"
-        style={{ color }}
-      >
-        {userId}
-      </span>
+    <>
+      {rects.map((rect, index) => (
+        <div
+          key={index}
+          className="absolute pointer-events-none opacity-25"
+          style={{
+            left: rect.x,
+            top: rect.y,
+            width: rect.width,
+            height: rect.height,
+            backgroundColor: color,
+          }}
+        />
+      ))}
       <div
-        className="w-3 h-3 rounded-full"
-        style={{ backgroundColor: color }}
-      />
-    </div>
+        className="absolute pointer-events-none flex flex-col items-center transition-all duration-100"
+        style={{ left: point.x, top: point.y }}
+      >
+        <span
+          className="text-xs font-semibold bg-white px-1 rounded shadow"
+          style={{ color }}
+        >
+          {userId}
+        </span>
+        <div
+          className="w-3 h-3 rounded-full"
+          style={{ backgroundColor: color }}
+        />
+      </div>
+    </>
   );
 }
@@ -0,0 +1,541 @@
+const crypto = require("crypto");
+const pool = require("../db/connection");
+const OT = require("../utils/operationalTransform");
+const documentCache = require("../cache/documentCache");
+const roomEventLog = require("../cache/roomEventLog");
+const DIARY_WS_EVENTS = require("../constants/diaryWsEvents");
+const DIARY_COLLAB_WS_EVENTS = require("../constants/diaryCollabWsEvents");
+const { getEntryRole, hasRole, removeFromEntryRoom } = require("./permissions");
+const {
+  MAX_CONTENT_LENGTH,
+  loadSequencedDocument,
+  serializeEntryEdits,
+  releaseIdleDocument,
+  joinEntryRoom,
+  leaveEntryRoom,
+} = require("./collaboration");
+const { scheduleFlush, flushEntry } = require("./autosave");
+const { handleEvent } = require("../utils/handleEvent");
+const {
+  AccessDeniedError,
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} = require("../utils/errors");
+const { createLogger } = require("../utils/logger");
+
+const log = createLogger("entries");
+
+const MAX_TITLE_LENGTH = 255;
+const MAX_TAG_LENGTH = 50;
+const MAX_TAGS = 20;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Lowest to highest, so charts can plot a mood by its index
+const MOODS = ["awful", "bad", "okay", "good", "great"];
+
+const ENTRY_COLUMNS = "id, user_id, title, content, revision, mood, created_at, updated_at";
+
+// Live documents hold edits that are not saved yet; prefer them over the row
+function formatEntry(row, role, tags = []) {
+  const doc = documentCache.get(row.id);
+
+  return {
+    entryId: row.id,
+    userId: row.user_id,
+    title: row.title,
+    content: doc ? doc.content : row.content || "",
+    revision: doc ? doc.revision : row.revision,
+    mood: row.mood,
+    tags,
+    role,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+async function getEntryRow(entryId) {
+  const { rows } = await pool.query(
+    `SELECT ${ENTRY_COLUMNS} FROM diary_entries WHERE id = $1 AND deleted_at IS NULL`,
+    [entryId]
+  );
+  return rows[0];
+}
+
+/**
+ * Tags for a set of entries, alphabetical
+ * @returns {Promise<Map<string, string[]>>} entryId -> tags
+ */
+async function loadTags(entryIds) {
+  const tags = new Map(entryIds.map((id) => [id, []]));
+  if (entryIds.length === 0) return tags;
+
+  const { rows } = await pool.query(
+    `SELECT entry_id, tag FROM entry_tags WHERE entry_id = ANY($1) ORDER BY tag`,
+    [entryIds]
+  );
+  rows.forEach((row) => tags.get(row.entry_id).push(row.tag));
+  return tags;
+}
+
+async function getEntry(entryId, role) {
+  const row = await getEntryRow(entryId);
+  const tags = await loadTags([entryId]);
+  return formatEntry(row, role, tags.get(entryId));
+}
+
+function validateTitle(title) {
+  if (title === undefined || title === null) return null;
+  if (typeof title !== "string") throw new ValidationError("title must be a string");
+  if (title.length > MAX_TITLE_LENGTH) {
+    throw new ValidationError(`title must be at most ${MAX_TITLE_LENGTH} characters`);
+  }
+  return title.trim() || null;
+}
+
+function validateTag(tag) {
+  if (typeof tag !== "string" || tag.trim().length === 0) {
+    throw new ValidationError("tag is required");
+  }
+  const normalized = tag.trim().toLowerCase();
+  if (normalized.length > MAX_TAG_LENGTH) {
+    throw new ValidationError(`tag must be at most ${MAX_TAG_LENGTH} characters`);
+  }
+  return normalized;
+}
+
+function validateMood(mood) {
+  if (mood === undefined || mood === null) return null;
+  if (!MOODS.includes(mood)) {
+    throw new ValidationError(`mood must be one of ${MOODS.join(", ")}`);
+  }
+  return mood;
+}
+
+function parseDate(value, name) {
+  if (value === undefined || value === null) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new ValidationError(`${name} must be a date`);
+  return date;
+}
+
+function validateContent(content) {
+  if (typeof content !== "string") throw new ValidationError("content must be a string");
+  if (content.length > MAX_CONTENT_LENGTH) {
+    throw new ValidationError(`content must be at most ${MAX_CONTENT_LENGTH} characters`);
+  }
+  return content;
+}
+
+async function requireEntryOwner(entryId, userId, action) {
+  if ((await getEntryRole(entryId, userId)) !== "owner") {
+    throw new AccessDeniedError(`Only the entry owner can ${action}`);
+  }
+}
+
+async function requireEntryRole(entryId, userId, required) {
+  const role = await getEntryRole(entryId, userId);
+  if (!hasRole(role, required)) {
+    throw new AccessDeniedError(`Requires ${required} access to this entry`);
+  }
+  return role;
+}
+
+// Tell the user's other devices; the acting socket already has the result
+function syncOtherDevices(socket, userId, payload) {
+  socket.to(userId).emit(DIARY_WS_EVENTS.ENTRY_SYNC, {
+    ...payload,
+    timestamp: Date.now(),
+  });
+}
+
+// ============================================
+// Create / Fetch / List
+// ============================================
+async function createEntry(socket, userId, { title, content = "", mood, tags = [] } = {}) {
+  if (!Array.isArray(tags)) throw new ValidationError("tags must be an array");
+  const uniqueTags = [...new Set(tags.map(validateTag))].sort();
+  if (uniqueTags.length > MAX_TAGS) {
+    throw new ValidationError(`An entry can have at most ${MAX_TAGS} tags`);
+  }
+
+  const fields = [validateTitle(title), validateContent(content), validateMood(mood)];
+
+  // The entry and its tags, or nothing
+  const row = await pool.withTransaction(async (client) => {
+    const { rows } = await client.query(
+      `
+      INSERT INTO diary_entries
+        (id, user_id, title, content, revision, mood, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, 0, $5, NOW(), NOW())
+      RETURNING ${ENTRY_COLUMNS}
+      `,
+      [crypto.randomUUID(), userId, ...fields]
+    );
+
+    for (const tag of uniqueTags) {
+      await client.query(
+        `INSERT INTO entry_tags (entry_id, tag, created_by) VALUES ($1, $2, $3)`,
+        [rows[0].id, tag, userId]
+      );
+    }
+    return rows[0];
+  });
+
+  const entry = formatEntry(row, "owner", uniqueTags);
+  syncOtherDevices(socket, userId, { action: "created", entry });
+
+  log.info("Entry created", { userId, entryId: entry.entryId });
+  return entry;
+}
+
+/**
+ * Fetch one entry the user can at least view
+ * @throws {NotFoundError} If the entry does not exist or was deleted
+ */
+async function fetchEntry(userId, entryId) {
+  const role = await getEntryRole(entryId, userId);
+  if (!hasRole(role, "viewer")) {
+    throw new AccessDeniedError("You do not have access to this entry");
+  }
+
+  return getEntry(entryId, role);
+}
+
+/**
+ * The user's own entries, optionally narrowed to a tag, a mood and a
+ * range of creation dates. Without a range the most recently updated come
+ * first; with one they are in date order, ready for a timeline or chart.
+ */
+async function listEntries(userId, { limit, offset, filter = {} } = {}) {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const start = Math.max(parseInt(offset, 10) || 0, 0);
+
+  const from = parseDate(filter.from, "from");
+  const to = parseDate(filter.to, "to");
+
+  const conditions = ["user_id = $1", "deleted_at IS NULL"];
+  const params = [userId];
+
+  if (filter.tag) {
+    params.push(validateTag(filter.tag));
+    conditions.push(`id IN (SELECT entry_id FROM entry_tags WHERE tag = $${params.length})`);
+  }
+  if (filter.mood) {
+    params.push(validateMood(filter.mood));
+    conditions.push(`mood = $${params.length}`);
+  }
+  if (from) {
+    params.push(from);
+    conditions.push(`created_at >= $${params.length}`);
+  }
+  if (to) {
+    params.push(to);
+    conditions.push(`created_at < $${params.length}`);
+  }
+
+  const where = conditions.join(" AND ");
+  const order = from || to ? "created_at ASC, id ASC" : "updated_at DESC, id DESC";
+
+  const [list, count] = await Promise.all([
+    pool.query(
+      `
+      SELECT ${ENTRY_COLUMNS} FROM diary_entries
+      WHERE ${where}
+      ORDER BY ${order}
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+      `,
+      [...params, pageSize, start]
+    ),
+    pool.query(`SELECT COUNT(*)::int AS total FROM diary_entries WHERE ${where}`, params),
+  ]);
+
+  const tags = await loadTags(list.rows.map((row) => row.id));
+
+  return {
+    entries: list.rows.map((row) => formatEntry(row, "owner", tags.get(row.id))),
+    total: count.rows[0].total,
+    limit: pageSize,
+    offset: start,
+  };
+}
+
+// ============================================
+// Update / Delete (owner only)
+// ============================================
+
+/**
+ * Replace an entry's title and/or content. Content goes through the same
+ * sequencer as live edits, so collaborators receive it as an ENTRY_EDIT;
+ * `revision` must match the live revision or nothing is written.
+ */
+async function updateEntry(io, socket, userId, entryId, { title, content, revision } = {}) {
+  await requireEntryOwner(entryId, userId, "update this entry");
+
+  if (title === undefined && content === undefined) {
+    throw new ValidationError("title or content is required");
+  }
+
+  const newTitle = title === undefined ? undefined : validateTitle(title);
+  if (content !== undefined) validateContent(content);
+
+  if (content === undefined) {
+    await pool.query(
+      `UPDATE diary_entries SET title = $2, updated_at = NOW() WHERE id = $1`,
+      [entryId, newTitle]
+    );
+  } else {
+    try {
+      // Queued with live edits, so the revision check sees every one before it
+      await serializeEntryEdits(entryId, async () => {
+        const doc = await loadSequencedDocument(io, entryId);
+        if (!doc) throw new NotFoundError("Entry");
+        if (revision !== doc.revision) {
+          throw new ConflictError("Entry changed since it was fetched", {
+            revision: doc.revision,
+          });
+        }
+
+        const operation = OT.replaceOperation(doc.content, content);
+        if (operation.length > 0) {
+          const next = documentCache.pushRevision(entryId, userId, operation, content);
+          socket.to(`entry_${entryId}`).emit(
+            DIARY_COLLAB_WS_EVENTS.ENTRY_EDIT,
+            roomEventLog.record(entryId, DIARY_COLLAB_WS_EVENTS.ENTRY_EDIT, {
+              entryId,
+              operation,
+              revision: next,
+              userId,
+              timestamp: Date.now(),
+            })
+          );
+        }
+
+        // A new title is saved at once with the content, in one transaction (a
+        // failed save leaves the content to be retried like any edit)
+        if (newTitle !== undefined) await flushEntry(io, entryId, { title: newTitle });
+        else if (operation.length > 0) scheduleFlush(io, entryId);
+      });
+    } finally {
+      // The owner may update without opening the entry's room
+      releaseIdleDocument(io, entryId);
+    }
+  }
+
+  const entry = await getEntry(entryId, "owner");
+  syncOtherDevices(socket, userId, { action: "updated", entry });
+
+  log.info("Entry updated", { userId, entryId });
+  return entry;
+}
+
+/**
+ * Soft-delete an entry: the row stays, but it disappears from every
+ * query and everyone is removed from its room
+ */
+async function deleteEntry(io, socket, userId, entryId, cursorStore) {
+  await requireEntryOwner(entryId, userId, "delete this entry");
+
+  await pool.query(
+    `UPDATE diary_entries SET deleted_at = NOW() WHERE id = $1 AND deleted_at IS NULL`,
+    [entryId]
+  );
+
+  // One emit so a device that is both the owner's and in the room gets it once
+  socket.to(userId).to(`entry_${entryId}`).emit(
+    DIARY_WS_EVENTS.ENTRY_SYNC,
+    roomEventLog.record(entryId, DIARY_WS_EVENTS.ENTRY_SYNC, {
+      action: "deleted",
+      entryId,
+      timestamp: Date.now(),
+    })
+  );
+
+  const { rows } = await pool.query(
+    `SELECT DISTINCT user_id FROM active_sessions WHERE entry_id = $1`,
+    [entryId]
+  );
+  for (const row of rows) {
+    await removeFromEntryRoom(io, entryId, row.user_id, cursorStore);
+  }
+
+  // Keep edits made before the delete, then drop the live document
+  if (documentCache.has(entryId)) {
+    await flushEntry(io, entryId).catch(() => {});
+    documentCache.remove(entryId);
+  }
+
+  log.info("Entry deleted", { userId, entryId });
+  return { entryId };
+}
+
+// ============================================
+// Tags & Mood
+// (sent to the entry room and to the owner's devices)
+// ============================================
+function broadcastMetadata(socket, event, entry, userId, payload) {
+  socket.to(`entry_${entry.entryId}`).to(entry.userId).emit(
+    event,
+    roomEventLog.record(entry.entryId, event, {
+      entryId: entry.entryId,
+      ...payload,
+      userId,
+      timestamp: Date.now(),
+    })
+  );
+}
+
+async function touchEntry(entryId) {
+  await pool.query(`UPDATE diary_entries SET updated_at = NOW() WHERE id = $1`, [entryId]);
+}
+
+/**
+ * Tag an entry (editor or above). Adding a tag it already has is a no-op.
+ */
+async function addTag(socket, userId, entryId, tag) {
+  const role = await requireEntryRole(entryId, userId, "editor");
+  const normalized = validateTag(tag);
+
+  const existing = (await loadTags([entryId])).get(entryId);
+  if (!existing.includes(normalized)) {
+    if (existing.length >= MAX_TAGS) {
+      throw new ValidationError(`An entry can have at most ${MAX_TAGS} tags`);
+    }
+
+    await pool.query(
+      `
+      INSERT INTO entry_tags (entry_id, tag, created_by) VALUES ($1, $2, $3)
+      ON CONFLICT (entry_id, tag) DO NOTHING
+      `,
+      [entryId, normalized, userId]
+    );
+    await touchEntry(entryId);
+  }
+
+  const entry = await getEntry(entryId, role);
+  broadcastMetadata(socket, DIARY_WS_EVENTS.TAG_ADD, entry, userId, {
+    tag: normalized,
+    tags: entry.tags,
+  });
+
+  log.info("Entry tagged", { userId, entryId, tag: normalized });
+  return { entryId, tag: normalized, tags: entry.tags };
+}
+
+async function removeTag(socket, userId, entryId, tag) {
+  const role = await requireEntryRole(entryId, userId, "editor");
+  const normalized = validateTag(tag);
+
+  const result = await pool.query(
+    `DELETE FROM entry_tags WHERE entry_id = $1 AND tag = $2`,
+    [entryId, normalized]
+  );
+  if (result.rowCount > 0) await touchEntry(entryId);
+
+  const entry = await getEntry(entryId, role);
+  broadcastMetadata(socket, DIARY_WS_EVENTS.TAG_REMOVE, entry, userId, {
+    tag: normalized,
+    tags: entry.tags,
+  });
+
+  return { entryId, tag: normalized, tags: entry.tags };
+}
+
+/**
+ * Set or clear (null) the entry's mood. Mood is personal, so owner only.
+ */
+async function updateMood(socket, userId, entryId, mood) {
+  await requireEntryOwner(entryId, userId, "set its mood");
+  const value = validateMood(mood);
+
+  await pool.query(
+    `UPDATE diary_entries SET mood = $2, updated_at = NOW() WHERE id = $1`,
+    [entryId, value]
+  );
+
+  const entry = await getEntry(entryId, "owner");
+  broadcastMetadata(socket, DIARY_WS_EVENTS.MOOD_UPDATE, entry, userId, { mood: value });
+
+  return { entryId, mood: value };
+}
+
+// ============================================
+// Entry Event Handlers
+// (each replies through the Socket.IO acknowledgement callback)
+// ============================================
+function registerEntryHandlers(io, socket, cursorStore) {
+  const userId = socket.data.userId;
+
+  const handle = (event, action) => handleEvent(socket, event, action, { log });
+
+  const requireEntryId = (entryId) => {
+    if (!entryId) throw new ValidationError("entryId is required");
+  };
+
+  handle(DIARY_WS_EVENTS.ENTRY_CREATE, (payload) => createEntry(socket, userId, payload));
+
+  // With an entryId fetch that entry, otherwise a page of the user's own
+  handle(DIARY_WS_EVENTS.ENTRY_FETCH, ({ entryId, limit, offset, tag, mood, from, to }) =>
+    entryId
+      ? fetchEntry(userId, entryId)
+      : listEntries(userId, { limit, offset, filter: { tag, mood, from, to } })
+  );
+
+  handle(DIARY_WS_EVENTS.ENTRY_UPDATE, ({ entryId, ...changes }) => {
+    requireEntryId(entryId);
+    return updateEntry(io, socket, userId, entryId, changes);
+  });
+
+  handle(DIARY_WS_EVENTS.ENTRY_DELETE, ({ entryId }) => {
+    requireEntryId(entryId);
+    return deleteEntry(io, socket, userId, entryId, cursorStore);
+  });
+
+  // Opening an entry fetches it and joins its collaboration room
+  handle(DIARY_WS_EVENTS.ENTRY_OPENED, async ({ entryId }) => {
+    requireEntryId(entryId);
+    const entry = await fetchEntry(userId, entryId);
+    await joinEntryRoom(io, socket, userId, entryId, cursorStore);
+    return entry;
+  });
+
+  handle(DIARY_WS_EVENTS.TAG_ADD, ({ entryId, tag }) => {
+    requireEntryId(entryId);
+    return addTag(socket, userId, entryId, tag);
+  });
+
+  handle(DIARY_WS_EVENTS.TAG_REMOVE, ({ entryId, tag }) => {
+    requireEntryId(entryId);
+    return removeTag(socket, userId, entryId, tag);
+  });
+
+  handle(DIARY_WS_EVENTS.MOOD_UPDATE, ({ entryId, mood }) => {
+    requireEntryId(entryId);
+    return updateMood(socket, userId, entryId, mood);
+  });
+
+  handle(DIARY_WS_EVENTS.ENTRY_CLOSED, async ({ entryId }) => {
+    requireEntryId(entryId);
+    await leaveEntryRoom(io, socket, userId, entryId, cursorStore);
+    return { entryId };
+  });
+}
+
+module.exports = {
+  MOODS,
+  MAX_TITLE_LENGTH,
+  MAX_CONTENT_LENGTH,
+  MAX_TAG_LENGTH,
+  MAX_TAGS,
+  MAX_PAGE_SIZE,
+  createEntry,
+  fetchEntry,
+  listEntries,
+  updateEntry,
+  deleteEntry,
+  addTag,
+  removeTag,
+  updateMood,
+  registerEntryHandlers,
+};
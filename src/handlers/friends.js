@@ -2,26 +2,32 @@ const pool = require("../db/connection");
 const MessageFormatter = require("../utils/messageFormatter");
 const DIARY_SOCIAL_WS_EVENTS = require("../constants/diarySocialWsEvent");
 const friendsCache = require("../cache/friendsCache");
+const { isUserOnline } = require("./presence");
+const { createNotification, NOTIFICATION_TYPES } = require("./notifications");
+const { handleEvent } = require("../utils/handleEvent");
+const { createLogger } = require("../utils/logger");
+const {
+  AccessDeniedError,
+  NotFoundError,
+  ValidationError,
+} = require("../utils/errors");
+
+const log = createLogger("friends");
 
 async function sendFriendsList(socket, userId) {
-  const cached = friendsCache.get(userId);
+  const cached = await friendsCache.get(userId);
   if (cached) {
-    socket.emit(
-      DIARY_SOCIAL_WS_EVENTS.FRIENDS_LIST,
-      MessageFormatter.create(
-        DIARY_SOCIAL_WS_EVENTS.FRIENDS_LIST,
-        cached
-      )
-    );
+    socket.emit(DIARY_SOCIAL_WS_EVENTS.FRIENDS_LIST, MessageFormatter.event(cached));
     return;
   }
 
   const { rows } = await pool.query(
     `
-    SELECT f.friend_id, COALESCE(w.online, false) AS online
+    SELECT f.friend_id, COALESCE(BOOL_OR(w.online), false) AS online
     FROM friends f
     LEFT JOIN ws_connections w ON w.user_id = f.friend_id
     WHERE f.user_id = $1
+    GROUP BY f.friend_id
     `,
     [userId]
   );
@@ -34,15 +40,360 @@ async function sendFriendsList(socket, userId) {
   });
 
   const result = { onlineFriends, offlineFriends };
-  friendsCache.set(userId, result);
+  await friendsCache.set(userId, result);
+
+  socket.emit(DIARY_SOCIAL_WS_EVENTS.FRIENDS_LIST, MessageFormatter.event(result));
+}
+
+// ============================================
+// Friend Request Lifecycle
+// ============================================
+function formatRequest(row) {
+  return {
+    requestId: row.id,
+    senderId: row.sender_id,
+    receiverId: row.receiver_id,
+    status: row.status,
+    createdAt: row.created_at,
+    respondedAt: row.responded_at,
+  };
+}
+
+async function getPendingRequest(requestId, receiverId) {
+  const { rows } = await pool.query(
+    `SELECT * FROM friend_requests WHERE id = $1`,
+    [requestId]
+  );
+
+  const row = rows[0];
+  if (!row) throw new NotFoundError("Friend request");
+  if (row.receiver_id !== receiverId) {
+    throw new AccessDeniedError("This request is not addressed to you");
+  }
+  if (row.status !== "pending") {
+    throw new ValidationError(`Friend request is already ${row.status}`);
+  }
+  return row;
+}
+
+/**
+ * Answer a request that is still pending, so of two concurrent answers only
+ * the first applies
+ * @param {object} [db] - A transaction's client
+ * @returns {Promise<object|null>} The updated row, or null if it was already answered
+ */
+async function setRequestStatus(requestId, status, db = pool) {
+  const { rows } = await db.query(
+    `
+    UPDATE friend_requests
+    SET status = $2, responded_at = NOW()
+    WHERE id = $1 AND status = 'pending'
+    RETURNING *
+    `,
+    [requestId, status]
+  );
+  return rows[0] || null;
+}
 
-  socket.emit(
-    DIARY_SOCIAL_WS_EVENTS.FRIENDS_LIST,
-    MessageFormatter.create(
-      DIARY_SOCIAL_WS_EVENTS.FRIENDS_LIST,
-      result
-    )
+const alreadyAnswered = () => new ValidationError("Friend request is no longer pending");
+
+async function isBlocked(userId, otherId) {
+  const { rowCount } = await pool.query(
+    `
+    SELECT 1 FROM blocked_users
+    WHERE (blocker_id = $1 AND blocked_id = $2)
+       OR (blocker_id = $2 AND blocked_id = $1)
+    `,
+    [userId, otherId]
+  );
+  return rowCount > 0;
+}
+
+/**
+ * Send a friend request. If the other user already asked us,
+ * this accepts their request instead.
+ */
+async function sendFriendRequest(io, senderId, receiverId) {
+  if (senderId === receiverId) {
+    throw new ValidationError("You cannot befriend yourself");
+  }
+
+  if (await isBlocked(senderId, receiverId)) {
+    throw new AccessDeniedError("Cannot send a friend request to this user");
+  }
+
+  const friendship = await pool.query(
+    `SELECT 1 FROM friends WHERE user_id = $1 AND friend_id = $2`,
+    [senderId, receiverId]
+  );
+  if (friendship.rowCount > 0) {
+    throw new ValidationError("You are already friends");
+  }
+
+  const { rows: pending } = await pool.query(
+    `
+    SELECT * FROM friend_requests
+    WHERE status = 'pending'
+      AND ((sender_id = $1 AND receiver_id = $2) OR (sender_id = $2 AND receiver_id = $1))
+    `,
+    [senderId, receiverId]
+  );
+
+  const reverse = pending.find((r) => r.sender_id === receiverId);
+  if (reverse) return acceptFriendRequest(io, senderId, reverse.id);
+
+  if (pending.length > 0) {
+    throw new ValidationError("Friend request already pending");
+  }
+
+  const { rows } = await pool.query(
+    `
+    INSERT INTO friend_requests (sender_id, receiver_id, status)
+    VALUES ($1, $2, 'pending')
+    RETURNING *
+    `,
+    [senderId, receiverId]
+  );
+
+  const request = formatRequest(rows[0]);
+
+  const sent = MessageFormatter.event(request);
+  io.to(senderId).emit(DIARY_SOCIAL_WS_EVENTS.FRIEND_REQUEST_SENT, sent);
+  io.to(receiverId).emit(DIARY_SOCIAL_WS_EVENTS.FRIEND_REQUEST_RECEIVED, sent);
+
+  await createNotification(io, {
+    userId: receiverId,
+    type: NOTIFICATION_TYPES.FRIEND_REQUEST,
+    title: "New friend request",
+    message: `${senderId} sent you a friend request`,
+    data: { requestId: request.requestId, senderId },
+  });
+
+  log.info("Friend request sent", { userId: senderId, receiverId });
+  return request;
+}
+
+/**
+ * Accept a pending request and create the symmetric friendship
+ */
+async function acceptFriendRequest(io, userId, requestId) {
+  const row = await getPendingRequest(requestId, userId);
+  const senderId = row.sender_id;
+
+  // Both rows and the answer commit together, and only once per request
+  const accepted = await pool.withTransaction(async (client) => {
+    const accepted = await setRequestStatus(requestId, "accepted", client);
+    if (!accepted) throw alreadyAnswered();
+
+    await client.query(
+      `
+      INSERT INTO friends (user_id, friend_id)
+      VALUES ($1, $2), ($2, $1)
+      ON CONFLICT (user_id, friend_id) DO NOTHING
+      `,
+      [userId, senderId]
+    );
+    return accepted;
+  });
+
+  const request = formatRequest(accepted);
+
+  // Presence for the new pair starts immediately: keep both caches in step
+  const [userOnline, senderOnline] = await Promise.all([
+    isUserOnline(userId),
+    isUserOnline(senderId),
+  ]);
+  await Promise.all([
+    friendsCache.addFriend(userId, senderId, senderOnline),
+    friendsCache.addFriend(senderId, userId, userOnline),
+  ]);
+
+  io.to(userId).emit(
+    DIARY_SOCIAL_WS_EVENTS.FRIEND_ACCEPTED,
+    MessageFormatter.event({ ...request, friendId: senderId, online: senderOnline })
+  );
+  io.to(senderId).emit(
+    DIARY_SOCIAL_WS_EVENTS.FRIEND_ACCEPTED,
+    MessageFormatter.event({ ...request, friendId: userId, online: userOnline })
+  );
+
+  await createNotification(io, {
+    userId: senderId,
+    type: NOTIFICATION_TYPES.FRIEND_ACCEPTED,
+    title: "Friend request accepted",
+    message: `${userId} accepted your friend request`,
+    data: { requestId: request.requestId, friendId: userId },
+  });
+
+  log.info("Friend request accepted", { userId, senderId });
+  return request;
+}
+
+/**
+ * Decline a pending request
+ */
+async function declineFriendRequest(io, userId, requestId) {
+  const row = await getPendingRequest(requestId, userId);
+  const declined = await setRequestStatus(requestId, "declined");
+  if (!declined) throw alreadyAnswered();
+  const request = formatRequest(declined);
+
+  const event = MessageFormatter.event(request);
+  io.to(userId).emit(DIARY_SOCIAL_WS_EVENTS.FRIEND_REQUEST_DECLINED, event);
+  io.to(row.sender_id).emit(DIARY_SOCIAL_WS_EVENTS.FRIEND_REQUEST_DECLINED, event);
+
+  return request;
+}
+
+/**
+ * Remove both sides of a friendship
+ */
+async function removeFriend(io, userId, friendId) {
+  const { rowCount } = await pool.query(
+    `
+    DELETE FROM friends
+    WHERE (user_id = $1 AND friend_id = $2) OR (user_id = $2 AND friend_id = $1)
+    `,
+    [userId, friendId]
+  );
+
+  await Promise.all([
+    friendsCache.removeFriend(userId, friendId),
+    friendsCache.removeFriend(friendId, userId),
+  ]);
+
+  if (rowCount > 0) {
+    const timestamp = Date.now();
+    io.to(userId).emit(
+      DIARY_SOCIAL_WS_EVENTS.FRIEND_REMOVED,
+      MessageFormatter.event({ friendId, timestamp })
+    );
+    io.to(friendId).emit(
+      DIARY_SOCIAL_WS_EVENTS.FRIEND_REMOVED,
+      MessageFormatter.event({ friendId: userId, timestamp })
+    );
+    log.info("Unfriended", { userId, friendId });
+  }
+  return { friendId };
+}
+
+/**
+ * Block a user: ends the friendship and any pending requests between them
+ */
+async function blockUser(io, userId, blockedId) {
+  if (userId === blockedId) {
+    throw new ValidationError("You cannot block yourself");
+  }
+
+  await pool.query(
+    `
+    INSERT INTO blocked_users (blocker_id, blocked_id)
+    VALUES ($1, $2)
+    ON CONFLICT (blocker_id, blocked_id) DO NOTHING
+    `,
+    [userId, blockedId]
+  );
+
+  await pool.query(
+    `
+    UPDATE friend_requests
+    SET status = 'cancelled', responded_at = NOW()
+    WHERE status = 'pending'
+      AND ((sender_id = $1 AND receiver_id = $2) OR (sender_id = $2 AND receiver_id = $1))
+    `,
+    [userId, blockedId]
+  );
+
+  await removeFriend(io, userId, blockedId);
+
+  io.to(userId).emit(
+    DIARY_SOCIAL_WS_EVENTS.FRIEND_BLOCKED,
+    MessageFormatter.event({ userId: blockedId })
+  );
+
+  log.info("User blocked", { userId, blockedId });
+  return { userId: blockedId };
+}
+
+async function unblockUser(io, userId, blockedId) {
+  await pool.query(
+    `DELETE FROM blocked_users WHERE blocker_id = $1 AND blocked_id = $2`,
+    [userId, blockedId]
+  );
+
+  io.to(userId).emit(
+    DIARY_SOCIAL_WS_EVENTS.FRIEND_UNBLOCKED,
+    MessageFormatter.event({ userId: blockedId })
+  );
+  return { userId: blockedId };
+}
+
+/**
+ * Deliver friend requests that arrived while the user was offline
+ */
+async function sendPendingFriendRequests(socket, userId) {
+  const { rows } = await pool.query(
+    `
+    SELECT * FROM friend_requests
+    WHERE receiver_id = $1 AND status = 'pending'
+    ORDER BY created_at ASC
+    `,
+    [userId]
+  );
+
+  rows.forEach((row) => {
+    socket.emit(
+      DIARY_SOCIAL_WS_EVENTS.FRIEND_REQUEST_RECEIVED,
+      MessageFormatter.event(formatRequest(row))
+    );
+  });
+}
+
+// ============================================
+// Friend Event Handlers
+// ============================================
+function registerFriendHandlers(io, socket) {
+  const userId = socket.data.userId;
+
+  const handle = (event, field, action) =>
+    handleEvent(
+      socket,
+      event,
+      (payload) => {
+        if (!payload[field]) throw new ValidationError(`${field} is required`);
+        return action(payload[field]);
+      },
+      { log }
+    );
+
+  handle(DIARY_SOCIAL_WS_EVENTS.FRIEND_REQUEST_SENT, "userId", (targetId) =>
+    sendFriendRequest(io, userId, targetId)
+  );
+  handle(DIARY_SOCIAL_WS_EVENTS.FRIEND_ACCEPTED, "requestId", (requestId) =>
+    acceptFriendRequest(io, userId, requestId)
+  );
+  handle(DIARY_SOCIAL_WS_EVENTS.FRIEND_REQUEST_DECLINED, "requestId", (requestId) =>
+    declineFriendRequest(io, userId, requestId)
+  );
+  handle(DIARY_SOCIAL_WS_EVENTS.FRIEND_REMOVED, "friendId", (friendId) =>
+    removeFriend(io, userId, friendId)
+  );
+  handle(DIARY_SOCIAL_WS_EVENTS.FRIEND_BLOCKED, "userId", (targetId) =>
+    blockUser(io, userId, targetId)
+  );
+  handle(DIARY_SOCIAL_WS_EVENTS.FRIEND_UNBLOCKED, "userId", (targetId) =>
+    unblockUser(io, userId, targetId)
   );
 }
 
-module.exports = { sendFriendsList };
+module.exports = {
+  sendFriendsList,
+  sendFriendRequest,
+  acceptFriendRequest,
+  declineFriendRequest,
+  removeFriend,
+  blockUser,
+  unblockUser,
+  sendPendingFriendRequests,
+  registerFriendHandlers,
+};
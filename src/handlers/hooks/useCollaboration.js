@@ -1,22 +1,226 @@
-import { useState, useEffect, useCallback } from "react";
+import { useState, useEffect, useCallback, useRef } from "react";
 import { useWebSocket } from "./useWebSocket";
+import {
+  apply,
+  transform,
+  transformSelection,
+  replaceOperation,
+} from "../../utils/operationalTransform";
+
+// ============================================
+// Offline outbox
+// (unacknowledged edits survive a reload: { revision, content, inflight, buffer })
+// ============================================
+const OUTBOX_PREFIX = "diary:outbox:";
+
+function readOutbox(entryId) {
+  try {
+    const raw = window.localStorage.getItem(OUTBOX_PREFIX + entryId);
+    return raw ? JSON.parse(raw) : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function writeOutbox(entryId, outbox) {
+  try {
+    if (outbox) window.localStorage.setItem(OUTBOX_PREFIX + entryId, JSON.stringify(outbox));
+    else window.localStorage.removeItem(OUTBOX_PREFIX + entryId);
+  } catch (err) {
+    // Storage full or unavailable: edits are still held in memory
+  }
+}
+
+// How long a rate-limited edit waits before it is resent
+const RATE_LIMIT_RETRY_MS = 1000;
+
+// Lets the server recognise an operation it already sequenced
+const newOpId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
 
 /**
  * useCollaboration hook
  * Manages viewers, cursors, and edits for a single diary entry
  */
 export function useCollaboration(token, entryId) {
-  const { emit, on, off, connected } = useWebSocket(token);
+  const { emit, on, off, onAny, offAny, getPreviousSocketId, connected } = useWebSocket(token);
 
   const [viewers, setViewers] = useState([]);
   const [cursors, setCursors] = useState({});
   const [content, setContent] = useState("");
+  // True while edits are queued or unacknowledged
+  const [pendingEdits, setPendingEdits] = useState(false);
+  // Outcome of replaying queued edits after a reconnect:
+  // { status: "replayed" | "rebased", ... } or
+  // { status: "conflict", localContent, serverContent } when they could not be rebased;
+  // { status: "rejected", code, message, localContent } when the server refused an edit
+  const [reconcile, setReconcile] = useState(null);
+
+  // OT client state: one operation in flight ({ opId, operation }),
+  // later typing buffered behind it
+  const contentRef = useRef("");
+  const revisionRef = useRef(0);
+  const inflightRef = useRef(null);
+  const bufferRef = useRef([]);
+  // Our latest selection, held back while edits are unacknowledged
+  const pendingSelectionRef = useRef(null);
+  // Whether we hold a server revision we can be caught up from
+  const loadedRef = useRef(false);
+  // Set from (re)joining until the server has caught us up; edits only queue
+  const catchingUpRef = useRef(false);
+  // Remote edits applied while catching up
+  const missedEditsRef = useRef(0);
+  // Last room event seen ({ epoch, seq }), so a reconnect can ask for the rest
+  const roomLogRef = useRef({ epoch: null, seq: 0 });
+
+  const updateContent = useCallback((next) => {
+    contentRef.current = next;
+    setContent(next);
+  }, []);
+
+  const persistOutbox = useCallback(() => {
+    const pending = Boolean(inflightRef.current) || bufferRef.current.length > 0;
+    setPendingEdits(pending);
+    writeOutbox(
+      entryId,
+      pending
+        ? {
+            revision: revisionRef.current,
+            content: contentRef.current,
+            inflight: inflightRef.current,
+            buffer: bufferRef.current,
+          }
+        : null
+    );
+  }, [entryId]);
+
+  // The server refused our in-flight op (too long, access revoked). Left in
+  // flight it would hold back everything typed after it, and be resent from
+  // the outbox forever: drop it, and the edits built on it, and resync.
+  const rejectOperation = useCallback(
+    (error) => {
+      const localContent = contentRef.current;
+      inflightRef.current = null;
+      bufferRef.current = [];
+      persistOutbox();
+      setReconcile({ status: "rejected", code: error.code, message: error.message, localContent });
+
+      catchingUpRef.current = true;
+      missedEditsRef.current = 0;
+      emit("state_request", { entryId });
+    },
+    [emit, entryId, persistOutbox]
+  );
+
+  // The op keeps its id across resends so a duplicate is recognised.
+  // Success is handled by entry_edit_ack; the ack only reports refusals.
+  const sendOperation = useCallback(
+    function send(operation, opId = newOpId()) {
+      const stillInflight = () => inflightRef.current && inflightRef.current.opId === opId;
+
+      inflightRef.current = { opId, operation };
+      persistOutbox();
+      emit(
+        "entry_edit",
+        {
+          entryId,
+          operation,
+          baseRevision: revisionRef.current,
+          opId,
+          timestamp: Date.now(),
+        },
+        (res) => {
+          if (!res || res.ok || !stillInflight()) return;
+
+          // Never reached the server: send it again (transformed past
+          // whatever arrived meanwhile). A reconnect resends it anyway.
+          if (res.error.code === "RATE_LIMIT_EXCEEDED") {
+            setTimeout(() => {
+              if (stillInflight() && !catchingUpRef.current) {
+                send(inflightRef.current.operation, opId);
+              }
+            }, RATE_LIMIT_RETRY_MS);
+            return;
+          }
+          rejectOperation(res.error);
+        }
+      );
+    },
+    [emit, entryId, persistOutbox, rejectOperation]
+  );
+
+  // Keep everyone's cursor on the same text as an operation lands
+  const shiftCursors = useCallback((operation) => {
+    setCursors((prev) => {
+      const moved = {};
+      Object.keys(prev).forEach((connectionId) => {
+        const cursor = prev[connectionId];
+        moved[connectionId] = { ...cursor, ...transformSelection(cursor, operation) };
+      });
+      return moved;
+    });
+  }, []);
+
+  // Offsets are only meaningful against a revision the server knows:
+  // with nothing pending, local content is exactly that revision
+  const sendSelection = useCallback(
+    ({ anchor, head }) => {
+      if (inflightRef.current || bufferRef.current.length) {
+        pendingSelectionRef.current = { anchor, head };
+        return;
+      }
+      pendingSelectionRef.current = null;
+
+      if (anchor === head) {
+        emit("entry_cursor_move", { entryId, position: head, revision: revisionRef.current });
+      } else {
+        emit("entry_selection_change", { entryId, anchor, head, revision: revisionRef.current });
+      }
+    },
+    [emit, entryId]
+  );
 
-  // Join entry room on mount
+  // Pick up edits a previous session (or a reload) left unsent
+  useEffect(() => {
+    if (!entryId) return;
+
+    const outbox = readOutbox(entryId);
+    inflightRef.current = outbox ? outbox.inflight : null;
+    bufferRef.current = outbox ? outbox.buffer : [];
+    revisionRef.current = outbox ? outbox.revision : 0;
+    loadedRef.current = Boolean(outbox);
+    roomLogRef.current = { epoch: null, seq: 0 };
+    updateContent(outbox ? outbox.content : "");
+    setPendingEdits(Boolean(outbox));
+    setReconcile(null);
+  }, [entryId, updateContent]);
+
+  // Join entry room on mount. After a reconnect, resume: the server replays
+  // the room events we missed, or sends state when it can't. Otherwise ask
+  // for the operations since our revision if we have one, else full state.
   const joinEntry = useCallback(() => {
     if (!entryId || !connected) return;
+
+    catchingUpRef.current = true;
+    missedEditsRef.current = 0;
+
+    const { epoch, seq } = roomLogRef.current;
+    if (epoch) {
+      emit("session_resume", {
+        entryId,
+        epoch,
+        lastSeq: seq,
+        revision: revisionRef.current,
+        previousSocketId: getPreviousSocketId(),
+      });
+      return;
+    }
+
     emit("join_entry_room", { entryId });
-  }, [emit, entryId, connected]);
+    emit("state_request", {
+      entryId,
+      sinceRevision: loadedRef.current ? revisionRef.current : undefined,
+    });
+  }, [emit, entryId, connected, getPreviousSocketId]);
 
   // Leave entry room
   const leaveEntry = useCallback(() => {
@@ -42,8 +246,17 @@ export function useCollaboration(token, entryId) {
   useEffect(() => {
     if (!on || !off || !entryId) return;
 
-    const handleCurrentViewers = ({ viewers: current }) => {
+    const toCursorMap = (list = []) =>
+      list.reduce((map, { userId, connectionId, anchor, head }) => {
+        map[connectionId] = { userId, anchor, head };
+        return map;
+      }, {});
+
+    // Join snapshot: viewers plus everyone's cursor/selection
+    const handleCurrentViewers = ({ entryId: joinedEntryId, viewers: current, cursors: snapshot }) => {
+      if (joinedEntryId && joinedEntryId !== entryId) return;
       setViewers(current || []);
+      if (snapshot) setCursors(toCursorMap(snapshot));
     };
 
     const handleUserViewing = ({ userId }) => {
@@ -54,90 +267,288 @@ export function useCollaboration(token, entryId) {
       });
     };
 
+    // Cursors are keyed by connection: one user may have several devices open
     const handleUserLeave = ({ userId }) => {
       setViewers((prev) => prev.filter((v) => v.user_id !== userId));
       setCursors((prev) => {
         const newCursors = { ...prev };
-        delete newCursors[userId];
+        Object.keys(newCursors).forEach((connectionId) => {
+          if (newCursors[connectionId].userId === userId) delete newCursors[connectionId];
+        });
         return newCursors;
       });
     };
 
-    const handleCursorMove = ({ userId, position }) => {
+    // Cursors and selections share one shape: { userId, anchor, head }
+    const handleSelection = ({ entryId: selectionEntryId, userId, connectionId, anchor, head }) => {
+      if (selectionEntryId && selectionEntryId !== entryId) return;
       setCursors((prev) => ({
         ...prev,
-        [userId]: { position, timestamp: Date.now() },
+        [connectionId]: { userId, anchor, head },
       }));
     };
 
-    const handleCursorClear = ({ userId }) => {
+    const handleCursorClear = ({ userId, connectionId }) => {
       setCursors((prev) => {
         const newCursors = { ...prev };
-        delete newCursors[userId];
+        delete newCursors[connectionId || userId];
         return newCursors;
       });
     };
 
-    const handleEntryEdit = ({ content: newContent }) => {
-      setContent(newContent || "");
+    // Remote op: transform it past our in-flight and buffered ops, then apply
+    const applyRemote = (operation, revision) => {
+      let remote = operation;
+      if (inflightRef.current) {
+        let inflight;
+        [inflight, remote] = transform(inflightRef.current.operation, remote);
+        inflightRef.current = { ...inflightRef.current, operation: inflight };
+      }
+      if (bufferRef.current.length) {
+        [bufferRef.current, remote] = transform(bufferRef.current, remote);
+      }
+
+      revisionRef.current = revision;
+      updateContent(apply(contentRef.current, remote));
+
+      shiftCursors(remote);
+    };
+
+    // Send whatever was typed while waiting on the server
+    const sendBuffered = () => {
+      if (bufferRef.current.length) {
+        const buffered = bufferRef.current;
+        bufferRef.current = [];
+        sendOperation(buffered);
+      } else if (pendingSelectionRef.current) {
+        sendSelection(pendingSelectionRef.current);
+      }
+    };
+
+    const handleEntryEdit = ({ entryId: editEntryId, operation, revision, opId }) => {
+      if (editEntryId !== entryId) return;
+
+      if (catchingUpRef.current) {
+        // Our in-flight op, replayed: it made it before the connection dropped
+        if (inflightRef.current && opId === inflightRef.current.opId) {
+          revisionRef.current = revision;
+          inflightRef.current = null;
+          persistOutbox();
+          return;
+        }
+        // Live edits racing a state resync: the state response covers them
+        if (revision !== revisionRef.current + 1) return;
+        missedEditsRef.current += 1;
+      }
+
+      applyRemote(operation, revision);
+      persistOutbox();
+    };
+
+    // Our in-flight op was sequenced
+    const handleEditAck = ({ entryId: ackEntryId, revision, opId }) => {
+      if (ackEntryId !== entryId || !inflightRef.current) return;
+      if (opId && opId !== inflightRef.current.opId) return;
+
+      revisionRef.current = revision;
+      inflightRef.current = null;
+      persistOutbox();
+
+      if (!catchingUpRef.current) sendBuffered();
+    };
+
+    // Caught up: resend queued edits, now based on the server's revision
+    const finishCatchUp = () => {
+      const queued = Boolean(inflightRef.current) || bufferRef.current.length > 0;
+      catchingUpRef.current = false;
+
+      if (inflightRef.current) {
+        sendOperation(inflightRef.current.operation, inflightRef.current.opId);
+      } else {
+        sendBuffered();
+      }
+      persistOutbox();
+
+      if (queued) {
+        setReconcile({
+          status: missedEditsRef.current > 0 ? "rebased" : "replayed",
+          missedOperations: missedEditsRef.current,
+          revision: revisionRef.current,
+        });
+      }
+    };
+
+    // Catch-up from operations: replay what we missed under our queued edits
+    const catchUp = (operations, revision) => {
+      operations.forEach((record) => {
+        // Our in-flight op made it before the connection dropped
+        if (inflightRef.current && record.opId === inflightRef.current.opId) {
+          revisionRef.current = record.revision;
+          inflightRef.current = null;
+          return;
+        }
+        applyRemote(record.operation, record.revision);
+        missedEditsRef.current += 1;
+      });
+      revisionRef.current = revision;
+      finishCatchUp();
+    };
+
+    // Full state replaces ours. Queued edits can only be rebased through
+    // operations, so if they were still outstanding keep them as a conflict.
+    const resetToState = (newContent, revision) => {
+      const queued = Boolean(inflightRef.current) || bufferRef.current.length > 0;
+      const localContent = contentRef.current;
+
+      inflightRef.current = null;
+      bufferRef.current = [];
+      revisionRef.current = revision || 0;
+      loadedRef.current = true;
+      updateContent(newContent);
+      persistOutbox();
+
+      if (queued && localContent !== newContent) {
+        setReconcile({ status: "conflict", localContent, serverContent: newContent, revision });
+      }
     };
 
-    const handleStateResponse = ({ content: newContent, viewers: currentViewers }) => {
-      if (newContent !== undefined) setContent(newContent);
+    const handleStateResponse = ({
+      entryId: stateEntryId,
+      content: newContent,
+      operations,
+      revision,
+      viewers: currentViewers,
+      cursors: snapshot,
+    }) => {
+      if (stateEntryId && stateEntryId !== entryId) return;
+
+      if (operations) {
+        catchUp(operations, revision);
+      } else if (newContent !== undefined) {
+        catchingUpRef.current = false;
+        resetToState(newContent, revision);
+      }
       if (currentViewers) setViewers(currentViewers);
+      if (snapshot) setCursors(toCursorMap(snapshot));
+    };
+
+    // Missed room events have all been replayed (a resync came as state)
+    const handleSessionResumed = ({ entryId: resumedEntryId, resync, epoch, seq }) => {
+      if (resumedEntryId !== entryId) return;
+      if (epoch && epoch !== roomLogRef.current.epoch) roomLogRef.current = { epoch, seq };
+      if (!resync) finishCatchUp();
+    };
+
+    // Room events carry { epoch, seq }; remember the furthest we've seen
+    const trackRoomLog = (event, payload) => {
+      if (!payload || payload.entryId !== entryId || !payload.epoch) return;
+      const log = roomLogRef.current;
+      roomLogRef.current =
+        payload.epoch === log.epoch
+          ? { epoch: log.epoch, seq: Math.max(log.seq, payload.seq) }
+          : { epoch: payload.epoch, seq: payload.seq };
     };
 
     // Register listeners
+    onAny(trackRoomLog);
+    on("session_resumed", handleSessionResumed);
     on("current_viewers", handleCurrentViewers);
     on("user_viewing_entry", handleUserViewing);
     on("entry_collab_leave", handleUserLeave);
-    on("entry_cursor_move", handleCursorMove);
+    on("entry_cursor_move", handleSelection);
+    on("entry_selection_change", handleSelection);
     on("entry_cursor_clear", handleCursorClear);
     on("entry_edit", handleEntryEdit);
+    on("entry_edit_ack", handleEditAck);
     on("state_response", handleStateResponse);
 
     // Cleanup
     return () => {
+      offAny(trackRoomLog);
+      off("session_resumed", handleSessionResumed);
       off("current_viewers", handleCurrentViewers);
       off("user_viewing_entry", handleUserViewing);
       off("entry_collab_leave", handleUserLeave);
-      off("entry_cursor_move", handleCursorMove);
+      off("entry_cursor_move", handleSelection);
+      off("entry_selection_change", handleSelection);
       off("entry_cursor_clear", handleCursorClear);
       off("entry_edit", handleEntryEdit);
+      off("entry_edit_ack", handleEditAck);
       off("state_response", handleStateResponse);
     };
-  }, [on, off, entryId]);
+  }, [
+    on,
+    off,
+    onAny,
+    offAny,
+    entryId,
+    updateContent,
+    sendOperation,
+    sendSelection,
+    shiftCursors,
+    persistOutbox,
+  ]);
 
-  // Send cursor position
+  // Share our caret (a text offset into the content)
   const moveCursor = useCallback(
     (position) => {
       if (!entryId || !connected) return;
-      emit("entry_cursor_move", { entryId, position });
+      sendSelection({ anchor: position, head: position });
     },
-    [emit, entryId, connected]
+    [entryId, connected, sendSelection]
   );
 
-  // Send content edit
-  const editContent = useCallback(
-    (newContent, operation = "update") => {
+  // Share our selection; head is where the caret is, anchor where it started
+  const changeSelection = useCallback(
+    (anchor, head) => {
       if (!entryId || !connected) return;
-      emit("entry_edit", {
-        entryId,
-        content: newContent,
-        operation,
-        timestamp: Date.now(),
-      });
+      sendSelection({ anchor, head });
+    },
+    [entryId, connected, sendSelection]
+  );
+
+  // Apply a local edit ({ type: "insert", position, text } or
+  // { type: "delete", position, length }, or an array of them).
+  // Offline, or while catching up, it is queued and replayed later.
+  const editContent = useCallback(
+    (operation) => {
+      if (!entryId) return;
+
+      updateContent(apply(contentRef.current, operation));
+      shiftCursors(operation);
+
+      if (inflightRef.current || !connected || catchingUpRef.current) {
+        bufferRef.current = bufferRef.current.concat(operation);
+        persistOutbox();
+      } else {
+        sendOperation(operation);
+      }
+    },
+    [entryId, connected, updateContent, sendOperation, shiftCursors, persistOutbox]
+  );
+
+  // Settle a conflict: keep our text (sent as a fresh edit) or the server's
+  const resolveConflict = useCallback(
+    (keepLocal) => {
+      if (reconcile && reconcile.status === "conflict" && keepLocal) {
+        editContent(replaceOperation(contentRef.current, reconcile.localContent));
+      }
+      setReconcile(null);
     },
-    [emit, entryId, connected]
+    [reconcile, editContent]
   );
 
   return {
     viewers,
     cursors,
     content,
+    pendingEdits,
+    reconcile,
+    resolveConflict,
     joinEntry,
     leaveEntry,
     moveCursor,
+    changeSelection,
     editContent,
   };
 }
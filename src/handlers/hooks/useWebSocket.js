@@ -5,10 +5,22 @@ const WS_URL = process.env.REACT_APP_WS_URL || "http://localhost:4000";
 
 /**
  * Custom hook to manage WebSocket connection
+ * @param {string} token - JWT sent on connect
+ * @param {object} [options]
+ * @param {Function} [options.refreshToken] - Resolves to a fresh JWT; called
+ *   when the server says the current one is about to expire
  */
-export function useWebSocket(token) {
+export function useWebSocket(token, { refreshToken } = {}) {
   const socketRef = useRef(null);
+  // Ids of the current and previous connection; the server lets a
+  // reconnecting client take over the previous one's sessions
+  const socketIdRef = useRef(null);
+  const previousSocketIdRef = useRef(null);
   const [connected, setConnected] = useState(false);
+  // { reason } once the server has revoked this user's sessions
+  const [loggedOut, setLoggedOut] = useState(null);
+  const refreshTokenRef = useRef(refreshToken);
+  refreshTokenRef.current = refreshToken;
 
   // Initialize connection
   useEffect(() => {
@@ -23,14 +35,33 @@ export function useWebSocket(token) {
       reconnection: true,
       reconnectionDelay: 1000,
       reconnectionDelayMax: 5000,
-      reconnectionAttempts: 5,
+      // Keep trying: queued edits are replayed whenever we get back
+      reconnectionAttempts: Infinity,
     });
 
     socketRef.current = socket;
+    setLoggedOut(null);
+    // Pending reconnect after a server_shutdown
+    let shutdownReconnect = null;
+
+    // Fetch a new token; later reconnects use it too
+    const renewToken = async () => {
+      if (!refreshTokenRef.current) return null;
+      try {
+        const fresh = await refreshTokenRef.current();
+        if (fresh) socket.auth.token = fresh;
+        return fresh;
+      } catch (err) {
+        console.error("❌ Token refresh failed:", err.message);
+        return null;
+      }
+    };
 
     // Connection established
     socket.on("connect", () => {
       console.log("✅ WebSocket connected:", socket.id);
+      previousSocketIdRef.current = socketIdRef.current;
+      socketIdRef.current = socket.id;
       setConnected(true);
     });
 
@@ -40,13 +71,13 @@ export function useWebSocket(token) {
       setConnected(false);
     });
 
-    // Reconnection events
-    socket.on("reconnect", (attemptNumber) => {
+    // Reconnection events (emitted by the manager, not the socket)
+    socket.io.on("reconnect", (attemptNumber) => {
       console.log("🔄 Reconnected after", attemptNumber, "attempts");
       setConnected(true);
     });
 
-    socket.on("reconnect_error", (error) => {
+    socket.io.on("reconnect_error", (error) => {
       console.error("❌ Reconnection failed:", error.message);
     });
 
@@ -55,6 +86,42 @@ export function useWebSocket(token) {
       socket.emit("pong", { timestamp: Date.now() });
     });
 
+    // Token about to expire: refresh in-band, without reconnecting.
+    // Once expired the server disconnects us; come back with a new token.
+    socket.on("session_expired", async ({ expired }) => {
+      const fresh = await renewToken();
+      if (!fresh) return;
+
+      if (expired) {
+        // Don't wait for the server to drop the expired connection
+        socket.disconnect();
+        socket.connect();
+        return;
+      }
+      socket.emit("token_refresh", { token: fresh }, (res) => {
+        if (!res || !res.ok) {
+          console.error("❌ Token refresh rejected:", res && res.error && res.error.message);
+        }
+      });
+    });
+
+    // All of this user's sessions were revoked (e.g. password change).
+    // The server disconnects us and we don't reconnect.
+    socket.on("force_logout", ({ reason }) => {
+      console.warn("🚪 Logged out by server:", reason);
+      setLoggedOut({ reason });
+    });
+
+    // The server is going away. It disconnects us and Socket.IO won't
+    // reconnect on its own after that, so come back (to another instance)
+    // after the delay it picked, spreading clients out.
+    socket.on("server_shutdown", ({ reconnectIn = 0 }) => {
+      console.warn("🔁 Server shutting down, reconnecting in", reconnectIn, "ms");
+      socket.disconnect();
+      clearTimeout(shutdownReconnect);
+      shutdownReconnect = setTimeout(() => socket.connect(), reconnectIn);
+    });
+
     // Error handler
     socket.on("error", ({ code, message }) => {
       console.error(`WS Error [${code}]: ${message}`);
@@ -63,17 +130,22 @@ export function useWebSocket(token) {
     // Cleanup on unmount
     return () => {
       console.log("🔌 Disconnecting WebSocket");
+      clearTimeout(shutdownReconnect);
       socket.disconnect();
     };
   }, [token]);
 
-  // Emit wrapper function
-  const emit = useCallback((event, payload) => {
+  // Emit wrapper function (ack receives the server's reply, if any).
+  // Returns false when offline; callers that must not lose the event
+  // (e.g. edits in useCollaboration) queue it themselves.
+  const emit = useCallback((event, payload, ack) => {
     if (socketRef.current && socketRef.current.connected) {
-      socketRef.current.emit(event, payload);
-    } else {
-      console.warn("⚠️ Cannot emit, socket not connected");
+      if (ack) socketRef.current.emit(event, payload, ack);
+      else socketRef.current.emit(event, payload);
+      return true;
     }
+    console.warn("⚠️ Cannot emit, socket not connected");
+    return false;
   }, []);
 
   // Listen for events
@@ -90,11 +162,30 @@ export function useWebSocket(token) {
     }
   }, []);
 
+  // Listen for / stop listening to every event: callback(event, payload)
+  const onAny = useCallback((callback) => {
+    if (socketRef.current) {
+      socketRef.current.onAny(callback);
+    }
+  }, []);
+
+  const offAny = useCallback((callback) => {
+    if (socketRef.current) {
+      socketRef.current.offAny(callback);
+    }
+  }, []);
+
+  const getPreviousSocketId = useCallback(() => previousSocketIdRef.current, []);
+
   return { 
     connected, 
+    loggedOut,
     emit, 
     on, 
     off, 
+    onAny,
+    offAny,
+    getPreviousSocketId,
     socket: socketRef.current 
   };
 }
\ No newline at end of file
@@ -0,0 +1,343 @@
+const pool = require("../db/connection");
+const config = require("../config");
+const DIARY_COLLAB_WS_EVENTS = require("../constants/diaryCollabWsEvents");
+const DIARY_SOCIAL_WS_EVENTS = require("../constants/diarySocialWsEvent");
+const {
+  requireOwner,
+  saveEntryPermission,
+  announceEntryPermission,
+  revokeEntryPermission,
+} = require("./permissions");
+const { joinEntryRoom } = require("./collaboration");
+const { createNotification, NOTIFICATION_TYPES } = require("./notifications");
+const {
+  AccessDeniedError,
+  NotFoundError,
+  ValidationError,
+} = require("../utils/errors");
+const MessageFormatter = require("../utils/messageFormatter");
+const { handleEvent } = require("../utils/handleEvent");
+const { createLogger } = require("../utils/logger");
+
+const log = createLogger("invites");
+
+const INVITE_ROLES = ["viewer", "commenter", "editor"];
+
+function formatInvite(row) {
+  return {
+    inviteId: row.id,
+    entryId: row.entry_id,
+    inviterId: row.inviter_id,
+    inviteeId: row.invitee_id,
+    role: row.role,
+    status: row.status,
+    expiresAt: row.expires_at,
+    createdAt: row.created_at,
+    respondedAt: row.responded_at,
+  };
+}
+
+async function getInvite(inviteId) {
+  const { rows } = await pool.query(`SELECT * FROM entry_invites WHERE id = $1`, [inviteId]);
+  if (!rows[0]) throw new NotFoundError("Invite");
+  return rows[0];
+}
+
+/**
+ * Move an invite to `status`, but only from one of the `from` statuses, so
+ * of two concurrent answers only the first applies
+ * @param {object} [options]
+ * @param {string[]} [options.from] - Statuses it may leave
+ * @param {object} [options.db] - A transaction's client
+ * @returns {Promise<object|null>} The updated row, or null if its status had moved on
+ */
+async function setInviteStatus(inviteId, status, { from = ["pending"], db = pool } = {}) {
+  const allowed = from.map((_, i) => `$${i + 3}`).join(", ");
+  const { rows } = await db.query(
+    `
+    UPDATE entry_invites
+    SET status = $2, responded_at = NOW()
+    WHERE id = $1 AND status IN (${allowed})
+    RETURNING *
+    `,
+    [inviteId, status, ...from]
+  );
+  return rows[0] || null;
+}
+
+const noLongerPending = () => new ValidationError("Invite is no longer pending");
+
+// ============================================
+// Invite Lifecycle
+// ============================================
+
+/**
+ * Owner invites a friend to collaborate on an entry
+ */
+async function sendInvite(io, inviterId, entryId, inviteeId, role = "editor") {
+  if (!INVITE_ROLES.includes(role)) {
+    throw new ValidationError(`role must be one of ${INVITE_ROLES.join(", ")}`);
+  }
+  if (inviteeId === inviterId) {
+    throw new ValidationError("You cannot invite yourself");
+  }
+
+  await requireOwner(entryId, inviterId);
+
+  const friendship = await pool.query(
+    `SELECT 1 FROM friends WHERE user_id = $1 AND friend_id = $2`,
+    [inviterId, inviteeId]
+  );
+  if (friendship.rowCount === 0) {
+    throw new AccessDeniedError("You can only invite friends");
+  }
+
+  const existing = await pool.query(
+    `
+    SELECT id FROM entry_invites
+    WHERE entry_id = $1 AND invitee_id = $2
+      AND status = 'pending' AND expires_at > NOW()
+    `,
+    [entryId, inviteeId]
+  );
+  if (existing.rowCount > 0) {
+    throw new ValidationError("An invite is already pending for this user");
+  }
+
+  const { rows } = await pool.query(
+    `
+    INSERT INTO entry_invites (entry_id, inviter_id, invitee_id, role, status, expires_at)
+    VALUES ($1, $2, $3, $4, 'pending', $5)
+    RETURNING *
+    `,
+    [entryId, inviterId, inviteeId, role, new Date(Date.now() + config.collaboration.inviteTtl)]
+  );
+
+  const invite = MessageFormatter.event(formatInvite(rows[0]));
+
+  io.to(inviterId).emit(DIARY_COLLAB_WS_EVENTS.COLLAB_INVITE_SENT, invite);
+  io.to(inviteeId).emit(DIARY_COLLAB_WS_EVENTS.COLLAB_INVITE_RECEIVED, invite);
+
+  await createNotification(io, {
+    userId: inviteeId,
+    type: NOTIFICATION_TYPES.COLLAB_INVITE,
+    title: "Collaboration invite",
+    message: `${inviterId} invited you to collaborate on an entry`,
+    data: { inviteId: invite.inviteId, entryId, role },
+    priority: "high",
+  });
+
+  log.info("Invite sent", { userId: inviterId, inviteeId, entryId, role });
+  return invite;
+}
+
+/**
+ * Invitee accepts: grant the role and join the entry room
+ */
+async function acceptInvite(io, socket, userId, inviteId, cursorStore) {
+  const row = await getInvite(inviteId);
+
+  if (row.invitee_id !== userId) {
+    throw new AccessDeniedError("This invite is not addressed to you");
+  }
+  if (row.status !== "pending") {
+    throw new ValidationError(`Invite is already ${row.status}`);
+  }
+  if (new Date(row.expires_at) <= new Date()) {
+    await setInviteStatus(inviteId, "expired");
+    throw new ValidationError("Invite has expired");
+  }
+
+  // Accepted and granted together: a revoke or decline that got in first
+  // leaves nothing to accept, and a failed grant leaves the invite pending
+  const { accepted, grant } = await pool.withTransaction(async (client) => {
+    const accepted = await setInviteStatus(inviteId, "accepted", { db: client });
+    if (!accepted) throw noLongerPending();
+
+    // Granted on behalf of the inviter, who must still own the entry
+    const grant = await saveEntryPermission(
+      row.inviter_id,
+      row.entry_id,
+      userId,
+      row.role,
+      client
+    );
+    return { accepted, grant };
+  });
+
+  await announceEntryPermission(io, grant);
+  const invite = MessageFormatter.event(formatInvite(accepted));
+
+  await joinEntryRoom(io, socket, userId, row.entry_id, cursorStore);
+
+  socket.emit(DIARY_COLLAB_WS_EVENTS.COLLAB_INVITE_ACCEPTED, invite);
+  io.to(row.inviter_id).emit(DIARY_SOCIAL_WS_EVENTS.ENTRY_INVITE_ACCEPTED, invite);
+
+  await createNotification(io, {
+    userId: row.inviter_id,
+    type: NOTIFICATION_TYPES.COLLAB_INVITE_ACCEPTED,
+    title: "Invite accepted",
+    message: `${userId} joined your entry`,
+    data: { inviteId: invite.inviteId, entryId: row.entry_id },
+  });
+
+  log.info("Invite accepted", { userId, inviteId, entryId: row.entry_id });
+  return invite;
+}
+
+/**
+ * Invitee declines a pending invite
+ */
+async function declineInvite(io, socket, userId, inviteId) {
+  const row = await getInvite(inviteId);
+
+  if (row.invitee_id !== userId) {
+    throw new AccessDeniedError("This invite is not addressed to you");
+  }
+  if (row.status !== "pending") {
+    throw new ValidationError(`Invite is already ${row.status}`);
+  }
+
+  const declined = await setInviteStatus(inviteId, "declined");
+  if (!declined) throw noLongerPending();
+  const invite = MessageFormatter.event(formatInvite(declined));
+
+  socket.emit(DIARY_COLLAB_WS_EVENTS.COLLAB_INVITE_DECLINED, invite);
+  io.to(row.inviter_id).emit(DIARY_SOCIAL_WS_EVENTS.ENTRY_INVITE_DECLINED, invite);
+
+  return invite;
+}
+
+/**
+ * Owner revokes an invite. If it was already accepted, the
+ * collaborator loses access and is told the collaboration ended.
+ */
+async function revokeInvite(io, userId, inviteId, cursorStore) {
+  const row = await getInvite(inviteId);
+
+  await requireOwner(row.entry_id, userId);
+
+  if (row.status !== "pending" && row.status !== "accepted") {
+    throw new ValidationError(`Invite is already ${row.status}`);
+  }
+
+  // The row is locked first, so an accept still in flight is seen committed
+  const { revoked, wasAccepted } = await pool.withTransaction(async (client) => {
+    const { rows } = await client.query(
+      `SELECT status FROM entry_invites WHERE id = $1 FOR UPDATE`,
+      [inviteId]
+    );
+    const revoked = await setInviteStatus(inviteId, "revoked", {
+      from: ["pending", "accepted"],
+      db: client,
+    });
+    if (!revoked) throw new ValidationError(`Invite is already ${rows[0].status}`);
+    return { revoked, wasAccepted: rows[0].status === "accepted" };
+  });
+  const invite = MessageFormatter.event(formatInvite(revoked));
+
+  if (wasAccepted) {
+    await revokeEntryPermission(io, userId, row.entry_id, row.invitee_id, cursorStore);
+    io.to(row.invitee_id).emit(DIARY_COLLAB_WS_EVENTS.COLLAB_ENDED, {
+      entryId: row.entry_id,
+      reason: "invite_revoked",
+      timestamp: Date.now(),
+    });
+  } else {
+    io.to(row.invitee_id).emit(DIARY_SOCIAL_WS_EVENTS.ENTRY_INVITE_CANCELLED, invite);
+  }
+
+  io.to(userId).emit(DIARY_COLLAB_WS_EVENTS.COLLAB_INVITE_REVOKED, invite);
+
+  log.info("Invite revoked", { userId, inviteId, entryId: row.entry_id });
+  return invite;
+}
+
+/**
+ * Deliver invites that arrived while the user was offline
+ */
+async function sendPendingInvites(socket, userId) {
+  await pool.query(
+    `
+    UPDATE entry_invites
+    SET status = 'expired'
+    WHERE invitee_id = $1 AND status = 'pending' AND expires_at <= NOW()
+    `,
+    [userId]
+  );
+
+  const { rows } = await pool.query(
+    `
+    SELECT * FROM entry_invites
+    WHERE invitee_id = $1 AND status = 'pending'
+    ORDER BY created_at ASC
+    `,
+    [userId]
+  );
+
+  rows.forEach((row) => {
+    socket.emit(
+      DIARY_COLLAB_WS_EVENTS.COLLAB_INVITE_RECEIVED,
+      MessageFormatter.event(formatInvite(row))
+    );
+  });
+}
+
+// ============================================
+// Invite Event Handlers
+// ============================================
+function registerInviteHandlers(io, socket, cursorStore) {
+  const userId = socket.data.userId;
+
+  handleEvent(
+    socket,
+    DIARY_COLLAB_WS_EVENTS.COLLAB_INVITE_SENT,
+    ({ entryId, inviteeId, role }) => {
+      if (!entryId || !inviteeId) {
+        throw new ValidationError("entryId and inviteeId are required");
+      }
+      return sendInvite(io, userId, entryId, inviteeId, role);
+    },
+    { log, action: "invite" }
+  );
+
+  handleEvent(
+    socket,
+    DIARY_COLLAB_WS_EVENTS.COLLAB_INVITE_ACCEPTED,
+    ({ inviteId }) => {
+      if (!inviteId) throw new ValidationError("inviteId is required");
+      return acceptInvite(io, socket, userId, inviteId, cursorStore);
+    },
+    { log, action: "accept_invite" }
+  );
+
+  handleEvent(
+    socket,
+    DIARY_COLLAB_WS_EVENTS.COLLAB_INVITE_DECLINED,
+    ({ inviteId }) => {
+      if (!inviteId) throw new ValidationError("inviteId is required");
+      return declineInvite(io, socket, userId, inviteId);
+    },
+    { log, action: "decline_invite" }
+  );
+
+  handleEvent(
+    socket,
+    DIARY_COLLAB_WS_EVENTS.COLLAB_INVITE_REVOKED,
+    ({ inviteId }) => {
+      if (!inviteId) throw new ValidationError("inviteId is required");
+      return revokeInvite(io, userId, inviteId, cursorStore);
+    },
+    { log, action: "revoke_invite" }
+  );
+}
+
+module.exports = {
+  INVITE_ROLES,
+  sendInvite,
+  acceptInvite,
+  declineInvite,
+  revokeInvite,
+  sendPendingInvites,
+  registerInviteHandlers,
+};
@@ -0,0 +1,223 @@
+const pool = require("../db/connection");
+const NOTIFICATION_EVENTS = require("../constants/notificationEvents");
+const MessageFormatter = require("../utils/messageFormatter");
+const { handleEvent } = require("../utils/handleEvent");
+const { ValidationError } = require("../utils/errors");
+const { createLogger } = require("../utils/logger");
+
+const log = createLogger("notifications");
+
+const NOTIFICATION_TYPES = {
+  FRIEND_REQUEST: "friend_request",
+  FRIEND_ACCEPTED: "friend_accepted",
+  COLLAB_INVITE: "collab_invite",
+  COLLAB_INVITE_ACCEPTED: "collab_invite_accepted",
+  COMMENT: "comment",
+  COMMENT_REPLY: "comment_reply",
+};
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+function formatNotification(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    title: row.title,
+    message: row.message,
+    data: row.data || {},
+    is_read: row.is_read,
+    is_archived: row.is_archived,
+    priority: row.priority,
+    created_at: row.created_at,
+    read_at: row.read_at,
+  };
+}
+
+// ============================================
+// Creation (called by other handlers)
+// ============================================
+
+/**
+ * Persist a notification and push it to every socket of the recipient.
+ * Never throws: a failed notification must not fail the action behind it.
+ * @returns {Promise<object|null>} The notification, or null on failure
+ */
+async function createNotification(io, { userId, type, title, message = null, data = {}, priority = "normal" }) {
+  try {
+    const { rows } = await pool.query(
+      `
+      INSERT INTO notifications (user_id, type, title, message, data, priority)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+      `,
+      [userId, type, title, message, JSON.stringify(data), priority]
+    );
+
+    const notification = formatNotification(rows[0]);
+    io.to(userId).emit(
+      NOTIFICATION_EVENTS.NOTIFICATION_CREATED,
+      MessageFormatter.event(notification)
+    );
+    return notification;
+  } catch (err) {
+    log.error("Error creating notification", { err });
+    return null;
+  }
+}
+
+// ============================================
+// Queries
+// ============================================
+async function listNotifications(userId, { limit, offset, filter = {} } = {}) {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const start = Math.max(parseInt(offset, 10) || 0, 0);
+
+  const conditions = ["user_id = $1", "is_archived = $2"];
+  const params = [userId, Boolean(filter.archived)];
+
+  if (filter.unread) conditions.push("is_read = FALSE");
+  if (filter.type) {
+    params.push(filter.type);
+    conditions.push(`type = $${params.length}`);
+  }
+  if (filter.priority) {
+    params.push(filter.priority);
+    conditions.push(`priority = $${params.length}`);
+  }
+
+  const where = conditions.join(" AND ");
+
+  const [list, count] = await Promise.all([
+    pool.query(
+      `
+      SELECT * FROM notifications
+      WHERE ${where}
+      ORDER BY created_at DESC, id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+      `,
+      [...params, pageSize, start]
+    ),
+    pool.query(`SELECT COUNT(*)::int AS total FROM notifications WHERE ${where}`, params),
+  ]);
+
+  return {
+    notifications: list.rows.map(formatNotification),
+    total: count.rows[0].total,
+    limit: pageSize,
+    offset: start,
+  };
+}
+
+async function getUnreadCount(userId) {
+  const { rows } = await pool.query(
+    `
+    SELECT COUNT(*)::int AS count FROM notifications
+    WHERE user_id = $1 AND is_read = FALSE AND is_archived = FALSE
+    `,
+    [userId]
+  );
+  return rows[0].count;
+}
+
+// Keep every open tab's badge in step
+async function broadcastUnreadCount(io, userId) {
+  const count = await getUnreadCount(userId);
+  io.to(userId).emit(
+    NOTIFICATION_EVENTS.NOTIFICATION_COUNT_RESPONSE,
+    MessageFormatter.event({ count })
+  );
+}
+
+// ============================================
+// Notification Event Handlers
+// ============================================
+function registerNotificationHandlers(io, socket) {
+  const userId = socket.data.userId;
+
+  const handle = (event, action) => handleEvent(socket, event, action, { log });
+
+  handle(NOTIFICATION_EVENTS.NOTIFICATION_LIST_REQUEST, async (payload) => {
+    const result = await listNotifications(userId, payload);
+    socket.emit(NOTIFICATION_EVENTS.NOTIFICATION_LIST_RESPONSE, MessageFormatter.event(result));
+    return result;
+  });
+
+  handle(NOTIFICATION_EVENTS.NOTIFICATION_COUNT_REQUEST, async () => {
+    const count = await getUnreadCount(userId);
+    socket.emit(NOTIFICATION_EVENTS.NOTIFICATION_COUNT_RESPONSE, MessageFormatter.event({ count }));
+    return { count };
+  });
+
+  handle(NOTIFICATION_EVENTS.NOTIFICATION_MARK_READ, async ({ notificationId }) => {
+    if (!notificationId) throw new ValidationError("notificationId is required");
+
+    const { rowCount } = await pool.query(
+      `
+      UPDATE notifications
+      SET is_read = TRUE, read_at = NOW()
+      WHERE id = $1 AND user_id = $2 AND is_read = FALSE
+      `,
+      [notificationId, userId]
+    );
+
+    if (rowCount > 0) {
+      io.to(userId).emit(
+        NOTIFICATION_EVENTS.NOTIFICATION_READ_SUCCESS,
+        MessageFormatter.event({ notificationIds: [notificationId] })
+      );
+      await broadcastUnreadCount(io, userId);
+    }
+    return { notificationIds: rowCount > 0 ? [notificationId] : [] };
+  });
+
+  handle(NOTIFICATION_EVENTS.NOTIFICATION_MARK_ALL_READ, async () => {
+    await pool.query(
+      `
+      UPDATE notifications
+      SET is_read = TRUE, read_at = NOW()
+      WHERE user_id = $1 AND is_read = FALSE
+      `,
+      [userId]
+    );
+
+    io.to(userId).emit(
+      NOTIFICATION_EVENTS.NOTIFICATION_READ_SUCCESS,
+      MessageFormatter.event({ all: true })
+    );
+    await broadcastUnreadCount(io, userId);
+    return { all: true };
+  });
+
+  handle(NOTIFICATION_EVENTS.NOTIFICATION_ARCHIVE, async ({ notificationId }) => {
+    if (!notificationId) throw new ValidationError("notificationId is required");
+
+    const { rows } = await pool.query(
+      `
+      UPDATE notifications
+      SET is_archived = TRUE
+      WHERE id = $1 AND user_id = $2
+      RETURNING *
+      `,
+      [notificationId, userId]
+    );
+
+    if (!rows[0]) return null;
+
+    const notification = formatNotification(rows[0]);
+    io.to(userId).emit(
+      NOTIFICATION_EVENTS.NOTIFICATION_UPDATED,
+      MessageFormatter.event(notification)
+    );
+    await broadcastUnreadCount(io, userId);
+    return notification;
+  });
+}
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  createNotification,
+  listNotifications,
+  getUnreadCount,
+  registerNotificationHandlers,
+};
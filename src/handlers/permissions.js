@@ -0,0 +1,284 @@
+const pool = require("../db/connection");
+const roomEventLog = require("../cache/roomEventLog");
+const DIARY_COLLAB_WS_EVENTS = require("../constants/diaryCollabWsEvents");
+const MessageFormatter = require("../utils/messageFormatter");
+const { handleEvent } = require("../utils/handleEvent");
+const { AccessDeniedError, NotFoundError, ValidationError } = require("../utils/errors");
+const { createLogger } = require("../utils/logger");
+
+const log = createLogger("permissions");
+
+// ============================================
+// Roles
+// ============================================
+const ROLE_RANK = {
+  viewer: 1,
+  commenter: 2,
+  editor: 3,
+  owner: 4,
+};
+
+const GRANTABLE_ROLES = ["viewer", "commenter", "editor"];
+
+function hasRole(role, required) {
+  return Boolean(role) && ROLE_RANK[role] >= ROLE_RANK[required];
+}
+
+/**
+ * Resolve a user's role on an entry. The entry's author is always owner.
+ * @returns {Promise<string|null>} Role, or null if the user has no access
+ * @throws {NotFoundError} If the entry does not exist or was deleted
+ */
+async function getEntryRole(entryId, userId) {
+  const { rows } = await pool.query(
+    `
+    SELECT
+      CASE WHEN e.user_id = $2 THEN 'owner' ELSE p.role END AS role
+    FROM diary_entries e
+    LEFT JOIN entry_permissions p ON p.entry_id = e.id AND p.user_id = $2
+    WHERE e.id = $1 AND e.deleted_at IS NULL
+    `,
+    [entryId, userId]
+  );
+
+  if (!rows[0]) throw new NotFoundError("Entry");
+  return rows[0].role || null;
+}
+
+// ============================================
+// Per-socket role cache (filled on JOIN_ENTRY_ROOM)
+// ============================================
+function cacheRole(socket, entryId, role) {
+  if (!socket.data.entryRoles) socket.data.entryRoles = {};
+  if (role) socket.data.entryRoles[entryId] = role;
+  else delete socket.data.entryRoles[entryId];
+}
+
+function cachedRole(socket, entryId) {
+  return socket.data.entryRoles ? socket.data.entryRoles[entryId] : undefined;
+}
+
+// Server-to-server event: another instance changed a user's role
+const ROLE_SYNC_EVENT = "entry_role_changed";
+
+async function refreshCachedRoles(io, userId, entryId, role) {
+  const sockets = await io.in(userId).local.fetchSockets();
+  sockets.forEach((s) => {
+    if (cachedRole(s, entryId) !== undefined) cacheRole(s, entryId, role);
+  });
+}
+
+/**
+ * Refresh the cached role on every socket the user has open,
+ * on this instance and (through the adapter) on every other one
+ */
+async function syncCachedRoles(io, userId, entryId, role) {
+  await refreshCachedRoles(io, userId, entryId, role);
+  io.serverSideEmit(ROLE_SYNC_EVENT, { userId, entryId, role });
+}
+
+function registerRoleSync(io) {
+  io.on(ROLE_SYNC_EVENT, ({ userId, entryId, role }) => {
+    refreshCachedRoles(io, userId, entryId, role).catch((err) => {
+      log.error("Role sync error", { userId, entryId, err });
+    });
+  });
+}
+
+/**
+ * Check that the socket's user holds at least `required` on the entry
+ * @returns {Promise<string>} The user's role
+ * @throws {AccessDeniedError} Naming the entry and the action refused
+ */
+async function authorizeEntry(socket, entryId, required, action) {
+  let role = cachedRole(socket, entryId);
+
+  if (role === undefined) {
+    try {
+      role = await getEntryRole(entryId, socket.data.userId);
+    } catch (err) {
+      if (!(err instanceof NotFoundError)) throw err;
+      role = null;
+    }
+  }
+
+  if (!hasRole(role, required)) {
+    throw new AccessDeniedError("Permission denied", { entryId, action });
+  }
+
+  return role;
+}
+
+// ============================================
+// Granting and Revoking
+// ============================================
+async function requireOwner(entryId, userId) {
+  const role = await getEntryRole(entryId, userId);
+  if (role !== "owner") {
+    throw new AccessDeniedError("Only the entry owner can manage permissions");
+  }
+}
+
+/**
+ * Write a grant (after checking the granter owns the entry) without telling
+ * anyone yet; `db` may be a transaction's client. Pass the result to
+ * announceEntryPermission once it is committed.
+ */
+async function saveEntryPermission(grantedBy, entryId, targetUserId, role, db = pool) {
+  if (!GRANTABLE_ROLES.includes(role)) {
+    throw new ValidationError(`role must be one of ${GRANTABLE_ROLES.join(", ")}`);
+  }
+
+  await requireOwner(entryId, grantedBy);
+
+  if (targetUserId === grantedBy) {
+    throw new ValidationError("Owner role cannot be changed");
+  }
+
+  await db.query(
+    `
+    INSERT INTO entry_permissions (entry_id, user_id, role, granted_by)
+    VALUES ($1, $2, $3, $4)
+    ON CONFLICT (entry_id, user_id)
+    DO UPDATE SET role = $3, granted_by = $4, updated_at = NOW()
+    `,
+    [entryId, targetUserId, role, grantedBy]
+  );
+
+  return { grantedBy, entryId, targetUserId, role };
+}
+
+/**
+ * Refresh cached roles and tell the grantee and the entry room about a
+ * saved grant
+ */
+async function announceEntryPermission(io, { grantedBy, entryId, targetUserId, role }) {
+  await syncCachedRoles(io, targetUserId, entryId, role);
+
+  const payload = {
+    entryId,
+    userId: targetUserId,
+    role,
+    grantedBy,
+    timestamp: Date.now(),
+  };
+
+  io.to(targetUserId).emit(DIARY_COLLAB_WS_EVENTS.PERMISSION_GRANTED, payload);
+  io.to(`entry_${entryId}`).emit(
+    DIARY_COLLAB_WS_EVENTS.ENTRY_PERMISSION_UPDATED,
+    roomEventLog.record(entryId, DIARY_COLLAB_WS_EVENTS.ENTRY_PERMISSION_UPDATED, payload)
+  );
+
+  log.info("Permission granted", { userId: grantedBy, entryId, targetUserId, role });
+  return payload;
+}
+
+/**
+ * Grant or change a user's role on an entry
+ */
+async function grantEntryPermission(io, grantedBy, entryId, targetUserId, role) {
+  const grant = await saveEntryPermission(grantedBy, entryId, targetUserId, role);
+  return announceEntryPermission(io, grant);
+}
+
+/**
+ * Remove a user's access and kick any of their sockets out of the room
+ */
+async function revokeEntryPermission(io, revokedBy, entryId, targetUserId, cursorStore) {
+  await requireOwner(entryId, revokedBy);
+
+  if (targetUserId === revokedBy) {
+    throw new ValidationError("Owner access cannot be revoked");
+  }
+
+  await pool.query(
+    `DELETE FROM entry_permissions WHERE entry_id = $1 AND user_id = $2`,
+    [entryId, targetUserId]
+  );
+
+  await removeFromEntryRoom(io, entryId, targetUserId, cursorStore);
+
+  const payload = {
+    entryId,
+    userId: targetUserId,
+    role: null,
+    revokedBy,
+    timestamp: Date.now(),
+  };
+
+  io.to(targetUserId).emit(DIARY_COLLAB_WS_EVENTS.PERMISSION_REVOKED, payload);
+  io.to(`entry_${entryId}`).emit(
+    DIARY_COLLAB_WS_EVENTS.ENTRY_PERMISSION_UPDATED,
+    roomEventLog.record(entryId, DIARY_COLLAB_WS_EVENTS.ENTRY_PERMISSION_UPDATED, payload)
+  );
+
+  log.info("Permission revoked", { userId: revokedBy, entryId, targetUserId });
+  return payload;
+}
+
+/**
+ * Force every socket of a user out of an entry room
+ */
+async function removeFromEntryRoom(io, entryId, userId, cursorStore) {
+  const room = `entry_${entryId}`;
+
+  await syncCachedRoles(io, userId, entryId, null);
+  io.in(userId).socketsLeave(room);
+
+  await pool.query(
+    `DELETE FROM active_sessions WHERE entry_id = $1 AND user_id = $2`,
+    [entryId, userId]
+  );
+
+  // Cursors are keyed per connection; drop every one the user owns
+  if (cursorStore) {
+    const connectionIds = await cursorStore.removeUser(entryId, userId);
+    connectionIds.forEach((connectionId) => {
+      io.to(room).emit(
+        DIARY_COLLAB_WS_EVENTS.ENTRY_CURSOR_CLEAR,
+        MessageFormatter.event({ userId, connectionId, entryId })
+      );
+    });
+  }
+
+  io.to(room).emit(DIARY_COLLAB_WS_EVENTS.ENTRY_COLLAB_LEAVE, {
+    entryId,
+    userId,
+    timestamp: Date.now(),
+  });
+}
+
+// ============================================
+// ENTRY_PERMISSION_UPDATED Handler
+// ({ entryId, userId, role }; role null revokes)
+// ============================================
+function registerPermissionHandlers(io, socket, cursorStore) {
+  const userId = socket.data.userId;
+
+  handleEvent(
+    socket,
+    DIARY_COLLAB_WS_EVENTS.ENTRY_PERMISSION_UPDATED,
+    ({ entryId, userId: targetUserId, role }) =>
+      role
+        ? grantEntryPermission(io, userId, entryId, targetUserId, role)
+        : revokeEntryPermission(io, userId, entryId, targetUserId, cursorStore),
+    { log, action: "manage_permissions" }
+  );
+}
+
+module.exports = {
+  ROLE_RANK,
+  GRANTABLE_ROLES,
+  hasRole,
+  getEntryRole,
+  requireOwner,
+  cacheRole,
+  authorizeEntry,
+  saveEntryPermission,
+  announceEntryPermission,
+  grantEntryPermission,
+  revokeEntryPermission,
+  removeFromEntryRoom,
+  registerRoleSync,
+  registerPermissionHandlers,
+};
@@ -1,23 +1,44 @@
 const pool = require("../db/connection");
+const config = require("../config");
+const WS_EVENTS = require("../constants/wsEvents");
 const DIARY_SOCIAL_WS_EVENTS = require("../constants/diarySocialWsEvent");
 const friendsCache = require("../cache/friendsCache");
+const metrics = require("../utils/metrics");
+const { createLogger } = require("../utils/logger");
+
+const log = createLogger("presence");
+
+/**
+ * Count a user's live connections
+ */
+async function countOnlineSockets(userId) {
+  const { rows } = await pool.query(
+    `SELECT COUNT(*)::int AS count FROM ws_connections WHERE user_id = $1 AND online = true`,
+    [userId]
+  );
+  return rows[0].count;
+}
 
 /**
- * Set a user as online and notify their friends
+ * Register a connection and, if it is the user's first,
+ * mark them online and notify their friends
  */
 async function setUserOnline(userId, socketId, io) {
   try {
-    // Update or insert connection
+    // One row per connection
     await pool.query(
       `
-      INSERT INTO ws_connections(user_id, socket_id, online, last_seen)
+      INSERT INTO ws_connections(socket_id, user_id, online, last_seen)
       VALUES ($1, $2, true, NOW())
-      ON CONFLICT(user_id) DO UPDATE
-      SET socket_id = $2, online = true, last_seen = NOW()
+      ON CONFLICT(socket_id) DO UPDATE
+      SET online = true, last_seen = NOW()
       `,
-      [userId, socketId]
+      [socketId, userId]
     );
 
+    // Another tab or device already announced this user
+    if ((await countOnlineSockets(userId)) > 1) return;
+
     // Get friends who should be notified
     const { rows } = await pool.query(
       `SELECT user_id FROM friends WHERE friend_id = $1`,
@@ -25,37 +46,41 @@ async function setUserOnline(userId, socketId, io) {
     );
 
     // Notify each friend that this user is online
-    rows.forEach((r) => {
+    for (const r of rows) {
       // Update cache
-      friendsCache.updateStatus(r.user_id, userId, true);
-      
+      await friendsCache.updateStatus(r.user_id, userId, true);
+
       // Emit to friend's socket
       io.to(r.user_id).emit(DIARY_SOCIAL_WS_EVENTS.FRIEND_ONLINE, {
         userId,
         timestamp: Date.now(),
       });
-    });
+    }
 
-    console.log(`✅ ${userId} is now online`);
+    log.info("User online", { userId, socketId });
   } catch (err) {
-    console.error(`[${new Date().toISOString()}] Error setting user online:`, err);
+    log.error("Error setting user online", { userId, socketId, err });
     throw err;
   }
 }
 
 /**
- * Set a user as offline and notify their friends
+ * Close a connection and, once the user's last one is gone,
+ * mark them offline and notify their friends
  */
-async function setUserOffline(userId, io) {
+async function setUserOffline(userId, socketId, io) {
   try {
     // Update connection status
     await pool.query(
       `UPDATE ws_connections 
        SET online = false, last_seen = NOW() 
-       WHERE user_id = $1`,
-      [userId]
+       WHERE socket_id = $1`,
+      [socketId]
     );
 
+    // Still connected from another tab or device
+    if ((await countOnlineSockets(userId)) > 0) return;
+
     // Get friends who should be notified
     const { rows } = await pool.query(
       `SELECT user_id FROM friends WHERE friend_id = $1`,
@@ -63,20 +88,20 @@ async function setUserOffline(userId, io) {
     );
 
     // Notify each friend that this user is offline
-    rows.forEach((r) => {
+    for (const r of rows) {
       // Update cache
-      friendsCache.updateStatus(r.user_id, userId, false);
-      
+      await friendsCache.updateStatus(r.user_id, userId, false);
+
       // Emit to friend's socket
       io.to(r.user_id).emit(DIARY_SOCIAL_WS_EVENTS.FRIEND_OFFLINE, {
         userId,
         timestamp: Date.now(),
       });
-    });
+    }
 
-    console.log(`❌ ${userId} is now offline`);
+    log.info("User offline", { userId, socketId });
   } catch (err) {
-    console.error(`[${new Date().toISOString()}] Error setting user offline:`, err);
+    log.error("Error setting user offline", { userId, socketId, err });
     throw err;
   }
 }
@@ -90,20 +115,70 @@ async function getOnlineFriends(userId) {
       `
       SELECT f.friend_id, w.socket_id, w.online
       FROM friends f
-      LEFT JOIN ws_connections w ON w.user_id = f.friend_id
+      JOIN ws_connections w ON w.user_id = f.friend_id
       WHERE f.user_id = $1 AND w.online = true
       `,
       [userId]
     );
     return res.rows;
   } catch (err) {
-    console.error(`[${new Date().toISOString()}] Error fetching online friends:`, err);
+    log.error("Error fetching online friends", { userId, err });
     return [];
   }
 }
 
+/**
+ * Check whether a user currently has a live connection
+ */
+async function isUserOnline(userId) {
+  return (await countOnlineSockets(userId)) > 0;
+}
+
+// ============================================
+// Heartbeat and stale sockets
+// ============================================
+
+/**
+ * Emit HEARTBEAT every `heartbeatInterval` and disconnect sockets whose
+ * last PONG is older than `staleTimeout` (checked every `staleCheckInterval`)
+ * @returns {Function} stop() - Clears both intervals
+ */
+function startHeartbeat(io, settings = config.presence) {
+  const { heartbeatInterval, staleTimeout, staleCheckInterval } = settings;
+
+  const heartbeat = setInterval(() => {
+    // This server's sockets only: other instances heartbeat their own
+    io.local.emit(WS_EVENTS.HEARTBEAT, { timestamp: Date.now() });
+  }, heartbeatInterval);
+
+  const staleCheck = setInterval(async () => {
+    const now = Date.now();
+    for (const socket of io.sockets.sockets.values()) {
+      if (!socket.lastHeartbeatReceived) continue;
+      if (now - socket.lastHeartbeatReceived <= staleTimeout) continue;
+
+      log.warn("Stale socket disconnected", { userId: socket.data.userId, socketId: socket.id });
+      metrics.staleSocketsReaped.inc();
+      try {
+        await setUserOffline(socket.data.userId, socket.id, io);
+      } catch (err) {
+        // Logged by setUserOffline; disconnect regardless
+      }
+      socket.disconnect(true);
+    }
+  }, staleCheckInterval);
+
+  return () => {
+    clearInterval(heartbeat);
+    clearInterval(staleCheck);
+  };
+}
+
 module.exports = {
+  startHeartbeat,
   setUserOnline,
   setUserOffline,
   getOnlineFriends,
+  isUserOnline,
+  countOnlineSockets,
 };
\ No newline at end of file
@@ -0,0 +1,125 @@
+const WS_EVENTS = require("../constants/wsEvents");
+const { verifyToken, revokeTokens } = require("../middleware/auth");
+const { handleEvent } = require("../utils/handleEvent");
+const { AuthError } = require("../utils/errors");
+const { createLogger } = require("../utils/logger");
+
+const log = createLogger("session");
+
+// Clients get SESSION_EXPIRED this long before their token runs out,
+// leaving time to send TOKEN_REFRESH
+const EXPIRY_WARNING = 60 * 1000;
+
+// setTimeout fires immediately past ~24.8 days; longer waits are chained
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+// socket.id -> { warn, expire } (timers can't live in socket.data,
+// which other instances read through fetchSockets)
+const expiryTimers = new Map();
+
+function setLongTimeout(at, fn) {
+  const delay = at - Date.now();
+  if (delay > MAX_TIMEOUT) {
+    return setTimeout(() => setLongTimeout(at, fn), MAX_TIMEOUT);
+  }
+  return setTimeout(fn, Math.max(delay, 0));
+}
+
+function clearSessionExpiry(socket) {
+  const timers = expiryTimers.get(socket.id);
+  if (!timers) return;
+
+  clearTimeout(timers.warn);
+  clearTimeout(timers.expire);
+  expiryTimers.delete(socket.id);
+}
+
+/**
+ * Warn the client ahead of socket.data.tokenExpiresAt and
+ * disconnect it once the token has expired
+ */
+function scheduleSessionExpiry(socket) {
+  clearSessionExpiry(socket);
+
+  const expiresAt = socket.data.tokenExpiresAt;
+  if (!expiresAt) return;
+
+  const timers = {
+    warn: setLongTimeout(expiresAt - EXPIRY_WARNING, () => {
+      socket.emit(WS_EVENTS.SESSION_EXPIRED, {
+        expiresAt,
+        expired: false,
+        timestamp: Date.now(),
+      });
+    }),
+    expire: setLongTimeout(expiresAt, () => {
+      expiryTimers.delete(socket.id);
+      socket.emit(WS_EVENTS.SESSION_EXPIRED, {
+        expiresAt,
+        expired: true,
+        timestamp: Date.now(),
+      });
+      log.info("Session expired", { userId: socket.data.userId, socketId: socket.id });
+      socket.disconnect(true);
+    }),
+  };
+
+  expiryTimers.set(socket.id, timers);
+}
+
+/**
+ * Revoke every token the user holds and disconnect all of their
+ * sockets, on every instance (e.g. after a password change)
+ */
+async function forceLogout(io, userId, reason = "revoked") {
+  await revokeTokens(userId);
+
+  io.to(userId).emit(WS_EVENTS.FORCE_LOGOUT, {
+    userId,
+    reason,
+    timestamp: Date.now(),
+  });
+  io.in(userId).disconnectSockets(true);
+
+  log.info("Forced logout", { userId, reason });
+}
+
+// ============================================
+// TOKEN_REFRESH Handler
+// ({ token }; acks { expiresAt }. On failure the current token stays
+// in force until it expires)
+// ============================================
+function registerSessionHandlers(io, socket) {
+  const userId = socket.data.userId;
+
+  scheduleSessionExpiry(socket);
+
+  handleEvent(
+    socket,
+    WS_EVENTS.TOKEN_REFRESH,
+    async ({ token }) => {
+      if (!token || typeof token !== "string") {
+        throw new AuthError("Token not provided");
+      }
+
+      const tokenPayload = await verifyToken(token);
+      if (tokenPayload.userId !== userId) {
+        throw new AuthError("Token belongs to another user");
+      }
+
+      socket.data.tokenExpiresAt = tokenPayload.exp ? tokenPayload.exp * 1000 : null;
+      scheduleSessionExpiry(socket);
+
+      return { expiresAt: socket.data.tokenExpiresAt };
+    },
+    { log }
+  );
+
+  socket.on("disconnect", () => clearSessionExpiry(socket));
+}
+
+module.exports = {
+  EXPIRY_WARNING,
+  forceLogout,
+  registerSessionHandlers,
+};
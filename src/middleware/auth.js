@@ -1,29 +1,101 @@
 // middleware/auth.js
 
 const jwt = require("jsonwebtoken");
+const store = require("../store");
+const config = require("../config");
+const { AuthError } = require("../utils/errors");
+const { createLogger } = require("../utils/logger");
+
+const log = createLogger("auth");
+
+// Tokens issued before a user's cutoff are rejected (see revokeTokens).
+// Cutoffs outlive any token we issue, then expire on their own.
+const REVOCATIONS = "token_revocations";
+const REVOCATION_TTL = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Reject every token issued for the user up to now
+ * (password change, "log out everywhere")
+ */
+async function revokeTokens(userId) {
+  await store.set(REVOCATIONS, userId, Math.floor(Date.now() / 1000), REVOCATION_TTL);
+}
+
+/**
+ * Verify a token's signature, expiry and revocation
+ * @returns {Promise<object>} The token payload
+ * @throws {AuthError} If the token is not (or no longer) valid
+ */
+async function verifyToken(token, secret = config.auth.jwtSecret) {
+  let payload;
+  try {
+    payload = jwt.verify(token, secret);
+  } catch (err) {
+    throw new AuthError(err.name === "TokenExpiredError" ? "Token expired" : "Invalid token");
+  }
+
+  if (!payload.userId) throw new AuthError("Invalid token");
+
+  // A token without iat can't prove it postdates the cutoff
+  const revokedBefore = await store.get(REVOCATIONS, payload.userId);
+  if (revokedBefore && !(payload.iat >= revokedBefore)) {
+    throw new AuthError("Token revoked");
+  }
+
+  return payload;
+}
 
 /**
  * Socket.IO authentication middleware
- * @param {Socket} socket 
- * @param {Function} next 
+ * @param {Socket} socket
+ * @param {Function} next
  */
-const authenticateSocket = (socket, next) => {
+const authenticateSocket = async (socket, next) => {
   try {
     const token = socket.handshake.auth?.token;
     if (!token) {
       return next(new Error("Authentication error: Token not provided"));
     }
 
-    const payload = jwt.verify(token, process.env.JWT_SECRET || "secret");
+    const payload = await verifyToken(token);
 
-    // Store userId in socket data
+    // Store userId and token expiry (ms; null if the token never expires) in socket data
     socket.data.userId = payload.userId;
+    socket.data.tokenExpiresAt = payload.exp ? payload.exp * 1000 : null;
 
     return next();
   } catch (err) {
-    console.error("Socket authentication failed:", err.message);
-    return next(new Error("Authentication error: Invalid token"));
+    log.warn("Socket authentication failed", { socketId: socket.id, reason: err.message });
+    return next(new Error(`Authentication error: ${err instanceof AuthError ? err.message : "Invalid token"}`));
+  }
+};
+
+/**
+ * Express middleware for the admin API: a valid JWT (Authorization: Bearer)
+ * whose userId is listed in config.auth.adminUserIds (ADMIN_USER_IDS)
+ */
+const authenticateAdmin = async (req, res, next) => {
+  const [scheme, token] = (req.get("authorization") || "").split(" ");
+  if (scheme !== "Bearer" || !token) {
+    return res.status(401).json({ error: "Token not provided" });
+  }
+
+  try {
+    const payload = await verifyToken(token);
+
+    if (!config.auth.adminUserIds.includes(payload.userId)) {
+      return res.status(403).json({ error: "Admin access required" });
+    }
+
+    req.adminId = payload.userId;
+    return next();
+  } catch (err) {
+    if (!(err instanceof AuthError)) {
+      log.error("Admin authentication error", { err });
+      return res.status(500).json({ error: "Authentication failed" });
+    }
+    return res.status(401).json({ error: err.message });
   }
 };
 
-module.exports = authenticateSocket;
+module.exports = { authenticateSocket, authenticateAdmin, verifyToken, revokeTokens };
@@ -0,0 +1,191 @@
+const defaultStore = require("../store");
+const defaultConfig = require("../config");
+const WS_EVENTS = require("../constants/wsEvents");
+const DIARY_WS_EVENTS = require("../constants/diaryWsEvents");
+const DIARY_COLLAB_WS_EVENTS = require("../constants/diaryCollabWsEvents");
+const DIARY_SOCIAL_WS_EVENTS = require("../constants/diarySocialWsEvent");
+const MessageFormatter = require("../utils/messageFormatter");
+const { RateLimitError } = require("../utils/errors");
+const metrics = require("../utils/metrics");
+const { createLogger } = require("../utils/logger");
+
+const log = createLogger("rate_limit");
+
+// ============================================
+// Event classes
+// ============================================
+// Each class has its own buckets (config.rateLimit.user / .ip); events not
+// listed here share the "default" class.
+const EVENT_CLASSES = {
+  edits: [
+    DIARY_COLLAB_WS_EVENTS.ENTRY_EDIT,
+    DIARY_WS_EVENTS.AUTOSAVE,
+    DIARY_WS_EVENTS.ENTRY_CREATE,
+    DIARY_WS_EVENTS.ENTRY_UPDATE,
+    DIARY_WS_EVENTS.ENTRY_DELETE,
+    DIARY_WS_EVENTS.TAG_ADD,
+    DIARY_WS_EVENTS.TAG_REMOVE,
+    DIARY_WS_EVENTS.MOOD_UPDATE,
+  ],
+  cursors: [
+    DIARY_COLLAB_WS_EVENTS.ENTRY_CURSOR_MOVE,
+    DIARY_COLLAB_WS_EVENTS.ENTRY_SELECTION_CHANGE,
+  ],
+  presence: [
+    DIARY_COLLAB_WS_EVENTS.JOIN_ENTRY_ROOM,
+    DIARY_COLLAB_WS_EVENTS.LEAVE_ENTRY_ROOM,
+    DIARY_COLLAB_WS_EVENTS.SESSION_RESUME,
+    DIARY_COLLAB_WS_EVENTS.STATE_REQUEST,
+    DIARY_COLLAB_WS_EVENTS.DESYNC_DETECTED,
+    DIARY_COLLAB_WS_EVENTS.USER_EDITING_ENTRY,
+    DIARY_COLLAB_WS_EVENTS.USER_IDLE_ENTRY,
+    DIARY_WS_EVENTS.ENTRY_OPENED,
+    DIARY_WS_EVENTS.ENTRY_CLOSED,
+  ],
+  social: [
+    DIARY_SOCIAL_WS_EVENTS.FRIEND_REQUEST_SENT,
+    DIARY_SOCIAL_WS_EVENTS.FRIEND_ACCEPTED,
+    DIARY_SOCIAL_WS_EVENTS.FRIEND_REQUEST_DECLINED,
+    DIARY_SOCIAL_WS_EVENTS.FRIEND_REMOVED,
+    DIARY_SOCIAL_WS_EVENTS.FRIEND_BLOCKED,
+    DIARY_SOCIAL_WS_EVENTS.FRIEND_UNBLOCKED,
+    DIARY_COLLAB_WS_EVENTS.COLLAB_INVITE_SENT,
+    DIARY_COLLAB_WS_EVENTS.COLLAB_INVITE_ACCEPTED,
+    DIARY_COLLAB_WS_EVENTS.COLLAB_INVITE_DECLINED,
+    DIARY_COLLAB_WS_EVENTS.COLLAB_INVITE_REVOKED,
+    DIARY_COLLAB_WS_EVENTS.ENTRY_PERMISSION_UPDATED,
+    DIARY_COLLAB_WS_EVENTS.COMMENT_ADDED,
+    DIARY_COLLAB_WS_EVENTS.COMMENT_EDITED,
+    DIARY_COLLAB_WS_EVENTS.COMMENT_DELETED,
+    DIARY_COLLAB_WS_EVENTS.COMMENT_RESOLVED,
+    DIARY_COLLAB_WS_EVENTS.COMMENT_REOPENED,
+  ],
+};
+
+const CLASS_OF_EVENT = new Map(
+  Object.entries(EVENT_CLASSES).flatMap(([eventClass, events]) =>
+    events.map((event) => [event, eventClass])
+  )
+);
+
+// Over-limit cursor updates are dropped without a reply: the next one
+// supersedes them anyway
+const QUIET_CLASSES = new Set(["cursors"]);
+
+const eventClassOf = (event) => CLASS_OF_EVENT.get(event) || "default";
+
+function clientIp(socket, trustProxy) {
+  const forwarded = trustProxy && socket.handshake.headers["x-forwarded-for"];
+  if (forwarded) return forwarded.split(",")[0].trim();
+  return socket.handshake.address;
+}
+
+// ============================================
+// Middleware
+// ============================================
+
+/**
+ * Socket.IO middleware: spend a token from the user's and the client IP's
+ * bucket for the event's class. Events without one are rejected with
+ * RATE_LIMIT_EXCEEDED; repeated rejections warn, then slow down, then
+ * disconnect the socket (config.rateLimit.penalties).
+ * @param {object} [options]
+ * @param {object} [options.store] - Shared store holding the buckets
+ * @param {object} [options.config] - Defaults to config.rateLimit
+ */
+function rateLimit(socket, { store = defaultStore, config = defaultConfig.rateLimit } = {}) {
+  const { penalties } = config;
+  const keys = {
+    user: `user:${socket.data.userId}`,
+    ip: `ip:${clientIp(socket, config.trustProxy)}`,
+  };
+  // Rejections of this socket within the current penalty window
+  const strikes = { count: 0, windowStart: Date.now() };
+
+  async function take(eventClass) {
+    for (const scope of ["user", "ip"]) {
+      const bucket = config[scope][eventClass] || config[scope].default;
+      const { allowed } = await store.take(`rate_limit:${eventClass}`, keys[scope], bucket);
+      if (!allowed) return scope;
+    }
+    return null;
+  }
+
+  // Escalate after a rejection; true when the socket was disconnected
+  function penalize(eventClass) {
+    const now = Date.now();
+    if (now - strikes.windowStart > penalties.window) {
+      strikes.count = 0;
+      strikes.windowStart = now;
+    }
+    strikes.count += 1;
+
+    if (strikes.count === penalties.disconnectAfter) {
+      log.warn("Disconnected for exceeding rate limits", { strikes: strikes.count });
+      metrics.rateLimitPenalties.inc({ penalty: "disconnect" });
+      socket.emit(
+        WS_EVENTS.ERROR,
+        MessageFormatter.errorEvent(new RateLimitError("Disconnected for exceeding rate limits"))
+      );
+      socket.disconnect(true);
+      return true;
+    }
+
+    const penalty =
+      (strikes.count === penalties.slowDownAfter && "slow_down") ||
+      (strikes.count === penalties.warnAfter && "warn");
+    if (penalty) {
+      log.warn("Rate limit penalty", { penalty, strikes: strikes.count, eventClass });
+      metrics.rateLimitPenalties.inc({ penalty });
+      socket.emit(
+        WS_EVENTS.RATE_LIMIT_WARNING,
+        MessageFormatter.event({
+          penalty,
+          eventClass,
+          strikes: strikes.count,
+          disconnectAfter: penalties.disconnectAfter,
+        })
+      );
+    }
+    return false;
+  }
+
+  const slowedDown = () =>
+    strikes.count >= penalties.slowDownAfter &&
+    Date.now() - strikes.windowStart <= penalties.window;
+
+  return async (packet, next) => {
+    const [event, ...args] = packet;
+    const eventClass = eventClassOf(event);
+
+    let scope;
+    try {
+      scope = await take(eventClass);
+    } catch (err) {
+      // A store outage should not take every event down with it
+      log.error("Rate limit check failed", { err });
+      return next();
+    }
+
+    if (!scope) {
+      if (!slowedDown()) return next();
+      return setTimeout(next, penalties.slowDownMs);
+    }
+
+    metrics.rateLimitRejections.inc({ class: eventClass, scope });
+    log.debug("Event rate limited", { event, eventClass, scope });
+    if (penalize(eventClass)) return;
+
+    const ack = typeof args[args.length - 1] === "function" ? args[args.length - 1] : null;
+    if (QUIET_CLASSES.has(eventClass)) {
+      if (ack) ack(MessageFormatter.success(null));
+      return;
+    }
+
+    const err = new RateLimitError(`Rate limit exceeded for ${eventClass}`, { eventClass, scope });
+    if (ack) ack(MessageFormatter.error(err));
+    else socket.emit(WS_EVENTS.ERROR, MessageFormatter.errorEvent(err, { event }));
+  };
+}
+
+module.exports = { rateLimit, eventClassOf, EVENT_CLASSES };
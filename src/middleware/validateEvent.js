@@ -0,0 +1,40 @@
+const WS_EVENTS = require("../constants/wsEvents");
+const schemas = require("../validation/events");
+const { validate } = require("../validation/schema");
+const MessageFormatter = require("../utils/messageFormatter");
+const { createLogger } = require("../utils/logger");
+
+const log = createLogger("validation");
+
+/**
+ * Socket.IO middleware: check each inbound event's payload against its
+ * schema before any handler sees it. Malformed events are answered with
+ * VALIDATION_ERROR (through the ack when there is one) and dropped.
+ */
+function validateEvent(socket) {
+  return (packet, next) => {
+    const [event, ...args] = packet;
+    const schema = schemas[event];
+    if (!schema) return next();
+
+    // emit(event) and emit(event, ack) carry no payload; handlers get {}
+    const ack = typeof args[args.length - 1] === "function" ? args[args.length - 1] : null;
+    const missing = args.length === 0 || typeof args[0] === "function";
+    const payload = missing ? {} : args[0];
+
+    try {
+      validate(schema, payload);
+    } catch (err) {
+      log.warn("Invalid event payload", { reason: err.message });
+
+      if (ack) ack(MessageFormatter.error(err));
+      else socket.emit(WS_EVENTS.ERROR, MessageFormatter.errorEvent(err, { event }));
+      return;
+    }
+
+    if (missing) packet.splice(1, 0, payload);
+    next();
+  };
+}
+
+module.exports = { validateEvent };
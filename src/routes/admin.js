@@ -0,0 +1,208 @@
+const express = require("express");
+const pool = require("../db/connection");
+const documentCache = require("../cache/documentCache");
+const DIARY_COLLAB_WS_EVENTS = require("../constants/diaryCollabWsEvents");
+const { authenticateAdmin } = require("../middleware/auth");
+const { removeFromEntryRoom } = require("../handlers/permissions");
+const { flushEntry, releaseEntryDocument } = require("../handlers/autosave");
+const { forceLogout } = require("../handlers/session");
+const { createLogger } = require("../utils/logger");
+
+const log = createLogger("admin");
+
+const DEFAULT_HISTORY_LIMIT = 50;
+const MAX_HISTORY_LIMIT = 200;
+
+const ENTRY_ROOM_PREFIX = "entry_";
+
+function serverError(res, action, err) {
+  log.error("Admin request error", { action, err });
+  res.status(500).json({ error: `Failed to ${action}` });
+}
+
+/**
+ * Describe a socket from fetchSockets (local or on another instance)
+ */
+function formatSocket(socket) {
+  return {
+    socketId: socket.id,
+    connectedAt: new Date(socket.handshake.issued).toISOString(),
+    userAgent: socket.handshake.headers["user-agent"] || null,
+    tokenExpiresAt: socket.data.tokenExpiresAt
+      ? new Date(socket.data.tokenExpiresAt).toISOString()
+      : null,
+    entries: [...socket.rooms]
+      .filter((room) => room.startsWith(ENTRY_ROOM_PREFIX))
+      .map((room) => room.slice(ENTRY_ROOM_PREFIX.length)),
+  };
+}
+
+/**
+ * Kick everyone out of an entry room, save its pending edits
+ * and release the live document
+ * @returns {Promise<string[]>} Users that were in the room
+ */
+async function closeEntryRoom(io, entryId, cursorStore) {
+  const room = `${ENTRY_ROOM_PREFIX}${entryId}`;
+
+  io.to(room).emit(DIARY_COLLAB_WS_EVENTS.COLLAB_ENDED, {
+    entryId,
+    reason: "room_closed",
+    timestamp: Date.now(),
+  });
+
+  const { rows } = await pool.query(
+    `SELECT DISTINCT user_id FROM active_sessions WHERE entry_id = $1`,
+    [entryId]
+  );
+  for (const row of rows) {
+    await removeFromEntryRoom(io, entryId, row.user_id, cursorStore);
+  }
+
+  // Sockets that joined without a session row
+  io.in(room).socketsLeave(room);
+
+  if (documentCache.has(entryId)) {
+    await flushEntry(io, entryId);
+    releaseEntryDocument(io, entryId);
+  }
+
+  return rows.map((row) => row.user_id);
+}
+
+// ============================================
+// Admin API (support tooling; see authenticateAdmin)
+// ============================================
+function createAdminRouter(io, cursorStore) {
+  const router = express.Router();
+
+  router.use(authenticateAdmin);
+
+  // Connected users and their sockets, across all instances
+  router.get("/users", async (req, res) => {
+    try {
+      const sockets = await io.fetchSockets();
+      const users = new Map();
+
+      sockets.forEach((socket) => {
+        const userId = socket.data.userId;
+        if (!users.has(userId)) users.set(userId, { userId, sockets: [] });
+        users.get(userId).sockets.push(formatSocket(socket));
+      });
+
+      res.json({ count: users.size, users: [...users.values()] });
+    } catch (err) {
+      serverError(res, "list users", err);
+    }
+  });
+
+  // A user's connections, newest first (one ws_connections row per socket)
+  router.get("/users/:userId/presence", async (req, res) => {
+    const limit = Math.min(
+      parseInt(req.query.limit, 10) || DEFAULT_HISTORY_LIMIT,
+      MAX_HISTORY_LIMIT
+    );
+
+    try {
+      const { rows } = await pool.query(
+        `
+        SELECT socket_id, online, created_at, last_seen
+        FROM ws_connections
+        WHERE user_id = $1
+        ORDER BY created_at DESC
+        LIMIT $2
+        `,
+        [req.params.userId, limit]
+      );
+
+      res.json({
+        userId: req.params.userId,
+        online: rows.some((row) => row.online),
+        connections: rows.map((row) => ({
+          socketId: row.socket_id,
+          online: row.online,
+          connectedAt: row.created_at,
+          lastSeen: row.last_seen,
+        })),
+      });
+    } catch (err) {
+      serverError(res, "load presence history", err);
+    }
+  });
+
+  // Disconnect every socket of a user; ?revoke=true also revokes their tokens
+  router.post("/users/:userId/disconnect", async (req, res) => {
+    const { userId } = req.params;
+
+    try {
+      if (req.query.revoke === "true") {
+        await forceLogout(io, userId, "admin");
+      } else {
+        io.in(userId).disconnectSockets(true);
+      }
+
+      log.info("Admin disconnected user", { adminId: req.adminId, userId });
+      res.json({ status: "ok", userId, revoked: req.query.revoke === "true" });
+    } catch (err) {
+      serverError(res, "disconnect user", err);
+    }
+  });
+
+  // Entry rooms with open sessions: viewers, who is editing, live cursors.
+  // revision/unsavedOperations describe this instance's copy of the document.
+  router.get("/rooms", async (req, res) => {
+    try {
+      const { rows } = await pool.query(`
+        SELECT entry_id, user_id, socket_id, status, joined_at, last_seen
+        FROM active_sessions
+        ORDER BY entry_id, joined_at
+      `);
+
+      const rooms = new Map();
+      rows.forEach((row) => {
+        if (!rooms.has(row.entry_id)) {
+          const doc = documentCache.get(row.entry_id);
+          rooms.set(row.entry_id, {
+            entryId: row.entry_id,
+            revision: doc ? doc.revision : null,
+            unsavedOperations: doc ? doc.unsaved.length : 0,
+            viewers: [],
+          });
+        }
+        rooms.get(row.entry_id).viewers.push({
+          userId: row.user_id,
+          socketId: row.socket_id,
+          status: row.status, // viewing | editing | idle
+          joinedAt: row.joined_at,
+          lastSeen: row.last_seen,
+        });
+      });
+
+      for (const room of rooms.values()) {
+        room.cursors = await cursorStore.list(room.entryId);
+      }
+
+      res.json({ count: rooms.size, rooms: [...rooms.values()] });
+    } catch (err) {
+      serverError(res, "list rooms", err);
+    }
+  });
+
+  // Close an entry room: everyone is removed and told the collaboration ended
+  router.post("/rooms/:entryId/close", async (req, res) => {
+    const { entryId } = req.params;
+
+    try {
+      const users = await closeEntryRoom(io, entryId, cursorStore);
+
+      log.info("Admin closed entry room", { adminId: req.adminId, entryId });
+      res.json({ status: "ok", entryId, users });
+    } catch (err) {
+      serverError(res, "close room", err);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAdminRouter };
@@ -1,318 +1,567 @@
-require("dotenv").config();
+const defaultConfig = require("./config");
 const express = require("express");
 const http = require("http");
 const { Server } = require("socket.io");
 
 const pool = require("./db/connection");
-const authenticateSocket = require("./middleware/auth");
+const store = require("./store");
+const { createStoreAdapter } = require("./store/adapter");
+const cursorStore = require("./cache/cursorStore");
+const roomEventLog = require("./cache/roomEventLog");
+const { authenticateSocket } = require("./middleware/auth");
+const { validateEvent } = require("./middleware/validateEvent");
+const { rateLimit } = require("./middleware/rateLimit");
 
 const WS_EVENTS = require("./constants/wsEvents");
-const DIARY_SOCIAL_WS_EVENTS = require("./constants/diarySocialWsEvent");
 const DIARY_COLLAB_WS_EVENTS = require("./constants/diaryCollabWsEvents");
 
-const { setUserOnline, setUserOffline } = require("./handlers/presence");
-const { sendFriendsList } = require("./handlers/friends");
+const { setUserOnline, setUserOffline, startHeartbeat } = require("./handlers/presence");
+const {
+  sendFriendsList,
+  sendPendingFriendRequests,
+  registerFriendHandlers,
+} = require("./handlers/friends");
 const {
   registerCollaborationHandlers,
-  clearCursor,
   handleStateRequest,
   joinEntryRoom,
   leaveEntryRoom,
+  restoreEntrySessions,
+  resumeEntrySession,
+  scheduleSessionTeardown,
+  completeAllSessionTeardowns,
 } = require("./handlers/collaboration");
+const {
+  registerAutosaveHandlers,
+  flushAll,
+  cancelScheduledFlushes,
+} = require("./handlers/autosave");
+const {
+  authorizeEntry,
+  registerPermissionHandlers,
+  registerRoleSync,
+} = require("./handlers/permissions");
+const { registerInviteHandlers, sendPendingInvites } = require("./handlers/invites");
+const { registerNotificationHandlers } = require("./handlers/notifications");
+const { registerCommentHandlers } = require("./handlers/comments");
+const { registerEntryHandlers } = require("./handlers/entries");
+const { registerSessionHandlers, forceLogout } = require("./handlers/session");
+const { createAdminRouter } = require("./routes/admin");
+const { AuthError } = require("./utils/errors");
+const MessageFormatter = require("./utils/messageFormatter");
+const { handleEvent } = require("./utils/handleEvent");
+const metrics = require("./utils/metrics");
+const { createLogger, socketContext, httpContext } = require("./utils/logger");
+
+const log = createLogger("server");
+
+/**
+ * Express app, HTTP server and Socket.IO server with every handler
+ * registered. Nothing listens until listen().
+ *
+ * Only the pool and the settings below are per server. The shared store,
+ * the document cache and settings read where they are used (auth secret,
+ * log levels, store driver, autosave, replay and invite timings) belong to
+ * the process: servers created side by side share them like instances
+ * sharing a store.
+ * @param {object} [options]
+ * @param {object} [options.pool] - pg Pool (or a stand-in) every query made
+ *   for this server goes to; defaults to the configured database. Left open
+ *   by close().
+ * @param {object} [options.config] - Its server (CORS, port, internal API
+ *   key), presence, cleanup, rateLimit and shutdown sections are read;
+ *   defaults to src/config
+ * @returns {{ app, server, io, listen: Function, close: Function }}
+ */
+function createServer({ pool: databasePool, config = defaultConfig } = {}) {
+  // Runs `fn` with its queries, and those of the timers it starts, going
+  // to this server's pool (see src/db/connection)
+  const withDatabase = (fn) => (databasePool ? pool.withPool(databasePool, fn) : fn());
+  const instance = withDatabase(() => buildServer(config, withDatabase));
+
+  return {
+    ...instance,
+    listen: (port) => withDatabase(() => instance.listen(port)),
+    close: (reason) => withDatabase(() => instance.close(reason)),
+  };
+}
 
-const app = express();
-const server = http.createServer(app);
-const io = new Server(server, { 
-  cors: { 
-    origin: process.env.FRONTEND_URL || "*",
-    credentials: true 
-  } 
-});
+// What createServer() returns. Built with the server's pool already in
+// effect; requests, connections, events and disconnects enter it again.
+function buildServer(config, withDatabase) {
+  const app = express();
+  app.use((req, res, next) => withDatabase(next));
+  // Correlation id per request, for log lines and the X-Correlation-Id header
+  app.use(httpContext);
+  const server = http.createServer(app);
+  const io = new Server(server, { 
+    cors: { 
+      origin: config.server.corsOrigin,
+      credentials: true 
+    },
+    // Broadcasts and room changes reach sockets on every instance
+    adapter: createStoreAdapter(store),
+  });
 
-// ============================================
-// Rate Limiting
-// ============================================
-const RATE_LIMIT = 10; // max events per second
-const userEventCounts = new Map(); // userId -> { count, lastReset }
+  registerRoleSync(io);
+  const untrackRooms = metrics.trackRooms(io);
 
-function checkRateLimit(userId) {
-  const now = Date.now();
-  const windowMs = 1000; // 1 second window
+  // ============================================
+  // Middleware
+  // ============================================
+  // Set once close() starts draining
+  let draining = false;
 
-  let data = userEventCounts.get(userId);
+  io.use((socket, next) => {
+    if (draining) return next(new Error("Server is shutting down"));
+    withDatabase(next);
+  });
+  io.use(authenticateSocket);
 
-  if (!data) {
-    data = { count: 0, lastReset: now };
-    userEventCounts.set(userId, data);
-  }
+  // ============================================
+  // Shared stores (see STORE_DRIVER)
+  // ============================================
+  // connections:<userId> -> { socket.id -> { connectedAt } }, one per tab/device
+  // rate_limit:<class> -> { user:<userId> | ip:<address> -> token bucket }
+  // cursors live in ./cache/cursorStore
 
-  if (now - data.lastReset > windowMs) {
-    data.count = 0;
-    data.lastReset = now;
-  }
+  // ============================================
+  // Heartbeat and Cleanup
+  // ============================================
+  const { disconnectGrace } = config.presence;
 
-  data.count += 1;
-  if (data.count > RATE_LIMIT) return false;
-  return true;
-}
+  // HEARTBEAT to every socket; sockets that stop answering are disconnected
+  const stopHeartbeat = startHeartbeat(io, config.presence);
 
-// ============================================
-// Middleware
-// ============================================
-io.use(authenticateSocket);
+  // Cleanup stale sessions and expired store records
+  const cleanupInterval = setInterval(async () => {
+    try {
+      const res = await pool.query(
+        `
+        DELETE FROM active_sessions
+        WHERE last_seen < $1
+        `,
+        [new Date(Date.now() - config.cleanup.sessionTimeout)]
+      );
+      const expired = await store.sweep();
+      const pruned = roomEventLog.prune();
 
-// ============================================
-// In-memory stores
-// ============================================
-const connectedUsers = {}; // userId -> socket.id
-const cursorStore = new Map(); // entryId -> Map(userId -> cursorData)
+      log.info("Cleanup finished", {
+        staleSessions: res.rowCount,
+        expiredStoreRecords: expired,
+        prunedRoomEvents: pruned,
+      });
+    } catch (err) {
+      log.error("Cleanup error", { err });
+    }
+  }, config.cleanup.interval);
 
-// ============================================
-// Heartbeat and Cleanup
-// ============================================
-const HEARTBEAT_INTERVAL = 30 * 1000;
-const STALE_TIMEOUT = 2 * 60 * 1000;
-
-// Emit heartbeat every 30 seconds
-setInterval(() => {
-  io.emit(WS_EVENTS.HEARTBEAT, { timestamp: Date.now() });
-}, HEARTBEAT_INTERVAL);
-
-// Cleanup stale sockets every minute
-setInterval(async () => {
-  const now = Date.now();
-  for (const socket of io.sockets.sockets.values()) {
-    if (!socket.lastHeartbeatReceived) continue;
-    if (now - socket.lastHeartbeatReceived > STALE_TIMEOUT) {
-      console.log(`⚠️ Stale socket disconnected: ${socket.data.userId}`);
-      await setUserOffline(socket.data.userId, io);
-      socket.disconnect(true);
+  // Disconnect handlers still running; close() waits for them
+  const pendingDisconnects = new Set();
+
+  // ============================================
+  // Socket Connection Handler
+  // ============================================
+  io.on("connection", async (socket) => {
+    const userId = socket.data.userId;
+
+    // Every inbound event runs with this server's pool...
+    socket.use((packet, next) => withDatabase(next));
+    // ...gets a correlation id, carried by its log lines
+    socket.use(socketContext(socket));
+    // ...spends a token from its class's rate limit buckets (src/config)
+    socket.use(rateLimit(socket, { config: config.rateLimit }));
+    // ...and is checked against its payload schema before any handler runs
+    socket.use(validateEvent(socket));
+    const socketLog = log.child({ userId, socketId: socket.id });
+
+    if (!userId) {
+      socket.emit(WS_EVENTS.ERROR, MessageFormatter.errorEvent(new AuthError("Missing userId")));
+      return socket.disconnect();
     }
-  }
-}, 60 * 1000);
-
-// Cleanup stale sessions every 5 minutes
-setInterval(async () => {
-  try {
-    const res = await pool.query(`
-      DELETE FROM active_sessions
-      WHERE last_seen < NOW() - INTERVAL '10 minutes'
-    `);
-    console.log(`🧹 Cleaned up ${res.rowCount} stale sessions`);
-  } catch (err) {
-    console.error(`[${new Date().toISOString()}] Cleanup error:`, err);
-  }
-}, 5 * 60 * 1000);
 
-// ============================================
-// Socket Connection Handler
-// ============================================
-io.on("connection", async (socket) => {
-  const userId = socket.data.userId;
-  
-  if (!userId) {
-    socket.emit(WS_EVENTS.ERROR, { 
-      code: "AUTH_ERROR", 
-      message: "Missing userId" 
-    });
-    return socket.disconnect();
-  }
+    socket.lastHeartbeatReceived = Date.now();
 
-  socket.lastHeartbeatReceived = Date.now();
-  connectedUsers[userId] = socket.id;
+    metrics.connections.inc();
+    metrics.connectedSockets.inc();
+    socket.onAny((event) => metrics.eventsReceived.inc({ event: metrics.eventLabel(event) }));
 
-  console.log(`✅ Connected: ${userId} [${socket.id}]`);
+    // Personal room so io.to(userId) reaches this user's sockets
+    socket.join(userId);
 
-  try {
-    // Mark user online
-    await setUserOnline(userId, socket.id, io);
+    socketLog.info("Connected");
 
-    // Send friends list
-    await sendFriendsList(socket, userId);
+    try {
+      await store.set(`connections:${userId}`, socket.id, { connectedAt: Date.now() });
 
-    // Notify online friends
-    const friends = await pool.query(
-      `SELECT friend_id FROM friends WHERE user_id = $1`,
-      [userId]
-    );
+      // Mark user online (notifies friends through their personal rooms)
+      await setUserOnline(userId, socket.id, io);
+
+      // Send friends list
+      await sendFriendsList(socket, userId);
+
+      // Deliver friend requests and collaboration invites received while offline
+      await sendPendingFriendRequests(socket, userId);
+      await sendPendingInvites(socket, userId);
+
+      // Restore sessions orphaned by connections that are gone
+      await restoreEntrySessions(io, socket, userId, disconnectGrace);
+
+      // Emit authenticated event
+      socket.emit(WS_EVENTS.AUTHENTICATED, { 
+        userId, 
+        timestamp: Date.now() 
+      });
 
-    friends.rows.forEach((f) => {
-      const friendSocket = connectedUsers[f.friend_id];
-      if (friendSocket) {
-        io.to(friendSocket).emit(
-          DIARY_SOCIAL_WS_EVENTS.FRIEND_ONLINE,
-          { userId, timestamp: Date.now() }
+    } catch (err) {
+      socketLog.error("Connection error", { err });
+      socket.emit(WS_EVENTS.ERROR, MessageFormatter.errorEvent(err));
+    }
+
+    // ============================================
+    // Register Session Handlers
+    // (TOKEN_REFRESH; SESSION_EXPIRED ahead of token expiry, then disconnect)
+    // ============================================
+    registerSessionHandlers(io, socket);
+
+    // ============================================
+    // HEARTBEAT PONG Handler
+    // ============================================
+    handleEvent(socket, WS_EVENTS.PONG, async () => {
+      socket.lastHeartbeatReceived = Date.now();
+      try {
+        await pool.query(
+          `UPDATE ws_connections SET last_seen = NOW() WHERE socket_id = $1`,
+          [socket.id]
+        );
+        await pool.query(
+          `UPDATE active_sessions SET last_seen = NOW() WHERE socket_id = $1`,
+          [socket.id]
         );
+      } catch (err) {
+        // The heartbeat itself was received; only last_seen is behind
+        log.error("PONG error", { err });
       }
+      return null;
     });
 
-    // Restore previous sessions
-    const sessions = await pool.query(
-      `SELECT entry_id FROM active_sessions WHERE user_id = $1`,
-      [userId]
+    // ============================================
+    // JOIN_ENTRY_ROOM Handler
+    // (acks the CURRENT_VIEWERS payload)
+    // ============================================
+    handleEvent(
+      socket,
+      DIARY_COLLAB_WS_EVENTS.JOIN_ENTRY_ROOM,
+      async ({ entryId }) => {
+        const current = await joinEntryRoom(io, socket, userId, entryId, cursorStore);
+        log.info("Joined entry room");
+        return current;
+      },
+      { log, action: "join" }
     );
 
-    sessions.rows.forEach((row) => {
-      socket.join(`entry_${row.entry_id}`);
-      console.log(`🔄 Restored session for entry ${row.entry_id}`);
-    });
+    // ============================================
+    // LEAVE_ENTRY_ROOM Handler
+    // ============================================
+    handleEvent(
+      socket,
+      DIARY_COLLAB_WS_EVENTS.LEAVE_ENTRY_ROOM,
+      async ({ entryId }) => {
+        await leaveEntryRoom(io, socket, userId, entryId, cursorStore);
+        log.info("Left entry room");
+        return { entryId };
+      },
+      { log, action: "leave" }
+    );
 
-    // Emit authenticated event
-    socket.emit(WS_EVENTS.AUTHENTICATED, { 
-      userId, 
-      timestamp: Date.now() 
-    });
+    // ============================================
+    // SESSION_RESUME Handler
+    // ({ entryId, epoch, lastSeq, revision, previousSocketId } after a reconnect;
+    // acks the SESSION_RESUMED payload)
+    // ============================================
+    handleEvent(
+      socket,
+      DIARY_COLLAB_WS_EVENTS.SESSION_RESUME,
+      (resume) => resumeEntrySession(io, socket, userId, resume, cursorStore),
+      { log, action: "resume" }
+    );
+
+    // ============================================
+    // STATE_REQUEST Handler
+    // (acks the STATE_RESPONSE payload)
+    // ============================================
+    handleEvent(
+      socket,
+      DIARY_COLLAB_WS_EVENTS.STATE_REQUEST,
+      async ({ entryId, sinceRevision }) => {
+        await authorizeEntry(socket, entryId, "viewer", "state_request");
+        return handleStateRequest(io, socket, userId, entryId, cursorStore, sinceRevision);
+      },
+      { log, action: "state_request" }
+    );
+
+    // ============================================
+    // DESYNC_DETECTED Handler
+    // ============================================
+    handleEvent(
+      socket,
+      DIARY_COLLAB_WS_EVENTS.DESYNC_DETECTED,
+      async ({ entryId }) => {
+        await authorizeEntry(socket, entryId, "viewer", "state_request");
+        log.warn("Desync detected");
+        return handleStateRequest(io, socket, userId, entryId, cursorStore);
+      },
+      { log, action: "state_request" }
+    );
+
+    // ============================================
+    // Register Entry Handlers
+    // (ENTRY_CREATE / FETCH / UPDATE / DELETE / OPENED / CLOSED)
+    // ============================================
+    registerEntryHandlers(io, socket, cursorStore);
+
+    // ============================================
+    // Register Collaboration Handlers
+    // (ENTRY_EDIT, CURSOR_MOVE, etc.)
+    // ============================================
+    registerCollaborationHandlers(io, socket, cursorStore);
+
+    // ============================================
+    // Register Autosave Handlers
+    // (AUTOSAVE -> SAVE_SUCCESS / SAVE_FAILED)
+    // ============================================
+    registerAutosaveHandlers(io, socket);
+
+    // ============================================
+    // Register Permission Handlers
+    // (ENTRY_PERMISSION_UPDATED grant / revoke)
+    // ============================================
+    registerPermissionHandlers(io, socket, cursorStore);
+
+    // ============================================
+    // Register Invite Handlers
+    // (COLLAB_INVITE_SENT / ACCEPTED / DECLINED / REVOKED)
+    // ============================================
+    registerInviteHandlers(io, socket, cursorStore);
+
+    // ============================================
+    // Register Comment Handlers
+    // (COMMENT_ADDED / EDITED / DELETED / RESOLVED / REOPENED)
+    // ============================================
+    registerCommentHandlers(io, socket);
+
+    // ============================================
+    // Register Friend Handlers
+    // (requests, accept/decline, unfriend, block)
+    // ============================================
+    registerFriendHandlers(io, socket);
+
+    // ============================================
+    // Register Notification Handlers
+    // (notification:list / count / mark_read / archive)
+    // ============================================
+    registerNotificationHandlers(io, socket);
+
+    // ============================================
+    // DISCONNECT Handler
+    // ============================================
+    socket.on("disconnect", (reason) => {
+      socketLog.info("Disconnected", { reason });
+      metrics.disconnects.inc({ reason });
+      metrics.connectedSockets.dec();
+
+      const done = withDatabase(async () => {
+        try {
+          await store.delete(`connections:${userId}`, socket.id);
+
+          // Only goes offline (and tells friends) when this was the last connection
+          await setUserOffline(userId, socket.id, io);
+
+          // Sessions and cursors wait out the grace period in case it resumes;
+          // other devices keep theirs
+          scheduleSessionTeardown(io, socket, userId, cursorStore, disconnectGrace);
+
+        } catch (err) {
+          socketLog.error("Disconnect error", { err });
+        }
+      });
 
-  } catch (err) {
-    console.error(`[${new Date().toISOString()}] Connection error:`, err);
-    socket.emit(WS_EVENTS.ERROR, { 
-      code: "SERVER_ERROR", 
-      message: "Connection failed" 
+      pendingDisconnects.add(done);
+      done.finally(() => pendingDisconnects.delete(done));
     });
-  }
+  });
 
   // ============================================
-  // HEARTBEAT PONG Handler
+  // Health Check Endpoint
   // ============================================
-  socket.on(WS_EVENTS.PONG, async () => {
-    socket.lastHeartbeatReceived = Date.now();
-    try {
-      await pool.query(
-        `UPDATE ws_connections SET last_seen = NOW() WHERE user_id = $1`,
-        [userId]
-      );
-      await pool.query(
-        `UPDATE active_sessions SET last_seen = NOW() WHERE user_id = $1`,
-        [userId]
-      );
-    } catch (err) {
-      console.error(`[${new Date().toISOString()}] PONG error:`, err);
-    }
+  app.get("/health", (req, res) => {
+    res.json({ 
+      status: "ok", 
+      connections: io.engine.clientsCount,
+      timestamp: new Date().toISOString()
+    });
   });
 
   // ============================================
-  // JOIN_ENTRY_ROOM Handler
+  // Prometheus Metrics Endpoint
   // ============================================
-  socket.on(DIARY_COLLAB_WS_EVENTS.JOIN_ENTRY_ROOM, async ({ entryId }) => {
+  app.get("/metrics", async (req, res) => {
     try {
-      if (!entryId) {
-        socket.emit(WS_EVENTS.ERROR, { 
-          code: "VALIDATION_ERROR", 
-          message: "entryId is required" 
-        });
-        return;
-      }
-
-      await joinEntryRoom(io, socket, userId, entryId);
-      console.log(`👥 ${userId} joined entry_${entryId}`);
-
+      res.set("Content-Type", metrics.register.contentType);
+      res.send(await metrics.register.metrics());
     } catch (err) {
-      console.error(`[${new Date().toISOString()}] Join room error:`, err);
-      socket.emit(WS_EVENTS.ERROR, { 
-        code: err.code || "SERVER_ERROR", 
-        message: err.message 
-      });
+      log.error("Metrics error", { err });
+      res.status(500).end();
     }
   });
 
   // ============================================
-  // LEAVE_ENTRY_ROOM Handler
+  // Admin API
+  // (connected users, entry rooms, presence history, disconnect, close room)
   // ============================================
-  socket.on(DIARY_COLLAB_WS_EVENTS.LEAVE_ENTRY_ROOM, async ({ entryId }) => {
-    try {
-      if (!entryId) return;
-      await leaveEntryRoom(io, socket, userId, entryId, cursorStore);
-      console.log(`👋 ${userId} left entry_${entryId}`);
-    } catch (err) {
-      console.error(`[${new Date().toISOString()}] Leave room error:`, err);
-    }
-  });
+  app.use("/admin", createAdminRouter(io, cursorStore));
 
   // ============================================
-  // STATE_REQUEST Handler
+  // Force Logout Endpoint
+  // (called by the API after a password change; needs INTERNAL_API_KEY)
   // ============================================
-  socket.on(DIARY_COLLAB_WS_EVENTS.STATE_REQUEST, async ({ entryId }) => {
-    try {
-      if (!entryId) return;
-      await handleStateRequest(io, socket, userId, entryId);
-    } catch (err) {
-      console.error(`[${new Date().toISOString()}] State request error:`, err);
-      socket.emit(WS_EVENTS.ERROR, { 
-        code: "SERVER_ERROR", 
-        message: "Failed to fetch state" 
-      });
+  app.post("/internal/users/:userId/force-logout", async (req, res) => {
+    const apiKey = config.server.internalApiKey;
+    if (!apiKey || req.get("x-internal-key") !== apiKey) {
+      return res.status(401).json({ error: "Unauthorized" });
     }
-  });
 
-  // ============================================
-  // DESYNC_DETECTED Handler
-  // ============================================
-  socket.on(DIARY_COLLAB_WS_EVENTS.DESYNC_DETECTED, async ({ entryId }) => {
     try {
-      if (!entryId) return;
-      console.log(`⚠️ Desync detected by ${userId} on entry ${entryId}`);
-      await handleStateRequest(io, socket, userId, entryId);
+      await forceLogout(io, req.params.userId, req.query.reason || "revoked");
+      res.json({ status: "ok", userId: req.params.userId });
     } catch (err) {
-      console.error(`[${new Date().toISOString()}] Desync handler error:`, err);
+      log.error("Force logout error", { err });
+      res.status(500).json({ error: "Force logout failed" });
     }
   });
 
   // ============================================
-  // Register Collaboration Handlers
-  // (ENTRY_EDIT, CURSOR_MOVE, etc.)
+  // Graceful Shutdown
   // ============================================
-  registerCollaborationHandlers(io, socket, cursorStore, checkRateLimit);
+  // Stop accepting connections, save pending edits, tell clients to
+  // reconnect (to another instance), mark users offline, then close
+  // Socket.IO. The shared store and the pool outlive it (see main).
+  async function close(reason = "shutdown") {
+    draining = true;
+    server.close();
+
+    stopHeartbeat();
+    clearInterval(cleanupInterval);
+
+    // Save debounced edits while their rooms still exist
+    const failedSaves = await flushAll(io);
+
+    const { reconnectJitter } = config.shutdown;
+    const sockets = await io.local.fetchSockets();
+    for (const socket of sockets) {
+      socket.emit(
+        WS_EVENTS.SERVER_SHUTDOWN,
+        MessageFormatter.event({
+          reason,
+          reconnectIn: Math.floor(Math.random() * reconnectJitter),
+        })
+      );
+    }
 
-  // ============================================
-  // DISCONNECT Handler
-  // ============================================
-  socket.on("disconnect", async (reason) => {
-    console.log(`⚡ User disconnected: ${userId}, reason: ${reason}`);
+    // Each disconnect marks its user offline and schedules a teardown...
+    io.local.disconnectSockets(true);
+    await Promise.allSettled([...pendingDisconnects]);
 
-    delete connectedUsers[userId];
+    // ...which nobody will resume on this instance, so run them now
+    const failedTeardowns = await completeAllSessionTeardowns(io);
 
-    try {
-      await setUserOffline(userId, io);
-
-      // Clear all cursors for this user
-      for (const [entryId, cursors] of cursorStore.entries()) {
-        if (cursors.has(userId)) {
-          cursors.delete(userId);
-          socket.to(`entry_${entryId}`).emit(
-            DIARY_COLLAB_WS_EVENTS.ENTRY_CURSOR_CLEAR,
-            { userId, entryId }
-          );
-        }
-      }
+    // Edits that arrived during the drain, then drop the retry timers
+    const lateFailedSaves = await flushAll(io);
+    cancelScheduledFlushes(io);
 
-      // Clean up active sessions
-      await pool.query(
-        `DELETE FROM active_sessions WHERE user_id = $1`,
-        [userId]
-      );
+    log.info("Drained", {
+      sockets: sockets.length,
+      failedSaves: failedSaves + lateFailedSaves,
+      failedTeardowns,
+    });
 
-    } catch (err) {
-      console.error(`[${new Date().toISOString()}] Disconnect error:`, err);
-    }
-  });
-});
+    untrackRooms();
+    await new Promise((resolve) => io.close(() => resolve()));
+  }
 
-// ============================================
-// Health Check Endpoint
-// ============================================
-app.get("/health", (req, res) => {
-  res.json({ 
-    status: "ok", 
-    connections: io.engine.clientsCount,
-    timestamp: new Date().toISOString()
-  });
-});
+  /**
+   * Start listening; port 0 picks a free one
+   * @returns {Promise<number>} The port listened on
+   */
+  function listen(port = config.server.port) {
+    return new Promise((resolve, reject) => {
+      server.once("error", reject);
+      server.listen(port, () => {
+        server.off("error", reject);
+        resolve(server.address().port);
+      });
+    });
+  }
+
+  return { app, server, io, listen, close };
+}
 
 // ============================================
 // Start Server
 // ============================================
-const PORT = process.env.PORT || 4000;
-server.listen(PORT, () => {
-  console.log(`🚀 WebSocket server running on port ${PORT}`);
-  console.log(`📊 Health check: http://localhost:${PORT}/health`);
-});
\ No newline at end of file
+// node src/server.js: listen on PORT; SIGTERM / SIGINT drain the server
+// (close()), close the shared store and the pool and exit, giving up after
+// config.shutdown.timeout.
+
+function main(config = defaultConfig) {
+  const instance = createServer({ config });
+  let shuttingDown = null;
+
+  function shutdown(signal) {
+    if (shuttingDown) return shuttingDown;
+    log.info("Shutting down", { signal, timeout: config.shutdown.timeout });
+
+    const deadline = new Promise((resolve, reject) => {
+      setTimeout(() => reject(new Error("Shutdown timed out")), config.shutdown.timeout).unref();
+    });
+
+    const drain = async () => {
+      await instance.close(signal);
+      await store.close();
+      await pool.end();
+    };
+
+    shuttingDown = Promise.race([drain(), deadline])
+      .then(() => {
+        log.info("Shutdown complete");
+        process.exit(0);
+      })
+      .catch((err) => {
+        log.error("Shutdown failed", { err });
+        process.exit(1);
+      });
+    return shuttingDown;
+  }
+
+  process.once("SIGTERM", () => shutdown("SIGTERM"));
+  process.once("SIGINT", () => shutdown("SIGINT"));
+
+  instance.listen().then(
+    (port) => {
+      log.info("WebSocket server running", {
+        port,
+        env: config.env,
+        health: `http://localhost:${port}/health`,
+        metrics: `http://localhost:${port}/metrics`,
+      });
+    },
+    (err) => {
+      log.error("Failed to start", { err });
+      process.exit(1);
+    }
+  );
+}
+
+if (require.main === module) main();
+
+module.exports = { createServer };
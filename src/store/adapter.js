@@ -0,0 +1,52 @@
+const { AsyncResource } = require("async_hooks");
+const { ClusterAdapterWithHeartbeat } = require("socket.io-adapter");
+
+const CHANNEL_PREFIX = "socket.io";
+
+/**
+ * Socket.IO adapter that relays broadcasts, room joins/leaves,
+ * fetchSockets and serverSideEmit to other nodes over the store's pub/sub
+ */
+class StoreAdapter extends ClusterAdapterWithHeartbeat {
+  constructor(nsp, store, opts = {}) {
+    super(nsp, opts);
+    this.store = store;
+    this.channel = `${CHANNEL_PREFIX}#${nsp.name}`;
+
+    // Messages are handled in the context the server was created in (its
+    // database pool), not the publisher's: the memory store delivers in-process
+    const handle = (handler) => AsyncResource.bind(handler);
+    this.unsubscribers = [
+      store.subscribe(this.channel, handle((message) => this.onMessage(message))),
+      store.subscribe(
+        `${this.channel}#${this.uid}`,
+        handle((response) => this.onResponse(response))
+      ),
+    ];
+  }
+
+  async doPublish(message) {
+    await this.store.publish(this.channel, message);
+    return "";
+  }
+
+  async doPublishResponse(requesterUid, response) {
+    await this.store.publish(`${this.channel}#${requesterUid}`, response);
+  }
+
+  close() {
+    super.close();
+    this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+  }
+}
+
+// Socket.IO instantiates the adapter itself, so bind the store into a subclass
+function createStoreAdapter(store, opts) {
+  return class extends StoreAdapter {
+    constructor(nsp) {
+      super(nsp, store, opts);
+    }
+  };
+}
+
+module.exports = { StoreAdapter, createStoreAdapter };
@@ -0,0 +1,41 @@
+const config = require("../config");
+
+/**
+ * Shared state and pub/sub for everything that must agree across
+ * server instances (cursors, rate-limit counters, presence caches,
+ * room broadcasts). Every driver exposes the same async interface:
+ *
+ *   get(namespace, key)                  -> value | undefined
+ *   set(namespace, key, value, [ttlMs])
+ *   delete(namespace, key)               -> boolean (whether it existed)
+ *   getAll(namespace)                    -> { key: value }
+ *   count(namespace)                     -> number
+ *   clear(namespace)
+ *   increment(namespace, key, ttlMs)     -> count within the current window
+ *   take(namespace, key, bucket)         -> { allowed, tokens }   (token bucket:
+ *                                           { capacity, refillPerSec, cost })
+ *   acquire(namespace, key, owner, ttlMs) -> boolean (whether `owner` now holds the
+ *                                           key: it was free, expired or already
+ *                                           its own; the ttl starts over)
+ *   release(namespace, key, owner)       -> boolean (whether `owner` held it)
+ *   publish(channel, message)
+ *   subscribe(channel, handler)          -> unsubscribe()   (sync)
+ *   sweep()                              -> number of expired rows removed
+ *   close()
+ */
+const DRIVERS = {
+  memory: () => require("./memoryStore")(),
+  postgres: () => require("./postgresStore")(),
+};
+
+function createStore(driver = config.store.driver) {
+  const create = DRIVERS[driver];
+  if (!create) {
+    throw new Error(
+      `Unknown STORE_DRIVER "${driver}" (expected ${Object.keys(DRIVERS).join(" or ")})`
+    );
+  }
+  return create();
+}
+
+module.exports = createStore();
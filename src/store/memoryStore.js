@@ -0,0 +1,158 @@
+const { EventEmitter } = require("events");
+
+/**
+ * Process-local store. State and pub/sub never leave this process,
+ * so it only suits a single server instance.
+ */
+function createMemoryStore() {
+  const namespaces = new Map(); // namespace -> Map(key -> { value, expiresAt })
+  const counters = new Map(); // `${namespace}:${key}` -> { count, expiresAt }
+  const buckets = new Map(); // `${namespace}:${key}` -> { tokens, updatedAt, expiresAt }
+  const bus = new EventEmitter();
+  bus.setMaxListeners(0);
+
+  const isLive = (item, now = Date.now()) => !item.expiresAt || item.expiresAt > now;
+
+  function liveItems(namespace) {
+    const items = namespaces.get(namespace);
+    if (!items) return [];
+
+    const now = Date.now();
+    return [...items.entries()].filter(([, item]) => isLive(item, now));
+  }
+
+  return {
+    driver: "memory",
+
+    async get(namespace, key) {
+      const item = namespaces.has(namespace) && namespaces.get(namespace).get(key);
+      return item && isLive(item) ? item.value : undefined;
+    },
+
+    async set(namespace, key, value, ttlMs) {
+      if (!namespaces.has(namespace)) namespaces.set(namespace, new Map());
+      namespaces.get(namespace).set(key, {
+        value,
+        expiresAt: ttlMs ? Date.now() + ttlMs : null,
+      });
+    },
+
+    async delete(namespace, key) {
+      const items = namespaces.get(namespace);
+      if (!items) return false;
+
+      const item = items.get(key);
+      items.delete(key);
+      if (items.size === 0) namespaces.delete(namespace);
+      return Boolean(item) && isLive(item);
+    },
+
+    async getAll(namespace) {
+      return Object.fromEntries(liveItems(namespace).map(([key, item]) => [key, item.value]));
+    },
+
+    async count(namespace) {
+      return liveItems(namespace).length;
+    },
+
+    async clear(namespace) {
+      namespaces.delete(namespace);
+    },
+
+    async increment(namespace, key, ttlMs) {
+      const id = `${namespace}:${key}`;
+      const now = Date.now();
+      let counter = counters.get(id);
+
+      if (!counter || counter.expiresAt <= now) {
+        counter = { count: 0, expiresAt: now + ttlMs };
+        counters.set(id, counter);
+      }
+
+      counter.count += 1;
+      return counter.count;
+    },
+
+    async take(namespace, key, { capacity, refillPerSec, cost = 1 }) {
+      const id = `${namespace}:${key}`;
+      const now = Date.now();
+      const bucket = buckets.get(id);
+
+      // A bucket left alone long enough to refill is as good as a new one
+      let tokens = capacity;
+      if (bucket && bucket.expiresAt > now) {
+        tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * refillPerSec);
+      }
+
+      const allowed = tokens >= cost;
+      if (allowed) tokens -= cost;
+
+      buckets.set(id, {
+        tokens,
+        updatedAt: now,
+        expiresAt: now + ((capacity - tokens) / refillPerSec) * 1000,
+      });
+      return { allowed, tokens };
+    },
+
+    async acquire(namespace, key, owner, ttlMs) {
+      const items = namespaces.get(namespace);
+      const item = items && items.get(key);
+      if (item && isLive(item) && item.value !== owner) return false;
+
+      await this.set(namespace, key, owner, ttlMs);
+      return true;
+    },
+
+    async release(namespace, key, owner) {
+      const items = namespaces.get(namespace);
+      const item = items && items.get(key);
+      if (!item || item.value !== owner) return false;
+      return this.delete(namespace, key);
+    },
+
+    async publish(channel, message) {
+      // Deliver asynchronously, like a real broker would
+      setImmediate(() => bus.emit(channel, message));
+    },
+
+    subscribe(channel, handler) {
+      bus.on(channel, handler);
+      return () => bus.off(channel, handler);
+    },
+
+    async sweep() {
+      const now = Date.now();
+      let removed = 0;
+
+      for (const [namespace, items] of namespaces.entries()) {
+        for (const [key, item] of items.entries()) {
+          if (isLive(item, now)) continue;
+          items.delete(key);
+          removed += 1;
+        }
+        if (items.size === 0) namespaces.delete(namespace);
+      }
+
+      for (const [id, counter] of counters.entries()) {
+        if (counter.expiresAt > now) continue;
+        counters.delete(id);
+        removed += 1;
+      }
+
+      for (const [id, bucket] of buckets.entries()) {
+        if (bucket.expiresAt > now) continue;
+        buckets.delete(id);
+        removed += 1;
+      }
+
+      return removed;
+    },
+
+    async close() {
+      bus.removeAllListeners();
+    },
+  };
+}
+
+module.exports = createMemoryStore;
@@ -0,0 +1,279 @@
+const defaultPool = require("../db/connection");
+const { createLogger } = require("../utils/logger");
+
+const log = createLogger("store");
+
+// Every node LISTENs on one channel; messages carry their logical channel
+const NOTIFY_CHANNEL = "diary_realtime";
+
+// NOTIFY payloads are capped at 8000 bytes; larger messages are parked
+// in realtime_messages and only their id goes over the wire
+const MAX_NOTIFY_PAYLOAD = 7500;
+const MESSAGE_RETENTION = 60 * 1000;
+const RECONNECT_DELAY = 1000;
+
+/**
+ * Store shared by every server instance pointed at the same database.
+ * Key/value state lives in realtime_state, counters in realtime_counters,
+ * token buckets in realtime_buckets, and pub/sub rides on LISTEN/NOTIFY.
+ */
+function createPostgresStore(pool = defaultPool) {
+  const handlers = new Map(); // channel -> Set(handler)
+  let listener = null; // dedicated client holding the LISTEN
+  let connecting = null;
+  let closed = false;
+
+  const expiry = (ttlMs) => (ttlMs ? new Date(Date.now() + ttlMs) : null);
+
+  async function deliver(raw) {
+    let envelope;
+    try {
+      envelope = JSON.parse(raw);
+      if (envelope.ref) {
+        const { rows } = await pool.query(
+          `SELECT payload FROM realtime_messages WHERE id = $1`,
+          [envelope.ref]
+        );
+        if (!rows[0]) return;
+        envelope = rows[0].payload;
+      }
+    } catch (err) {
+      log.error("Store message error", { err });
+      return;
+    }
+
+    const subscribers = handlers.get(envelope.channel);
+    if (!subscribers) return;
+
+    subscribers.forEach((handler) => {
+      try {
+        handler(envelope.message);
+      } catch (err) {
+        log.error("Store subscriber error", { channel: envelope.channel, err });
+      }
+    });
+  }
+
+  function listen() {
+    if (listener || closed) return Promise.resolve();
+    if (connecting) return connecting;
+
+    connecting = (async () => {
+      const client = await pool.connect();
+
+      client.on("notification", (msg) => {
+        if (msg.channel === NOTIFY_CHANNEL) deliver(msg.payload);
+      });
+
+      client.on("error", (err) => {
+        log.error("Store listener error", { err });
+        listener = null;
+        client.release(err);
+        if (!closed && handlers.size > 0) {
+          setTimeout(() => listen().catch(() => {}), RECONNECT_DELAY);
+        }
+      });
+
+      await client.query(`LISTEN ${NOTIFY_CHANNEL}`);
+      listener = client;
+      log.info("Store listening", { channel: NOTIFY_CHANNEL });
+    })().finally(() => {
+      connecting = null;
+    });
+
+    return connecting;
+  }
+
+  return {
+    driver: "postgres",
+
+    async get(namespace, key) {
+      const { rows } = await pool.query(
+        `
+        SELECT value FROM realtime_state
+        WHERE namespace = $1 AND key = $2
+          AND (expires_at IS NULL OR expires_at > NOW())
+        `,
+        [namespace, key]
+      );
+      return rows[0] ? rows[0].value : undefined;
+    },
+
+    async set(namespace, key, value, ttlMs) {
+      await pool.query(
+        `
+        INSERT INTO realtime_state (namespace, key, value, expires_at)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (namespace, key)
+        DO UPDATE SET value = $3, expires_at = $4
+        `,
+        [namespace, key, JSON.stringify(value), expiry(ttlMs)]
+      );
+    },
+
+    async delete(namespace, key) {
+      const { rows } = await pool.query(
+        `
+        DELETE FROM realtime_state
+        WHERE namespace = $1 AND key = $2
+        RETURNING expires_at
+        `,
+        [namespace, key]
+      );
+      return Boolean(rows[0]) && (!rows[0].expires_at || new Date(rows[0].expires_at) > new Date());
+    },
+
+    async getAll(namespace) {
+      const { rows } = await pool.query(
+        `
+        SELECT key, value FROM realtime_state
+        WHERE namespace = $1
+          AND (expires_at IS NULL OR expires_at > NOW())
+        `,
+        [namespace]
+      );
+      return Object.fromEntries(rows.map((row) => [row.key, row.value]));
+    },
+
+    async count(namespace) {
+      const { rows } = await pool.query(
+        `
+        SELECT COUNT(*)::int AS count FROM realtime_state
+        WHERE namespace = $1
+          AND (expires_at IS NULL OR expires_at > NOW())
+        `,
+        [namespace]
+      );
+      return rows[0].count;
+    },
+
+    async clear(namespace) {
+      await pool.query(`DELETE FROM realtime_state WHERE namespace = $1`, [namespace]);
+    },
+
+    async increment(namespace, key, ttlMs) {
+      // A counter whose window has passed starts again from 1
+      const { rows } = await pool.query(
+        `
+        INSERT INTO realtime_counters (namespace, key, count, expires_at)
+        VALUES ($1, $2, 1, $3)
+        ON CONFLICT (namespace, key) DO UPDATE SET
+          count = CASE WHEN realtime_counters.expires_at <= NOW()
+                       THEN 1 ELSE realtime_counters.count + 1 END,
+          expires_at = CASE WHEN realtime_counters.expires_at <= NOW()
+                            THEN EXCLUDED.expires_at ELSE realtime_counters.expires_at END
+        RETURNING count
+        `,
+        [namespace, key, expiry(ttlMs)]
+      );
+      return rows[0].count;
+    },
+
+    async take(namespace, key, { capacity, refillPerSec, cost = 1 }) {
+      // Refill for the time since the last take, then spend if there is
+      // enough. One statement, so takes from other instances cannot both
+      // spend the same token. A row untouched until expires_at is full.
+      const refilled = `LEAST($3::float8,
+        b.tokens + EXTRACT(EPOCH FROM NOW() - b.updated_at) * $4::float8)`;
+      const { rows } = await pool.query(
+        `
+        INSERT INTO realtime_buckets AS b
+          (namespace, key, tokens, granted, updated_at, expires_at)
+        VALUES ($1, $2, $3::float8 - $5::float8, $3::float8 >= $5::float8, NOW(),
+                NOW() + make_interval(secs => $3::float8 / $4::float8))
+        ON CONFLICT (namespace, key) DO UPDATE SET
+          tokens = ${refilled} - CASE WHEN ${refilled} >= $5::float8 THEN $5::float8 ELSE 0 END,
+          granted = ${refilled} >= $5::float8,
+          updated_at = NOW(),
+          expires_at = EXCLUDED.expires_at
+        RETURNING tokens, granted
+        `,
+        [namespace, key, capacity, refillPerSec, cost]
+      );
+      return { allowed: rows[0].granted, tokens: rows[0].tokens };
+    },
+
+    async acquire(namespace, key, owner, ttlMs) {
+      // One statement, so two instances cannot both take a free key
+      const { rows } = await pool.query(
+        `
+        INSERT INTO realtime_state (namespace, key, value, expires_at)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (namespace, key) DO UPDATE SET expires_at = $4, value = $3
+        WHERE realtime_state.value = $3::jsonb OR realtime_state.expires_at <= NOW()
+        RETURNING value
+        `,
+        [namespace, key, JSON.stringify(owner), expiry(ttlMs)]
+      );
+      return Boolean(rows[0]) && rows[0].value === owner;
+    },
+
+    async release(namespace, key, owner) {
+      const { rows } = await pool.query(
+        `
+        DELETE FROM realtime_state
+        WHERE namespace = $1 AND key = $2 AND value = $3::jsonb
+        RETURNING expires_at
+        `,
+        [namespace, key, JSON.stringify(owner)]
+      );
+      return Boolean(rows[0]) && (!rows[0].expires_at || new Date(rows[0].expires_at) > new Date());
+    },
+
+    async publish(channel, message) {
+      let payload = JSON.stringify({ channel, message });
+
+      if (Buffer.byteLength(payload) > MAX_NOTIFY_PAYLOAD) {
+        const { rows } = await pool.query(
+          `INSERT INTO realtime_messages (payload) VALUES ($1) RETURNING id`,
+          [payload]
+        );
+        payload = JSON.stringify({ ref: rows[0].id });
+      }
+
+      await pool.query(`SELECT pg_notify($1, $2)`, [NOTIFY_CHANNEL, payload]);
+    },
+
+    subscribe(channel, handler) {
+      if (!handlers.has(channel)) handlers.set(channel, new Set());
+      handlers.get(channel).add(handler);
+
+      listen().catch((err) => {
+        log.error("Store listen error", { err });
+      });
+
+      return () => {
+        const subscribers = handlers.get(channel);
+        if (!subscribers) return;
+        subscribers.delete(handler);
+        if (subscribers.size === 0) handlers.delete(channel);
+      };
+    },
+
+    async sweep() {
+      const [state, counters, buckets, messages] = await Promise.all([
+        pool.query(`DELETE FROM realtime_state WHERE expires_at <= NOW()`),
+        pool.query(`DELETE FROM realtime_counters WHERE expires_at <= NOW()`),
+        pool.query(`DELETE FROM realtime_buckets WHERE expires_at <= NOW()`),
+        pool.query(`DELETE FROM realtime_messages WHERE created_at < $1`, [
+          new Date(Date.now() - MESSAGE_RETENTION),
+        ]),
+      ]);
+      return state.rowCount + counters.rowCount + buckets.rowCount + messages.rowCount;
+    },
+
+    async close() {
+      closed = true;
+      handlers.clear();
+      if (connecting) await connecting.catch(() => {});
+      if (!listener) return;
+
+      const client = listener;
+      listener = null;
+      await client.query(`UNLISTEN ${NOTIFY_CHANNEL}`).catch(() => {});
+      client.release();
+    },
+  };
+}
+
+module.exports = createPostgresStore;
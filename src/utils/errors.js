@@ -27,4 +27,33 @@ class ValidationError extends WSBaseError {
   }
 }
 
-module.exports = { WSBaseError, AuthError, NotFoundError, ValidationError };
+class AccessDeniedError extends WSBaseError {
+  constructor(message = "Permission denied", details = {}) {
+    super(message, "ACCESS_DENIED");
+    this.details = details;
+  }
+}
+
+class ConflictError extends WSBaseError {
+  constructor(message = "Conflict", details = {}) {
+    super(message, "CONFLICT");
+    this.details = details;
+  }
+}
+
+class RateLimitError extends WSBaseError {
+  constructor(message = "Too many requests", details = {}) {
+    super(message, "RATE_LIMIT_EXCEEDED");
+    this.details = details;
+  }
+}
+
+module.exports = {
+  WSBaseError,
+  AuthError,
+  NotFoundError,
+  ValidationError,
+  AccessDeniedError,
+  ConflictError,
+  RateLimitError,
+};
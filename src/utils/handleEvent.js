@@ -0,0 +1,48 @@
+const WS_EVENTS = require("../constants/wsEvents");
+const DIARY_COLLAB_WS_EVENTS = require("../constants/diaryCollabWsEvents");
+const MessageFormatter = require("./messageFormatter");
+const { WSBaseError, AccessDeniedError } = require("./errors");
+const { createLogger } = require("./logger");
+
+const defaultLog = createLogger("events");
+
+/**
+ * Register a client -> server event. `handler(payload)` resolves to the
+ * request's result, acknowledged as { ok: true, data }. Failures are
+ * acknowledged as { ok: false, error }; a client that passed no callback
+ * gets ACCESS_DENIED (permission errors) or ERROR instead.
+ * @param {object} [options]
+ * @param {object} [options.log] - Subsystem logger for unexpected errors
+ * @param {string} [options.action] - Action named in ACCESS_DENIED (defaults to the event)
+ */
+function handleEvent(socket, event, handler, { log = defaultLog, action = event } = {}) {
+  socket.on(event, async (...args) => {
+    const ack = typeof args[args.length - 1] === "function" ? args.pop() : null;
+    // validateEvent turns a missing payload into {}; unvalidated events may still lack one
+    const payload = args[0] || {};
+
+    try {
+      const data = await handler(payload);
+      if (ack) ack(MessageFormatter.success(data));
+    } catch (err) {
+      if (err instanceof WSBaseError) {
+        log.debug("Event rejected", { code: err.code, reason: err.message });
+      } else {
+        log.error("Event failed", { err });
+      }
+
+      if (ack) {
+        ack(MessageFormatter.error(err));
+      } else if (err instanceof AccessDeniedError) {
+        socket.emit(
+          DIARY_COLLAB_WS_EVENTS.ACCESS_DENIED,
+          MessageFormatter.errorEvent(err, { entryId: payload.entryId, action })
+        );
+      } else {
+        socket.emit(WS_EVENTS.ERROR, MessageFormatter.errorEvent(err, { event }));
+      }
+    }
+  });
+}
+
+module.exports = { handleEvent };
@@ -0,0 +1,134 @@
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+const config = require("../config");
+
+// JSON-lines logger. Each line carries the level, the subsystem, and
+// whatever is known about the event being handled: correlationId, userId,
+// socketId, entryId and event name (see socketContext / httpContext).
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Diary text (and credentials) never reach the logs, however deeply nested
+const REDACTED_KEYS = new Set([
+  "content",
+  "text",
+  "title",
+  "body",
+  "operation",
+  "operations",
+  "localContent",
+  "serverContent",
+  "token",
+  "password",
+  "authorization",
+]);
+const MAX_DEPTH = 5;
+
+// The event currently being handled: { correlationId, userId, socketId, entryId, event }
+const context = new AsyncLocalStorage();
+
+function levelFor(subsystem) {
+  const name = config.log.levels[subsystem] || config.log.level;
+  return LEVELS[name] !== undefined ? LEVELS[name] : LEVELS.info;
+}
+
+function serializeError(err) {
+  return { name: err.name, message: err.message, code: err.code, stack: err.stack };
+}
+
+function redact(value, depth = 0) {
+  if (value instanceof Error) return serializeError(value);
+  if (value === null || typeof value !== "object") return value;
+  if (value instanceof Date) return value.toISOString();
+  if (depth >= MAX_DEPTH) return "[Truncated]";
+  if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1));
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = REDACTED_KEYS.has(key) ? "[Redacted]" : redact(item, depth + 1);
+  }
+  return result;
+}
+
+function write(level, subsystem, bindings, msg, fields) {
+  if (LEVELS[level] < levelFor(subsystem)) return;
+
+  const line = redact({
+    time: new Date().toISOString(),
+    level,
+    subsystem,
+    msg,
+    ...context.getStore(),
+    ...bindings,
+    ...fields,
+  });
+
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${JSON.stringify(line)}\n`);
+}
+
+/**
+ * Logger for one subsystem. Fields passed to each call (and to child())
+ * are added to the line; pass errors as `{ err }`.
+ */
+function createLogger(subsystem, bindings = {}) {
+  const log = (level) => (msg, fields = {}) => write(level, subsystem, bindings, msg, fields);
+
+  return {
+    debug: log("debug"),
+    info: log("info"),
+    warn: log("warn"),
+    error: log("error"),
+    child: (more) => createLogger(subsystem, { ...bindings, ...more }),
+  };
+}
+
+/**
+ * Correlation id of the event being handled, if any
+ */
+function correlationId() {
+  const store = context.getStore();
+  return store ? store.correlationId : undefined;
+}
+
+/**
+ * Run fn with extra fields added to every line logged while it runs
+ */
+function withContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+/**
+ * Socket.IO middleware: each inbound event gets its own correlation id
+ */
+function socketContext(socket) {
+  return ([event, payload], next) => {
+    withContext(
+      {
+        correlationId: crypto.randomUUID(),
+        userId: socket.data.userId,
+        socketId: socket.id,
+        entryId: payload && typeof payload.entryId === "string" ? payload.entryId : undefined,
+        event,
+      },
+      next
+    );
+  };
+}
+
+/**
+ * Express middleware: reuse the caller's X-Request-Id or start a new one
+ */
+function httpContext(req, res, next) {
+  const id = (req.get("x-request-id") || "").slice(0, 64) || crypto.randomUUID();
+  res.set("X-Correlation-Id", id);
+  withContext({ correlationId: id, event: `${req.method} ${req.path}` }, next);
+}
+
+module.exports = {
+  createLogger,
+  correlationId,
+  withContext,
+  socketContext,
+  httpContext,
+};
@@ -1,73 +1,69 @@
+const { WSBaseError } = require("./errors");
+const { correlationId } = require("./logger");
+
+// The shapes of everything the server sends:
+//   server -> client events   { ...fields, timestamp }
+//   acknowledgements          { ok: true, data } | { ok: false, error }
+//   errors (acks, `error`)    { code, message, ...details, correlationId }
 class MessageFormatter {
   /**
-   * Create a structured WebSocket message
-   * @param {string} event - Event name
-   * @param {object} payload - Event payload
-   * @param {object} options - Optional metadata
-   * @param {string} [options.userId] - Sender's user ID
-   * @param {string} [options.roomId] - Room or entry ID
-   * @param {object} [options.metadata] - Additional metadata
-   * @returns {string} JSON string
+   * Payload of a server -> client event: always an object with a timestamp
+   * @param {object} payload - Event fields
+   * @returns {object}
    */
-  static create(event, payload, { userId = null, roomId = null, metadata = {} } = {}) {
-    return JSON.stringify({
-      event,
-      payload,
-      timestamp: Date.now(),
-      metadata: {
-        ...metadata,
-        userId,
-        roomId,
-      },
-    });
+  static event(payload = {}) {
+    return { ...payload, timestamp: payload.timestamp || Date.now() };
   }
 
   /**
-   * Parse a WebSocket message safely
-   * @param {string} message
-   * @returns {object} { event, payload, timestamp, metadata }
+   * Acknowledgement for a request that succeeded
+   * @param {*} data - Result of the request
+   * @returns {object} { ok: true, data }
    */
-  static parse(message) {
-    try {
-      const parsed = JSON.parse(message);
-      return {
-        event: parsed.event,
-        payload: parsed.payload,
-        timestamp: parsed.timestamp || Date.now(),
-        metadata: parsed.metadata || {},
-      };
-    } catch (error) {
-      throw new Error('Invalid message format');
-    }
+  static success(data = null) {
+    return { ok: true, data: data === undefined ? null : data };
+  }
+
+  /**
+   * Acknowledgement for a request that failed
+   * @param {Error} err
+   * @returns {object} { ok: false, error }
+   */
+  static error(err) {
+    return { ok: false, error: MessageFormatter.errorBody(err) };
   }
 
   /**
-   * Success response
-   * @param {string} event - Event name
-   * @param {object} payload - Payload
-   * @param {object} options - Optional metadata/userId
-   * @returns {string}
+   * Payload of an error event (ERROR, ACCESS_DENIED)
+   * @param {Error} err
+   * @param {object} fields - Context such as the event or entry concerned
+   * @returns {object}
    */
-  static success(event, payload, options = {}) {
-    return this.create(event, payload, {
-      ...options,
-      metadata: { ...(options.metadata || {}), status: 'success' },
-    });
+  static errorEvent(err, fields = {}) {
+    return MessageFormatter.event({ ...fields, ...MessageFormatter.errorBody(err) });
   }
 
   /**
-   * Error response
-   * @param {string} message - Error message
-   * @param {string} code - Optional error code
-   * @param {object} options - Optional metadata/userId
-   * @returns {string}
+   * Client-facing description of an error. Only WSBaseError messages are
+   * passed on; anything else is reported as SERVER_ERROR.
+   * @param {Error} err
+   * @returns {object} { code, message, ...details, correlationId }
    */
-  static error(message, code = 'ERROR', options = {}) {
-    return this.create(
-      'error',
-      { message, code },
-      { ...options, metadata: { ...(options.metadata || {}), status: 'error' } }
-    );
+  static errorBody(err) {
+    if (!(err instanceof WSBaseError)) {
+      return {
+        code: "SERVER_ERROR",
+        message: "Something went wrong",
+        correlationId: correlationId(),
+      };
+    }
+
+    return {
+      code: err.code,
+      message: err.message,
+      ...err.details,
+      correlationId: correlationId(),
+    };
   }
 }
 
@@ -0,0 +1,204 @@
+const client = require("prom-client");
+const WS_EVENTS = require("../constants/wsEvents");
+const DIARY_WS_EVENTS = require("../constants/diaryWsEvents");
+const DIARY_COLLAB_WS_EVENTS = require("../constants/diaryCollabWsEvents");
+const DIARY_SOCIAL_WS_EVENTS = require("../constants/diarySocialWsEvent");
+const NOTIFICATION_EVENTS = require("../constants/notificationEvents");
+
+// Prometheus metrics for this instance, served on GET /metrics.
+// Every instance is scraped on its own; sum across instances in queries.
+const register = new client.Registry();
+const PREFIX = "diary_ws_";
+
+client.collectDefaultMetrics({ register, prefix: PREFIX });
+
+// Client-chosen event names would make unbounded label values
+const KNOWN_EVENTS = new Set(
+  [
+    WS_EVENTS,
+    DIARY_WS_EVENTS,
+    DIARY_COLLAB_WS_EVENTS,
+    DIARY_SOCIAL_WS_EVENTS,
+    NOTIFICATION_EVENTS,
+  ].flatMap((events) => Object.values(events))
+);
+
+// ============================================
+// Connections
+// ============================================
+const connections = new client.Counter({
+  name: `${PREFIX}connections_total`,
+  help: "Socket connections accepted",
+  registers: [register],
+});
+
+const connectedSockets = new client.Gauge({
+  name: `${PREFIX}connected_sockets`,
+  help: "Sockets currently connected to this instance",
+  registers: [register],
+});
+
+const disconnects = new client.Counter({
+  name: `${PREFIX}disconnects_total`,
+  help: "Socket disconnections by Socket.IO reason",
+  labelNames: ["reason"],
+  registers: [register],
+});
+
+const staleSocketsReaped = new client.Counter({
+  name: `${PREFIX}stale_sockets_reaped_total`,
+  help: "Sockets disconnected for missing heartbeats",
+  registers: [register],
+});
+
+// ============================================
+// Events
+// ============================================
+const eventsReceived = new client.Counter({
+  name: `${PREFIX}events_received_total`,
+  help: "Events received from clients, by event name",
+  labelNames: ["event"],
+  registers: [register],
+});
+
+const rateLimitRejections = new client.Counter({
+  name: `${PREFIX}rate_limit_rejections_total`,
+  help: "Events rejected by the rate limiter, by event class and bucket (user / ip)",
+  labelNames: ["class", "scope"],
+  registers: [register],
+});
+
+const rateLimitPenalties = new client.Counter({
+  name: `${PREFIX}rate_limit_penalties_total`,
+  help: "Rate limit penalties applied to sockets (warn, slow_down, disconnect)",
+  labelNames: ["penalty"],
+  registers: [register],
+});
+
+// ============================================
+// Collaboration
+// ============================================
+const editBroadcastLatency = new client.Histogram({
+  name: `${PREFIX}edit_broadcast_latency_seconds`,
+  help: "Time from receiving an entry edit to broadcasting it to the room",
+  buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5],
+  registers: [register],
+});
+
+const editPersistLatency = new client.Histogram({
+  name: `${PREFIX}edit_persist_latency_seconds`,
+  help: "Time from sequencing an entry edit to saving it, including the autosave debounce",
+  buckets: [0.5, 1, 2, 3, 5, 7.5, 10, 15, 30, 60],
+  registers: [register],
+});
+
+const roomViewers = new client.Gauge({
+  name: `${PREFIX}entry_room_viewers`,
+  help: "Sockets in each entry room on this instance",
+  labelNames: ["entry_id"],
+  registers: [register],
+});
+
+// ============================================
+// Database
+// ============================================
+const dbQueryDuration = new client.Histogram({
+  name: `${PREFIX}db_query_duration_seconds`,
+  help: "pg pool query latency, by SQL command",
+  labelNames: ["command", "status"],
+  buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+  registers: [register],
+});
+
+// Reads the pool passed to instrumentPool
+const dbPoolClients = new client.Gauge({
+  name: `${PREFIX}db_pool_clients`,
+  help: "pg pool clients by state",
+  labelNames: ["state"],
+  registers: [register],
+});
+
+function eventLabel(event) {
+  return KNOWN_EVENTS.has(event) ? event : "unknown";
+}
+
+// First keyword of the statement: select, insert, update, ...
+function sqlCommand(text) {
+  const match = /^\s*(\w+)/.exec(typeof text === "string" ? text : (text && text.text) || "");
+  return match ? match[1].toLowerCase() : "unknown";
+}
+
+/**
+ * Time every promise-style pool.query call
+ */
+function instrumentPool(pool) {
+  const query = pool.query.bind(pool);
+
+  pool.query = (text, ...args) => {
+    // Callback-style calls are passed through untimed
+    if (typeof args[args.length - 1] === "function") return query(text, ...args);
+
+    const end = dbQueryDuration.startTimer({ command: sqlCommand(text) });
+    return query(text, ...args).then(
+      (result) => {
+        end({ status: "ok" });
+        return result;
+      },
+      (err) => {
+        end({ status: "error" });
+        throw err;
+      }
+    );
+  };
+
+  // Client counts are pg.Pool's; stand-ins without them report nothing
+  dbPoolClients.collect = () => {
+    dbPoolClients.reset();
+    if (typeof pool.totalCount !== "number") return;
+    dbPoolClients.set({ state: "total" }, pool.totalCount);
+    dbPoolClients.set({ state: "idle" }, pool.idleCount);
+    dbPoolClients.set({ state: "waiting" }, pool.waitingCount);
+  };
+
+  return pool;
+}
+
+// Socket.IO servers whose rooms roomViewers reports
+const trackedServers = new Set();
+
+roomViewers.collect = () => {
+  roomViewers.reset();
+  for (const io of trackedServers) {
+    for (const [room, sockets] of io.sockets.adapter.rooms) {
+      if (room.startsWith("entry_")) {
+        roomViewers.inc({ entry_id: room.slice("entry_".length) }, sockets.size);
+      }
+    }
+  }
+};
+
+/**
+ * Read per-room viewer counts from the server's adapter at scrape time
+ * @returns {Function} Stops tracking it
+ */
+function trackRooms(io) {
+  trackedServers.add(io);
+  return () => trackedServers.delete(io);
+}
+
+module.exports = {
+  register,
+  connections,
+  connectedSockets,
+  disconnects,
+  staleSocketsReaped,
+  eventsReceived,
+  rateLimitRejections,
+  rateLimitPenalties,
+  editBroadcastLatency,
+  editPersistLatency,
+  dbQueryDuration,
+  eventLabel,
+  instrumentPool,
+  trackRooms,
+};
@@ -0,0 +1,237 @@
+// ============================================
+// Operational Transform for plain-text entries
+// ============================================
+//
+// An operation is an array of components applied left to right:
+//   { type: "insert", position, text }
+//   { type: "delete", position, length }
+//
+// Positions are character offsets into the entry content.
+
+const OPERATION_TYPES = ["insert", "delete"];
+
+/**
+ * Normalize an incoming operation into an array of components
+ * @param {object|object[]} operation - Single component or list of components
+ * @returns {object[]} Components
+ */
+function normalize(operation) {
+  if (!operation) return [];
+  return Array.isArray(operation) ? operation : [operation];
+}
+
+/**
+ * Check that an operation is well formed
+ * @param {object|object[]} operation
+ * @returns {boolean}
+ */
+function isValidOperation(operation) {
+  const ops = normalize(operation);
+  if (ops.length === 0) return false;
+
+  return ops.every((op) => {
+    if (!op || !OPERATION_TYPES.includes(op.type)) return false;
+    if (!Number.isInteger(op.position) || op.position < 0) return false;
+    if (op.type === "insert") return typeof op.text === "string" && op.text.length > 0;
+    return Number.isInteger(op.length) && op.length > 0;
+  });
+}
+
+/**
+ * Apply an operation to a string
+ * @param {string} content - Current content
+ * @param {object|object[]} operation - Operation to apply
+ * @returns {string} New content
+ * @throws {RangeError} If a component falls outside the content
+ */
+function apply(content, operation) {
+  return normalize(operation).reduce((text, op) => {
+    if (op.position > text.length) {
+      throw new RangeError(`Position ${op.position} out of range`);
+    }
+
+    if (op.type === "insert") {
+      return text.slice(0, op.position) + op.text + text.slice(op.position);
+    }
+
+    if (op.position + op.length > text.length) {
+      throw new RangeError(`Delete past end of content at ${op.position}`);
+    }
+    return text.slice(0, op.position) + text.slice(op.position + op.length);
+  }, content);
+}
+
+// Delete `x` once `y` has already removed its range
+function deleteAfterDelete(x, y) {
+  const xEnd = x.position + x.length;
+  const yEnd = y.position + y.length;
+
+  if (xEnd <= y.position) return [x];
+  if (x.position >= yEnd) return [{ ...x, position: x.position - y.length }];
+
+  const overlap = Math.min(xEnd, yEnd) - Math.max(x.position, y.position);
+  const length = x.length - overlap;
+  if (length === 0) return [];
+
+  return [{ ...x, position: Math.min(x.position, y.position), length }];
+}
+
+// Transform an insert and a concurrent delete against each other
+function insertDelete(ins, del) {
+  const delEnd = del.position + del.length;
+
+  if (ins.position <= del.position) {
+    return [[ins], [{ ...del, position: del.position + ins.text.length }]];
+  }
+
+  if (ins.position >= delEnd) {
+    return [[{ ...ins, position: ins.position - del.length }], [del]];
+  }
+
+  // Insert lands inside the deleted range: keep the inserted text and
+  // split the delete around it.
+  const before = ins.position - del.position;
+  return [
+    [{ ...ins, position: del.position }],
+    [
+      { ...del, length: before },
+      { ...del, position: del.position + ins.text.length, length: del.length - before },
+    ],
+  ];
+}
+
+// Transform two single components. `b` is the one already sequenced by
+// the server, so it wins ties between inserts at the same position.
+function transformComponent(a, b) {
+  if (a.type === "insert" && b.type === "insert") {
+    if (a.position < b.position) {
+      return [[a], [{ ...b, position: b.position + a.text.length }]];
+    }
+    return [[{ ...a, position: a.position + b.text.length }], [b]];
+  }
+
+  if (a.type === "insert") return insertDelete(a, b);
+
+  if (b.type === "insert") {
+    const [bPrime, aPrime] = insertDelete(b, a);
+    return [aPrime, bPrime];
+  }
+
+  return [deleteAfterDelete(a, b), deleteAfterDelete(b, a)];
+}
+
+/**
+ * Transform two concurrent operations made against the same revision
+ * @param {object|object[]} operation - Pending (not yet sequenced) operation
+ * @param {object|object[]} sequenced - Operation already sequenced by the server
+ * @returns {[object[], object[]]} [operation', sequenced'] where operation'
+ *   applies after sequenced and sequenced' applies after operation
+ */
+function transform(operation, sequenced) {
+  const a = normalize(operation);
+  const b = normalize(sequenced);
+
+  if (a.length === 0 || b.length === 0) return [a, b];
+  if (a.length === 1 && b.length === 1) return transformComponent(a[0], b[0]);
+
+  if (a.length > 1) {
+    const [head, b1] = transform([a[0]], b);
+    const [rest, b2] = transform(a.slice(1), b1);
+    return [head.concat(rest), b2];
+  }
+
+  const [a1, head] = transform(a, [b[0]]);
+  const [a2, rest] = transform(a1, b.slice(1));
+  return [a2, head.concat(rest)];
+}
+
+// Where an offset ends up once `op` has been applied. Text inserted exactly
+// at the offset lands before it when `stickRight`, after it otherwise.
+function transformOffset(offset, op, stickRight) {
+  if (op.type === "insert") {
+    if (op.position < offset || (op.position === offset && stickRight)) {
+      return offset + op.text.length;
+    }
+    return offset;
+  }
+
+  if (offset <= op.position) return offset;
+  if (offset >= op.position + op.length) return offset - op.length;
+  return op.position;
+}
+
+/**
+ * Move a text range (e.g. a comment anchor) through an operation.
+ * Text typed at either edge stays outside the range; a range whose
+ * text is deleted collapses to the deletion point.
+ * @param {{ start: number, end: number }} range
+ * @param {object|object[]} operation
+ * @returns {{ start: number, end: number }}
+ */
+function transformRange(range, operation) {
+  return normalize(operation).reduce(
+    ({ start, end }, op) => {
+      const collapsed = start === end;
+      const newStart = transformOffset(start, op, true);
+      const newEnd = collapsed ? newStart : transformOffset(end, op, false);
+      return { start: newStart, end: Math.max(newStart, newEnd) };
+    },
+    { start: range.start, end: range.end }
+  );
+}
+
+/**
+ * Move a selection ({ anchor, head }, head may precede anchor) through
+ * an operation. A collapsed selection is a plain cursor.
+ * @param {{ anchor: number, head: number }} selection
+ * @param {object|object[]} operation
+ * @returns {{ anchor: number, head: number }}
+ */
+function transformSelection(selection, operation) {
+  const backwards = selection.head < selection.anchor;
+  const { start, end } = transformRange(
+    {
+      start: Math.min(selection.anchor, selection.head),
+      end: Math.max(selection.anchor, selection.head),
+    },
+    operation
+  );
+  return backwards ? { anchor: end, head: start } : { anchor: start, head: end };
+}
+
+/**
+ * Smallest operation turning `before` into `after`: one delete and/or one
+ * insert covering whatever lies between their common prefix and suffix
+ * @returns {object[]} Components (empty when the texts are equal)
+ */
+function replaceOperation(before, after) {
+  let prefix = 0;
+  const maxPrefix = Math.min(before.length, after.length);
+  while (prefix < maxPrefix && before[prefix] === after[prefix]) prefix++;
+
+  let suffix = 0;
+  const maxSuffix = maxPrefix - prefix;
+  while (
+    suffix < maxSuffix &&
+    before[before.length - 1 - suffix] === after[after.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const ops = [];
+  const removed = before.length - prefix - suffix;
+  const inserted = after.slice(prefix, after.length - suffix);
+
+  if (removed > 0) ops.push({ type: "delete", position: prefix, length: removed });
+  if (inserted) ops.push({ type: "insert", position: prefix, text: inserted });
+  return ops;
+}
+
+module.exports = {
+  isValidOperation,
+  apply,
+  replaceOperation,
+  transform,
+  transformRange,
+  transformSelection,
+};
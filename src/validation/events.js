@@ -0,0 +1,201 @@
+const WS_EVENTS = require("../constants/wsEvents");
+const DIARY_WS_EVENTS = require("../constants/diaryWsEvents");
+const DIARY_COLLAB_WS_EVENTS = require("../constants/diaryCollabWsEvents");
+const DIARY_SOCIAL_WS_EVENTS = require("../constants/diarySocialWsEvent");
+const NOTIFICATION_EVENTS = require("../constants/notificationEvents");
+const {
+  MOODS,
+  MAX_TITLE_LENGTH,
+  MAX_CONTENT_LENGTH,
+  MAX_TAG_LENGTH,
+  MAX_TAGS,
+} = require("../handlers/entries");
+const { MAX_BODY_LENGTH } = require("../handlers/comments");
+const { GRANTABLE_ROLES } = require("../handlers/permissions");
+const { INVITE_ROLES } = require("../handlers/invites");
+const {
+  string,
+  integer,
+  number,
+  boolean,
+  array,
+  object,
+  oneOf,
+  variant,
+  refine,
+  optional,
+  nullable,
+} = require("./schema");
+
+// Payload schema for every event a client may send. Handlers can rely on
+// these shapes; finer rules (trimming, ownership, ...) stay in the handlers.
+
+// ============================================
+// Shared fields
+// ============================================
+const id = string({ min: 1, max: 255 }); // entry and user ids
+const serialId = oneOf(integer({ min: 1 }), string({ pattern: /^\d{1,18}$/ }));
+const offset = integer({ min: 0 });
+const revision = integer({ min: 0 });
+const pageNumber = oneOf(integer({ min: 0 }), string({ pattern: /^\d{1,9}$/ }));
+const date = oneOf(string({ min: 1, max: 64 }), number());
+
+const entryOnly = object({ entryId: id });
+const empty = object();
+
+const component = variant("type", {
+  insert: object({ position: offset, text: string({ min: 1, max: MAX_CONTENT_LENGTH }) }),
+  delete: object({ position: offset, length: integer({ min: 1, max: MAX_CONTENT_LENGTH }) }),
+});
+const insertedLength = (value) =>
+  [].concat(value).reduce((sum, part) => sum + (part.type === "insert" ? part.text.length : 0), 0);
+// However it is split up, one edit inserts no more than a whole entry
+const operation = refine(oneOf(component, array(component, { min: 1, max: 500 })), (value, path) =>
+  insertedLength(value) > MAX_CONTENT_LENGTH
+    ? `${path} must insert at most ${MAX_CONTENT_LENGTH} characters`
+    : null
+);
+
+const title = optional(nullable(string({ max: MAX_TITLE_LENGTH })));
+const tag = string({ min: 1, max: MAX_TAG_LENGTH });
+const mood = nullable(string({ values: MOODS }));
+
+// ============================================
+// Event schemas
+// ============================================
+const schemas = {
+  /* System */
+  [WS_EVENTS.PONG]: empty,
+  [WS_EVENTS.TOKEN_REFRESH]: object({ token: string({ min: 1, max: 4096 }) }),
+
+  /* Entry rooms & sync */
+  [DIARY_COLLAB_WS_EVENTS.JOIN_ENTRY_ROOM]: entryOnly,
+  [DIARY_COLLAB_WS_EVENTS.LEAVE_ENTRY_ROOM]: entryOnly,
+  [DIARY_COLLAB_WS_EVENTS.SESSION_RESUME]: object({
+    entryId: id,
+    epoch: optional(nullable(string({ max: 64 }))),
+    lastSeq: integer({ min: 0 }),
+    revision: optional(revision),
+    previousSocketId: optional(string({ max: 255 })),
+  }),
+  [DIARY_COLLAB_WS_EVENTS.STATE_REQUEST]: object({
+    entryId: id,
+    sinceRevision: optional(nullable(revision)),
+  }),
+  [DIARY_COLLAB_WS_EVENTS.DESYNC_DETECTED]: entryOnly,
+  [DIARY_WS_EVENTS.AUTOSAVE]: entryOnly,
+
+  /* Real-time editing */
+  [DIARY_COLLAB_WS_EVENTS.ENTRY_EDIT]: object({
+    entryId: id,
+    operation,
+    baseRevision: revision,
+    timestamp: number({ min: 0 }),
+    opId: optional(string({ min: 1, max: 64 })),
+  }),
+  [DIARY_COLLAB_WS_EVENTS.ENTRY_CURSOR_MOVE]: object({
+    entryId: id,
+    position: offset,
+    revision: optional(revision),
+  }),
+  [DIARY_COLLAB_WS_EVENTS.ENTRY_SELECTION_CHANGE]: object({
+    entryId: id,
+    anchor: offset,
+    head: offset,
+    revision: optional(revision),
+  }),
+  [DIARY_COLLAB_WS_EVENTS.USER_EDITING_ENTRY]: entryOnly,
+  [DIARY_COLLAB_WS_EVENTS.USER_IDLE_ENTRY]: entryOnly,
+
+  /* Comments */
+  [DIARY_COLLAB_WS_EVENTS.COMMENT_ADDED]: object({
+    entryId: optional(id),
+    parentId: optional(serialId),
+    body: string({ min: 1, max: MAX_BODY_LENGTH }),
+    anchor: optional(object({ start: offset, end: offset })),
+    revision: optional(revision),
+  }),
+  [DIARY_COLLAB_WS_EVENTS.COMMENT_EDITED]: object({
+    commentId: serialId,
+    body: string({ min: 1, max: MAX_BODY_LENGTH }),
+  }),
+  [DIARY_COLLAB_WS_EVENTS.COMMENT_DELETED]: object({ commentId: serialId }),
+  [DIARY_COLLAB_WS_EVENTS.COMMENT_RESOLVED]: object({ commentId: serialId }),
+  [DIARY_COLLAB_WS_EVENTS.COMMENT_REOPENED]: object({ commentId: serialId }),
+  [DIARY_COLLAB_WS_EVENTS.COMMENT_LIST_REQUEST]: object({
+    entryId: id,
+    includeResolved: optional(boolean()),
+  }),
+
+  /* Entries */
+  [DIARY_WS_EVENTS.ENTRY_CREATE]: object({
+    title,
+    content: optional(string({ max: MAX_CONTENT_LENGTH })),
+    mood: optional(mood),
+    tags: optional(array(tag, { max: MAX_TAGS })),
+  }),
+  [DIARY_WS_EVENTS.ENTRY_FETCH]: object({
+    entryId: optional(id),
+    limit: optional(pageNumber),
+    offset: optional(pageNumber),
+    tag: optional(nullable(tag)),
+    mood: optional(mood),
+    from: optional(nullable(date)),
+    to: optional(nullable(date)),
+  }),
+  [DIARY_WS_EVENTS.ENTRY_UPDATE]: object({
+    entryId: id,
+    title,
+    content: optional(string({ max: MAX_CONTENT_LENGTH })),
+    revision: optional(revision),
+  }),
+  [DIARY_WS_EVENTS.ENTRY_DELETE]: entryOnly,
+  [DIARY_WS_EVENTS.ENTRY_OPENED]: entryOnly,
+  [DIARY_WS_EVENTS.ENTRY_CLOSED]: entryOnly,
+  [DIARY_WS_EVENTS.TAG_ADD]: object({ entryId: id, tag }),
+  [DIARY_WS_EVENTS.TAG_REMOVE]: object({ entryId: id, tag }),
+  [DIARY_WS_EVENTS.MOOD_UPDATE]: object({ entryId: id, mood }),
+
+  /* Friends */
+  [DIARY_SOCIAL_WS_EVENTS.FRIEND_REQUEST_SENT]: object({ userId: id }),
+  [DIARY_SOCIAL_WS_EVENTS.FRIEND_ACCEPTED]: object({ requestId: serialId }),
+  [DIARY_SOCIAL_WS_EVENTS.FRIEND_REQUEST_DECLINED]: object({ requestId: serialId }),
+  [DIARY_SOCIAL_WS_EVENTS.FRIEND_REMOVED]: object({ friendId: id }),
+  [DIARY_SOCIAL_WS_EVENTS.FRIEND_BLOCKED]: object({ userId: id }),
+  [DIARY_SOCIAL_WS_EVENTS.FRIEND_UNBLOCKED]: object({ userId: id }),
+
+  /* Invites & permissions */
+  [DIARY_COLLAB_WS_EVENTS.COLLAB_INVITE_SENT]: object({
+    entryId: id,
+    inviteeId: id,
+    role: optional(string({ values: INVITE_ROLES })),
+  }),
+  [DIARY_COLLAB_WS_EVENTS.COLLAB_INVITE_ACCEPTED]: object({ inviteId: serialId }),
+  [DIARY_COLLAB_WS_EVENTS.COLLAB_INVITE_DECLINED]: object({ inviteId: serialId }),
+  [DIARY_COLLAB_WS_EVENTS.COLLAB_INVITE_REVOKED]: object({ inviteId: serialId }),
+  [DIARY_COLLAB_WS_EVENTS.ENTRY_PERMISSION_UPDATED]: object({
+    entryId: id,
+    userId: id,
+    role: optional(nullable(string({ values: GRANTABLE_ROLES }))),
+  }),
+
+  /* Notifications */
+  [NOTIFICATION_EVENTS.NOTIFICATION_LIST_REQUEST]: object({
+    limit: optional(pageNumber),
+    offset: optional(pageNumber),
+    filter: optional(
+      object({
+        archived: optional(boolean()),
+        unread: optional(boolean()),
+        type: optional(nullable(string({ min: 1, max: 50 }))),
+        priority: optional(nullable(string({ values: ["low", "normal", "high"] }))),
+      })
+    ),
+  }),
+  [NOTIFICATION_EVENTS.NOTIFICATION_COUNT_REQUEST]: empty,
+  [NOTIFICATION_EVENTS.NOTIFICATION_MARK_READ]: object({ notificationId: serialId }),
+  [NOTIFICATION_EVENTS.NOTIFICATION_MARK_ALL_READ]: empty,
+  [NOTIFICATION_EVENTS.NOTIFICATION_ARCHIVE]: object({ notificationId: serialId }),
+};
+
+module.exports = schemas;
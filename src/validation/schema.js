@@ -0,0 +1,152 @@
+const { ValidationError } = require("../utils/errors");
+
+// ============================================
+// Schema builders
+// ============================================
+// Every schema is a plain object: { type, ...constraints }. Fields are
+// required unless wrapped in optional(); null is only accepted by nullable().
+
+const string = (opts = {}) => ({ type: "string", ...opts }); // min, max, pattern, values
+const integer = (opts = {}) => ({ type: "integer", ...opts }); // min, max
+const number = (opts = {}) => ({ type: "number", ...opts }); // min, max
+const boolean = () => ({ type: "boolean" });
+const array = (items, opts = {}) => ({ type: "array", items, ...opts }); // min, max
+const object = (fields = {}) => ({ type: "object", fields });
+const oneOf = (...schemas) => ({ type: "oneOf", schemas });
+// Objects told apart by one field, e.g. variant("type", { insert: ..., delete: ... })
+const variant = (key, schemas) => ({ type: "variant", key, schemas });
+
+// A further rule once the type matches: `rule(value, path)` returns what is wrong, or null
+const refine = (schema, rule) => ({ ...schema, rule });
+
+const optional = (schema) => ({ ...schema, optional: true });
+const nullable = (schema) => ({ ...schema, nullable: true });
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+// ============================================
+// Validation
+// ============================================
+const JS_TYPES = {
+  string: (value) => typeof value === "string",
+  integer: (value) => typeof value === "number",
+  number: (value) => typeof value === "number",
+  boolean: (value) => typeof value === "boolean",
+  array: (value) => Array.isArray(value),
+  object: isPlainObject,
+  variant: isPlainObject,
+};
+
+function checkRange(value, schema, path, unit) {
+  if (schema.min !== undefined && value < schema.min) {
+    return `${path} must be at least ${schema.min}${unit}`;
+  }
+  if (schema.max !== undefined && value > schema.max) {
+    return `${path} must be at most ${schema.max}${unit}`;
+  }
+  return null;
+}
+
+/**
+ * @returns {string|null} What is wrong with the value, or null if it matches
+ */
+function check(schema, value, path) {
+  if (value === undefined) return schema.optional ? null : `${path} is required`;
+  if (value === null) return schema.nullable ? null : `${path} must not be null`;
+
+  const problem = checkType(schema, value, path);
+  return problem || !schema.rule ? problem : schema.rule(value, path);
+}
+
+function checkType(schema, value, path) {
+  switch (schema.type) {
+    case "string":
+      if (typeof value !== "string") return `${path} must be a string`;
+      if (schema.values && !schema.values.includes(value)) {
+        return `${path} must be one of ${schema.values.join(", ")}`;
+      }
+      if (schema.pattern && !schema.pattern.test(value)) return `${path} is malformed`;
+      return checkRange(value.length, schema, path, " characters");
+
+    case "integer":
+      if (!Number.isInteger(value)) return `${path} must be an integer`;
+      return checkRange(value, schema, path, "");
+
+    case "number":
+      if (typeof value !== "number" || !Number.isFinite(value)) return `${path} must be a number`;
+      return checkRange(value, schema, path, "");
+
+    case "boolean":
+      return typeof value === "boolean" ? null : `${path} must be a boolean`;
+
+    case "array": {
+      if (!Array.isArray(value)) return `${path} must be an array`;
+      const length = checkRange(value.length, schema, path, " items");
+      if (length) return length;
+
+      for (let i = 0; i < value.length; i += 1) {
+        const problem = check(schema.items, value[i], `${path}[${i}]`);
+        if (problem) return problem;
+      }
+      return null;
+    }
+
+    case "object":
+      if (!isPlainObject(value)) return `${path} must be an object`;
+
+      for (const [key, field] of Object.entries(schema.fields)) {
+        const problem = check(field, value[key], `${path}.${key}`);
+        if (problem) return problem;
+      }
+      return null;
+
+    case "variant": {
+      if (!isPlainObject(value)) return `${path} must be an object`;
+
+      const kind = value[schema.key];
+      if (typeof kind !== "string" || !Object.hasOwn(schema.schemas, kind)) {
+        return `${path}.${schema.key} must be one of ${Object.keys(schema.schemas).join(", ")}`;
+      }
+      return check(schema.schemas[kind], value, path);
+    }
+
+    case "oneOf": {
+      // Report against the options of the right kind (object vs array, ...)
+      const candidates = schema.schemas.filter((option) => JS_TYPES[option.type](value));
+      if (candidates.length === 0) return `${path} has the wrong type`;
+
+      const problems = candidates.map((option) => check(option, value, path));
+      return problems.includes(null) ? null : problems[0];
+    }
+
+    default:
+      throw new Error(`Unknown schema type "${schema.type}"`);
+  }
+}
+
+/**
+ * Check a value against a schema
+ * @throws {ValidationError} Naming the first field that does not match
+ */
+function validate(schema, value, path = "payload") {
+  const problem = check(schema, value, path);
+  if (problem) throw new ValidationError(problem);
+  return value;
+}
+
+module.exports = {
+  string,
+  integer,
+  number,
+  boolean,
+  array,
+  object,
+  oneOf,
+  variant,
+  refine,
+  optional,
+  nullable,
+  isPlainObject,
+  validate,
+};
@@ -0,0 +1,299 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, once, collect, eventually, wait } = require("./harness");
+const DIARY_WS_EVENTS = require("../src/constants/diaryWsEvents");
+const DIARY_COLLAB_WS_EVENTS = require("../src/constants/diaryCollabWsEvents");
+const { MAX_CONTENT_LENGTH } = require("../src/handlers/collaboration");
+const documentCache = require("../src/cache/documentCache");
+
+const ENTRY = "entry_123"; // user_1's; user_2 may edit, user_3 may view
+
+describe("entry collaboration", () => {
+  let server;
+  let opIds = 0;
+
+  before(async () => {
+    server = await startServer({
+      // Tight cursor buckets, so throttling shows within a few moves
+      rateLimit: { user: { cursors: { capacity: 3, refillPerSec: 1 } } },
+    });
+  });
+
+  after(() => server.close());
+
+  const join = async (userId) => {
+    const socket = await server.connect(userId);
+    const res = await socket.emitWithAck(DIARY_COLLAB_WS_EVENTS.JOIN_ENTRY_ROOM, {
+      entryId: ENTRY,
+    });
+    assert.equal(res.ok, true, JSON.stringify(res.error));
+    return socket;
+  };
+
+  const revisionOf = async (socket) => {
+    const res = await socket.emitWithAck(DIARY_COLLAB_WS_EVENTS.STATE_REQUEST, { entryId: ENTRY });
+    return res.data.revision;
+  };
+
+  const insert = (socket, text, baseRevision, position = 0) =>
+    socket.emitWithAck(DIARY_COLLAB_WS_EVENTS.ENTRY_EDIT, {
+      entryId: ENTRY,
+      operation: { type: "insert", position, text },
+      baseRevision,
+      timestamp: Date.now(),
+      opId: `op_${++opIds}`,
+    });
+
+  const closeAll = (...sockets) => sockets.forEach((socket) => socket.disconnect());
+
+  it("announces joins and leaves to the rest of the room", async () => {
+    const owner = await join("user_1");
+    const joined = once(owner, DIARY_COLLAB_WS_EVENTS.USER_VIEWING_ENTRY);
+    const viewer = await join("user_3");
+
+    assert.deepEqual(
+      { entryId: ENTRY, userId: "user_3" },
+      (({ entryId, userId }) => ({ entryId, userId }))(await joined)
+    );
+
+    const left = once(owner, DIARY_COLLAB_WS_EVENTS.ENTRY_COLLAB_LEAVE);
+    const res = await viewer.emitWithAck(DIARY_COLLAB_WS_EVENTS.LEAVE_ENTRY_ROOM, {
+      entryId: ENTRY,
+    });
+    assert.equal(res.ok, true);
+    assert.equal((await left).userId, "user_3");
+
+    closeAll(owner, viewer);
+  });
+
+  it("refuses to join an entry without access", async () => {
+    const stranger = await server.connect("user_4");
+    const res = await stranger.emitWithAck(DIARY_COLLAB_WS_EVENTS.JOIN_ENTRY_ROOM, {
+      entryId: ENTRY,
+    });
+
+    assert.equal(res.ok, false);
+    assert.equal(res.error.code, "ACCESS_DENIED");
+    closeAll(stranger);
+  });
+
+  it("broadcasts edits at once and saves them in one debounced batch", async () => {
+    const owner = await join("user_1");
+    const editor = await join("user_2");
+    const broadcast = collect(editor, DIARY_COLLAB_WS_EVENTS.ENTRY_EDIT);
+    const saves = collect(owner, DIARY_WS_EVENTS.SAVE_SUCCESS);
+
+    const base = await revisionOf(owner);
+    for (const [i, text] of ["a", "b", "c"].entries()) {
+      const res = await insert(owner, text, base + i, i);
+      assert.equal(res.data.revision, base + i + 1);
+    }
+
+    // Everyone else sees every operation before anything is written
+    await eventually(() => broadcast.length === 3);
+    assert.deepEqual(
+      broadcast.map((edit) => edit.operation.text),
+      ["a", "b", "c"]
+    );
+    const [unsaved] = await server.query(`SELECT revision FROM diary_entries WHERE id = $1`, [
+      ENTRY,
+    ]);
+    assert.ok(unsaved.revision < base + 3);
+
+    await eventually(() => saves.length > 0);
+    await wait(2 * server.config.collaboration.autosaveDebounce);
+    assert.deepEqual(
+      saves.map((save) => save.revision),
+      [base + 3]
+    );
+
+    const [saved] = await server.query(
+      `SELECT content, revision FROM diary_entries WHERE id = $1`,
+      [ENTRY]
+    );
+    assert.equal(saved.revision, base + 3);
+    assert.ok(saved.content.startsWith("abc"));
+
+    const revisions = await server.query(
+      `SELECT revision FROM entry_revisions WHERE entry_id = $1 AND revision > $2`,
+      [ENTRY, base]
+    );
+    assert.equal(revisions.length, 3);
+
+    closeAll(owner, editor);
+  });
+
+  it("transforms concurrent edits and reports the conflict", async () => {
+    const owner = await join("user_1");
+    const editor = await join("user_2");
+    const base = await revisionOf(owner);
+
+    const ownerSees = once(owner, DIARY_COLLAB_WS_EVENTS.ENTRY_EDIT);
+    const conflict = once(editor, DIARY_WS_EVENTS.CONFLICT_DETECTED);
+
+    // Both edit the same revision; the second is sequenced after the first
+    assert.equal((await insert(owner, "X", base)).data.revision, base + 1);
+    assert.equal((await insert(editor, "Y", base)).data.revision, base + 2);
+
+    const report = await conflict;
+    assert.equal(report.strategy, "operational-transform");
+    assert.equal(report.baseRevision, base);
+    assert.equal(report.revision, base + 2);
+
+    const edit = await ownerSees;
+    assert.equal(edit.userId, "user_2");
+    assert.equal(edit.revision, base + 2);
+
+    // Both replicas converge on the server's content
+    const [ownerState, editorState] = await Promise.all(
+      [owner, editor].map((socket) =>
+        socket.emitWithAck(DIARY_COLLAB_WS_EVENTS.STATE_REQUEST, { entryId: ENTRY })
+      )
+    );
+    assert.equal(ownerState.data.content, editorState.data.content);
+    assert.match(ownerState.data.content, /^(XY|YX)/);
+
+    closeAll(owner, editor);
+  });
+
+  it("sequences an edit caught up from entry_revisions against edits made meanwhile", async () => {
+    // Save a few revisions and let the document drop out of memory
+    let owner = await join("user_1");
+    const base = await revisionOf(owner);
+    for (const [i, text] of ["a", "b", "c"].entries()) await insert(owner, text, base + i, i);
+    owner.disconnect();
+    await eventually(async () => {
+      const [row] = await server.query(`SELECT revision FROM diary_entries WHERE id = $1`, [ENTRY]);
+      return row.revision === base + 3;
+    });
+
+    // Reloaded without history: base is only reachable through the table
+    owner = await join("user_1");
+    const editor = await join("user_2");
+    const current = await editor.emitWithAck(DIARY_COLLAB_WS_EVENTS.STATE_REQUEST, {
+      entryId: ENTRY,
+    });
+    assert.equal(current.data.revision, base + 3);
+    const original = current.data.content.slice(3);
+
+    // Appends at the end of the document as it was at `base`, sent alongside
+    // an insert at the start of the current one
+    const [late, live] = await Promise.all([
+      insert(owner, "Q", base, original.length),
+      insert(editor, "Z", base + 3, 0),
+    ]);
+    assert.equal(late.ok, true);
+    assert.equal(live.ok, true);
+
+    const state = await owner.emitWithAck(DIARY_COLLAB_WS_EVENTS.STATE_REQUEST, {
+      entryId: ENTRY,
+    });
+    assert.equal(state.data.revision, base + 5);
+    assert.equal(state.data.content, `Zabc${original}Q`);
+
+    closeAll(owner, editor);
+  });
+
+  it("rejects edits that would make the entry too long", async () => {
+    const owner = await join("user_1");
+    const base = await revisionOf(owner);
+    const half = "x".repeat(MAX_CONTENT_LENGTH / 2 + 1);
+
+    // Each part fits, the two together don't
+    const split = await owner.emitWithAck(DIARY_COLLAB_WS_EVENTS.ENTRY_EDIT, {
+      entryId: ENTRY,
+      operation: [
+        { type: "insert", position: 0, text: half },
+        { type: "insert", position: 0, text: half },
+      ],
+      baseRevision: base,
+      timestamp: Date.now(),
+    });
+    assert.equal(split.ok, false);
+    assert.equal(split.error.code, "VALIDATION_ERROR");
+
+    // Allowed on its own, too long with what the entry already holds
+    const full = await insert(owner, "x".repeat(MAX_CONTENT_LENGTH), base);
+    assert.equal(full.ok, false);
+    assert.equal(full.error.code, "VALIDATION_ERROR");
+
+    assert.equal(await revisionOf(owner), base);
+    closeAll(owner);
+  });
+
+  // What useCollaboration relies on to drop a refused edit and resync
+  it("refuses edits through their ack, leaving the entry ready for the next one", async () => {
+    const owner = await join("user_1");
+    const watcher = await join("user_3");
+    const acks = collect(owner, DIARY_COLLAB_WS_EVENTS.ENTRY_EDIT_ACK);
+    const errors = collect(owner, "error");
+    const broadcasts = collect(watcher, DIARY_COLLAB_WS_EVENTS.ENTRY_EDIT);
+    const base = await revisionOf(owner);
+
+    const refused = await insert(owner, "x".repeat(MAX_CONTENT_LENGTH + 1), base);
+    assert.equal(refused.ok, false);
+    assert.equal(refused.error.code, "VALIDATION_ERROR");
+
+    // The client drops the op and resyncs; what it sends next is sequenced
+    const state = await owner.emitWithAck(DIARY_COLLAB_WS_EVENTS.STATE_REQUEST, {
+      entryId: ENTRY,
+    });
+    assert.equal(state.data.revision, base);
+    const next = await insert(owner, "ok", state.data.revision);
+    assert.equal(next.ok, true, JSON.stringify(next.error));
+    assert.equal(next.data.revision, base + 1);
+
+    await eventually(() => broadcasts.length === 1);
+    assert.deepEqual(
+      acks.map((ack) => ack.revision),
+      [base + 1]
+    );
+    assert.equal(broadcasts[0].revision, base + 1);
+    assert.equal(errors.length, 0);
+    closeAll(owner, watcher);
+  });
+
+  it("doesn't keep documents read from outside the room in memory", async () => {
+    const editor = await server.connect("user_2");
+    const loaded = () => documentCache.has(ENTRY);
+
+    const state = await editor.emitWithAck(DIARY_COLLAB_WS_EVENTS.STATE_REQUEST, {
+      entryId: ENTRY,
+    });
+    assert.equal(state.ok, true);
+    assert.equal(await eventually(() => !loaded()), true);
+
+    const comment = await editor.emitWithAck(DIARY_COLLAB_WS_EVENTS.COMMENT_ADDED, {
+      entryId: ENTRY,
+      body: "Nice",
+      anchor: { start: 0, end: 1 },
+      revision: state.data.revision,
+    });
+    assert.equal(comment.ok, true, JSON.stringify(comment.error));
+    assert.equal(await eventually(() => !loaded()), true);
+
+    closeAll(editor);
+  });
+
+  it("drops cursor moves over the limit without an error", async () => {
+    const owner = await join("user_1");
+    const editor = await join("user_2");
+    const moves = collect(owner, DIARY_COLLAB_WS_EVENTS.ENTRY_CURSOR_MOVE);
+
+    const acks = await Promise.all(
+      [0, 1, 2, 3, 4, 5].map((position) =>
+        editor.emitWithAck(DIARY_COLLAB_WS_EVENTS.ENTRY_CURSOR_MOVE, { entryId: ENTRY, position })
+      )
+    );
+    assert.ok(acks.every((res) => res.ok));
+
+    await wait(200);
+    assert.equal(moves.length, 3);
+    assert.deepEqual(
+      moves.map((move) => move.userId),
+      ["user_2", "user_2", "user_2"]
+    );
+
+    closeAll(owner, editor);
+  });
+});
@@ -0,0 +1,79 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, eventually } = require("./harness");
+const DIARY_WS_EVENTS = require("../src/constants/diaryWsEvents");
+const DIARY_COLLAB_WS_EVENTS = require("../src/constants/diaryCollabWsEvents");
+const documentCache = require("../src/cache/documentCache");
+
+const ENTRY = "entry_123"; // user_1's; user_2 may edit
+
+describe("comments", () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => server.close());
+
+  const addComment = async (socket) => {
+    const state = await socket.emitWithAck(DIARY_COLLAB_WS_EVENTS.STATE_REQUEST, {
+      entryId: ENTRY,
+    });
+    const res = await socket.emitWithAck(DIARY_COLLAB_WS_EVENTS.COMMENT_ADDED, {
+      entryId: ENTRY,
+      body: "Worth keeping",
+      anchor: { start: 0, end: 1 },
+      revision: state.data.revision,
+    });
+    assert.equal(res.ok, true, JSON.stringify(res.error));
+    return res.data;
+  };
+
+  it("saves an anchor moved after its edits were saved, then releases the document", async () => {
+    const owner = await server.connect("user_1");
+    // In the room, so the document stays loaded
+    await owner.emitWithAck(DIARY_COLLAB_WS_EVENTS.JOIN_ENTRY_ROOM, { entryId: ENTRY });
+    const { commentId } = await addComment(owner);
+
+    // As when edits sequenced during the insert were flushed before it finished
+    documentCache.setAnchor(ENTRY, commentId, { start: 2, end: 3 }, true);
+    const saved = await owner.emitWithAck(DIARY_WS_EVENTS.AUTOSAVE, { entryId: ENTRY });
+    assert.equal(saved.ok, true, JSON.stringify(saved.error));
+
+    const [row] = await server.query(
+      `SELECT anchor_start, anchor_end FROM entry_comments WHERE id = $1`,
+      [commentId]
+    );
+    assert.deepEqual(row, { anchor_start: 2, anchor_end: 3 });
+
+    await owner.emitWithAck(DIARY_COLLAB_WS_EVENTS.LEAVE_ENTRY_ROOM, { entryId: ENTRY });
+    assert.equal(await eventually(() => !documentCache.has(ENTRY)), true);
+
+    owner.disconnect();
+  });
+
+  it("stops authors deleting comments on entries they lost access to", async () => {
+    const [owner, author] = await Promise.all([
+      server.connect("user_1"),
+      server.connect("user_2"),
+    ]);
+    const { commentId } = await addComment(author);
+
+    const revoked = await owner.emitWithAck(DIARY_COLLAB_WS_EVENTS.ENTRY_PERMISSION_UPDATED, {
+      entryId: ENTRY,
+      userId: "user_2",
+      role: null,
+    });
+    assert.equal(revoked.ok, true, JSON.stringify(revoked.error));
+
+    const res = await author.emitWithAck(DIARY_COLLAB_WS_EVENTS.COMMENT_DELETED, { commentId });
+    assert.equal(res.ok, false);
+    assert.equal(res.error.code, "ACCESS_DENIED");
+    const rows = await server.query(`SELECT 1 FROM entry_comments WHERE id = $1`, [commentId]);
+    assert.equal(rows.length, 1);
+
+    owner.disconnect();
+    author.disconnect();
+  });
+});
@@ -0,0 +1,79 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./harness");
+const DIARY_WS_EVENTS = require("../src/constants/diaryWsEvents");
+
+describe("entries", () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => server.close());
+
+  const saved = async (entryId) => {
+    const [row] = await server.query(
+      `SELECT title, content, revision FROM diary_entries WHERE id = $1`,
+      [entryId]
+    );
+    return row;
+  };
+
+  it("creates an entry together with its tags", async () => {
+    const owner = await server.connect("user_1");
+    const res = await owner.emitWithAck(DIARY_WS_EVENTS.ENTRY_CREATE, {
+      title: "Trip",
+      content: "Day one",
+      tags: ["Travel", "work"],
+    });
+    assert.equal(res.ok, true, JSON.stringify(res.error));
+    assert.deepEqual(res.data.tags, ["travel", "work"]);
+
+    const tags = await server.query(
+      `SELECT tag FROM entry_tags WHERE entry_id = $1 ORDER BY tag`,
+      [res.data.entryId]
+    );
+    assert.deepEqual(
+      tags.map((row) => row.tag),
+      ["travel", "work"]
+    );
+
+    owner.disconnect();
+  });
+
+  it("writes the title and the content together, and neither on a conflict", async () => {
+    const owner = await server.connect("user_1");
+    const created = await owner.emitWithAck(DIARY_WS_EVENTS.ENTRY_CREATE, {
+      title: "Draft",
+      content: "First",
+    });
+    const { entryId, revision } = created.data;
+
+    const stale = await owner.emitWithAck(DIARY_WS_EVENTS.ENTRY_UPDATE, {
+      entryId,
+      title: "Stale",
+      content: "Stale content",
+      revision: revision + 1,
+    });
+    assert.equal(stale.ok, false);
+    assert.equal(stale.error.code, "CONFLICT");
+    assert.deepEqual(await saved(entryId), { title: "Draft", content: "First", revision });
+
+    // Acknowledged once both are saved, not after the autosave debounce
+    const res = await owner.emitWithAck(DIARY_WS_EVENTS.ENTRY_UPDATE, {
+      entryId,
+      title: "Final",
+      content: "Second",
+      revision,
+    });
+    assert.equal(res.ok, true, JSON.stringify(res.error));
+    assert.deepEqual(await saved(entryId), {
+      title: "Final",
+      content: "Second",
+      revision: revision + 1,
+    });
+
+    owner.disconnect();
+  });
+});
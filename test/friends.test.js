@@ -0,0 +1,76 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, once } = require("./harness");
+const DIARY_SOCIAL_WS_EVENTS = require("../src/constants/diarySocialWsEvent");
+
+// user_1 is friends with user_2; user_4 and user_5 are nobody's friends
+
+describe("friend requests", () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => server.close());
+
+  const friendRows = (userId, friendId) =>
+    server.query(
+      `
+      SELECT user_id FROM friends
+      WHERE (user_id = $1 AND friend_id = $2) OR (user_id = $2 AND friend_id = $1)
+      `,
+      [userId, friendId]
+    );
+
+  it("applies only the first of two answers to a request", async () => {
+    const [sender, receiver] = await Promise.all([
+      server.connect("user_4"),
+      server.connect("user_5"),
+    ]);
+    const received = once(receiver, DIARY_SOCIAL_WS_EVENTS.FRIEND_REQUEST_RECEIVED);
+    const sent = await sender.emitWithAck(DIARY_SOCIAL_WS_EVENTS.FRIEND_REQUEST_SENT, {
+      userId: "user_5",
+    });
+    assert.equal(sent.ok, true);
+    const { requestId } = await received;
+
+    const answers = await Promise.all([
+      receiver.emitWithAck(DIARY_SOCIAL_WS_EVENTS.FRIEND_ACCEPTED, { requestId }),
+      receiver.emitWithAck(DIARY_SOCIAL_WS_EVENTS.FRIEND_REQUEST_DECLINED, { requestId }),
+    ]);
+    const applied = answers.filter((res) => res.ok);
+    const refused = answers.filter((res) => !res.ok);
+    assert.equal(applied.length, 1);
+    assert.equal(refused[0].error.code, "VALIDATION_ERROR");
+
+    // The friendship exists exactly when the request ended up accepted
+    const [request] = await server.query(`SELECT status FROM friend_requests WHERE id = $1`, [
+      requestId,
+    ]);
+    assert.equal(request.status, applied[0].data.status);
+    const rows = await friendRows("user_4", "user_5");
+    assert.equal(rows.length, request.status === "accepted" ? 2 : 0);
+
+    sender.disconnect();
+    receiver.disconnect();
+  });
+
+  it("tells both sides when a friendship ends", async () => {
+    const [user, friend] = await Promise.all([server.connect("user_1"), server.connect("user_2")]);
+    const removed = once(friend, DIARY_SOCIAL_WS_EVENTS.FRIEND_REMOVED);
+
+    const res = await user.emitWithAck(DIARY_SOCIAL_WS_EVENTS.FRIEND_REMOVED, {
+      friendId: "user_2",
+    });
+    assert.equal(res.ok, true);
+
+    const event = await removed;
+    assert.equal(event.friendId, "user_1");
+    assert.equal(typeof event.timestamp, "number");
+    assert.equal((await friendRows("user_1", "user_2")).length, 0);
+
+    user.disconnect();
+    friend.disconnect();
+  });
+});
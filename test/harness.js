@@ -0,0 +1,188 @@
+// ============================================
+// Integration test harness
+// ============================================
+// A server from createServer() on an ephemeral port, a migrated and seeded
+// database, and socket.io-client connections authenticated with signed JWTs.
+//
+// The database is the Postgres at TEST_DATABASE_URL when set (every table
+// is dropped and recreated: point it at a throwaway database), otherwise an
+// in-memory pg-mem stand-in.
+
+// Settings modules read when src/config loads; per-server settings are
+// passed to createServer instead (see startServer)
+Object.assign(process.env, {
+  NODE_ENV: "test",
+  JWT_SECRET: "test-secret",
+  LOG_LEVEL: process.env.TEST_LOG_LEVEL || "silent",
+  STORE_DRIVER: "memory",
+  AUTOSAVE_DEBOUNCE: "150",
+  AUTOSAVE_MAX_WAIT: "1000",
+  DISCONNECT_GRACE: "100",
+});
+
+const fs = require("fs");
+const path = require("path");
+const jwt = require("jsonwebtoken");
+const { io: connectClient } = require("socket.io-client");
+const baseConfig = require("../src/config");
+const { createServer } = require("../src/server");
+const { createMigrator, readMigrations } = require("../src/db/migrate");
+
+const SEED = path.join(__dirname, "../src/db/seeds/development.sql");
+
+// ============================================
+// Database
+// ============================================
+
+/**
+ * A pool on a freshly migrated database holding the development seed
+ * (user_1 is friends with user_2 and user_3; user_2 edits and user_3 views
+ * user_1's entry_123)
+ */
+async function createTestPool() {
+  if (process.env.TEST_DATABASE_URL) {
+    const { Pool } = require("pg");
+    const pool = new Pool({ connectionString: process.env.TEST_DATABASE_URL });
+    const migrator = createMigrator(pool);
+
+    await migrator.rollback({ steps: Infinity });
+    await migrator.migrate();
+    await migrator.seed();
+    return pool;
+  }
+
+  // pg-mem has no advisory locks for the migrator, so the up migrations
+  // are applied directly. Its NOW() is a timestamptz it won't compare with
+  // TIMESTAMP columns, so they are created WITH TIME ZONE.
+  const { newDb } = require("pg-mem");
+  const db = newDb();
+  const read = (file) => fs.readFileSync(file, "utf8").replace(/\bTIMESTAMP\b/g, "TIMESTAMPTZ");
+
+  for (const migration of readMigrations()) db.public.none(read(migration.up));
+  db.public.none(read(SEED));
+
+  const { Pool } = db.adapters.createPg();
+  return new Pool();
+}
+
+// ============================================
+// Server and clients
+// ============================================
+
+const signToken = (userId, options = {}) =>
+  jwt.sign({ userId }, baseConfig.auth.jwtSecret, { expiresIn: "1h", ...options });
+
+const isPlainObject = (value) => value && typeof value === "object" && !Array.isArray(value);
+
+function merge(base, overrides) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(overrides)) {
+    const nested = isPlainObject(value) && isPlainObject(base[key]);
+    merged[key] = nested ? merge(base[key], value) : value;
+  }
+  return merged;
+}
+
+/**
+ * Start a server on a free port
+ * @param {object} [overrides] - Per-server settings merged over src/config,
+ *   e.g. { presence: { staleTimeout: 300 } }
+ * @param {object} [options]
+ * @param {object} [options.pool] - A running server's pool, to start another
+ *   beside it on the same database; by default it gets a fresh database,
+ *   closed with this server
+ */
+async function startServer(overrides = {}, { pool: sharedPool } = {}) {
+  const config = merge(baseConfig, overrides);
+  const pool = sharedPool || (await createTestPool());
+  const instance = createServer({ pool, config });
+  const port = await instance.listen(0);
+  const url = `http://localhost:${port}`;
+  const clients = [];
+
+  /**
+   * Connect as `userId`; resolves once the server sent AUTHENTICATED.
+   * Heartbeats are answered unless `answerHeartbeats` is false.
+   */
+  async function connect(userId, { answerHeartbeats = true } = {}) {
+    const socket = connectClient(url, {
+      auth: { token: signToken(userId) },
+      transports: ["websocket"],
+      reconnection: false,
+      forceNew: true,
+    });
+    clients.push(socket);
+
+    if (answerHeartbeats) socket.on("heartbeat", () => socket.emit("pong"));
+    await once(socket, "authenticated");
+    return socket;
+  }
+
+  async function query(sql, params) {
+    const { rows } = await pool.query(sql, params);
+    return rows;
+  }
+
+  async function close() {
+    clients.forEach((socket) => socket.disconnect());
+    await instance.close("test");
+    if (!sharedPool) await pool.end();
+  }
+
+  return { url, config, pool, io: instance.io, connect, query, close };
+}
+
+// ============================================
+// Waiting on events
+// ============================================
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * First `event` on the socket (its first argument)
+ * @param {object} [options]
+ * @param {Function} [options.filter] - Only payloads it accepts count
+ * @param {number} [options.timeout] - Reject after (ms)
+ */
+function once(socket, event, { filter = () => true, timeout = 2000 } = {}) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      socket.off(event, listener);
+      reject(new Error(`Timed out waiting for ${event}`));
+    }, timeout);
+
+    function listener(payload) {
+      if (!filter(payload)) return;
+      clearTimeout(timer);
+      socket.off(event, listener);
+      resolve(payload);
+    }
+
+    socket.on(event, listener);
+  });
+}
+
+/**
+ * Every `event` the socket receives from now on
+ * @returns {object[]} Filled in as events arrive
+ */
+function collect(socket, event) {
+  const received = [];
+  socket.on(event, (payload) => received.push(payload));
+  return received;
+}
+
+/**
+ * Poll `check` until it resolves truthy
+ * @returns {Promise<*>} Its last result
+ */
+async function eventually(check, { timeout = 2000, interval = 25 } = {}) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const result = await check();
+    if (result || Date.now() > deadline) return result;
+    await wait(interval);
+  }
+}
+
+module.exports = { startServer, signToken, once, collect, eventually, wait };
@@ -0,0 +1,99 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, once, collect, eventually, wait } = require("./harness");
+const DIARY_SOCIAL_WS_EVENTS = require("../src/constants/diarySocialWsEvent");
+
+// user_1 is friends with user_2 and user_3; user_4 is nobody's friend
+
+describe("presence", () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({
+      // Reap sockets that skip a few heartbeats
+      presence: { heartbeatInterval: 100, staleTimeout: 400, staleCheckInterval: 100 },
+    });
+  });
+
+  after(() => server.close());
+
+  const isOnline = async (userId) => {
+    const rows = await server.query(
+      `SELECT 1 FROM ws_connections WHERE user_id = $1 AND online = true`,
+      [userId]
+    );
+    return rows.length > 0;
+  };
+
+  it("tells every friend, and only friends, when a user comes and goes", async () => {
+    const friends = await Promise.all([server.connect("user_2"), server.connect("user_3")]);
+    const stranger = await server.connect("user_4");
+    const strangerHeard = collect(stranger, DIARY_SOCIAL_WS_EVENTS.FRIEND_ONLINE);
+
+    const online = friends.map((socket) =>
+      once(socket, DIARY_SOCIAL_WS_EVENTS.FRIEND_ONLINE, {
+        filter: (payload) => payload.userId === "user_1",
+      })
+    );
+    const user = await server.connect("user_1");
+    await Promise.all(online);
+    assert.equal(await isOnline("user_1"), true);
+
+    const offline = friends.map((socket) =>
+      once(socket, DIARY_SOCIAL_WS_EVENTS.FRIEND_OFFLINE, {
+        filter: (payload) => payload.userId === "user_1",
+      })
+    );
+    user.disconnect();
+    await Promise.all(offline);
+    assert.equal(await isOnline("user_1"), false);
+    assert.deepEqual(strangerHeard, []);
+
+    [...friends, stranger].forEach((socket) => socket.disconnect());
+  });
+
+  it("stays online until the user's last connection closes", async () => {
+    const friend = await server.connect("user_2");
+    const heard = collect(friend, DIARY_SOCIAL_WS_EVENTS.FRIEND_ONLINE);
+    const wentOffline = collect(friend, DIARY_SOCIAL_WS_EVENTS.FRIEND_OFFLINE);
+
+    const laptop = await server.connect("user_1");
+    const phone = await server.connect("user_1");
+    await eventually(() => heard.length > 0);
+
+    phone.disconnect();
+    await wait(200);
+    assert.equal(await isOnline("user_1"), true);
+    assert.deepEqual(wentOffline, []);
+
+    laptop.disconnect();
+    await eventually(() => wentOffline.length > 0);
+    assert.equal(heard.length, 1);
+    assert.equal(await isOnline("user_1"), false);
+
+    friend.disconnect();
+  });
+
+  it("disconnects sockets that stop answering heartbeats", async () => {
+    const friend = await server.connect("user_3");
+    const responsive = await server.connect("user_2");
+    const silent = await server.connect("user_1", { answerHeartbeats: false });
+
+    const reaped = once(silent, "disconnect", { timeout: 3000 });
+    const offline = once(friend, DIARY_SOCIAL_WS_EVENTS.FRIEND_OFFLINE, {
+      filter: (payload) => payload.userId === "user_1",
+      timeout: 3000,
+    });
+
+    assert.equal(await reaped, "io server disconnect");
+    await offline;
+    assert.equal(await isOnline("user_1"), false);
+
+    // Heartbeats answered: still connected well past staleTimeout
+    assert.equal(responsive.connected, true);
+    assert.equal(await isOnline("user_2"), true);
+
+    friend.disconnect();
+    responsive.disconnect();
+  });
+});
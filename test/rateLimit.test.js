@@ -0,0 +1,106 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, once, collect } = require("./harness");
+const WS_EVENTS = require("../src/constants/wsEvents");
+const DIARY_COLLAB_WS_EVENTS = require("../src/constants/diaryCollabWsEvents");
+const DIARY_SOCIAL_WS_EVENTS = require("../src/constants/diarySocialWsEvent");
+
+const ENTRY = "entry_123"; // user_1's; user_2 may edit
+
+describe("rate limiting", () => {
+  let server;
+  let opIds = 0;
+
+  before(async () => {
+    server = await startServer({
+      rateLimit: {
+        user: { edits: { capacity: 3, refillPerSec: 0.5 } },
+        // Every test client shares 127.0.0.1
+        ip: { social: { capacity: 3, refillPerSec: 0.5 } },
+        penalties: { warnAfter: 2, slowDownAfter: 4, slowDownMs: 300, disconnectAfter: 6 },
+      },
+    });
+  });
+
+  after(() => server.close());
+
+  const editor = async (userId) => {
+    const socket = await server.connect(userId);
+    await socket.emitWithAck(DIARY_COLLAB_WS_EVENTS.JOIN_ENTRY_ROOM, { entryId: ENTRY });
+    return socket;
+  };
+
+  // Sequenced or not, only whether the limiter let it through matters here
+  const edit = (socket) =>
+    socket.emitWithAck(DIARY_COLLAB_WS_EVENTS.ENTRY_EDIT, {
+      entryId: ENTRY,
+      operation: { type: "insert", position: 0, text: "x" },
+      baseRevision: 0,
+      timestamp: Date.now(),
+      opId: `op_${++opIds}`,
+    });
+
+  const limited = (res) => !res.ok && res.error.code === "RATE_LIMIT_EXCEEDED";
+
+  it("rejects a user's events past their class bucket, and only that class", async () => {
+    const socket = await editor("user_1");
+    const warnings = collect(socket, WS_EVENTS.RATE_LIMIT_WARNING);
+
+    const results = [];
+    for (let i = 0; i < 5; i++) results.push(await edit(socket));
+
+    assert.deepEqual(results.map(limited), [false, false, false, true, true]);
+    assert.equal(results[3].error.eventClass, "edits");
+    assert.equal(results[3].error.scope, "user");
+
+    // Two rejections: a warning
+    assert.deepEqual(
+      warnings.map(({ penalty, eventClass, strikes }) => ({ penalty, eventClass, strikes })),
+      [{ penalty: "warn", eventClass: "edits", strikes: 2 }]
+    );
+
+    // Other classes have their own buckets
+    const pong = await socket.emitWithAck(WS_EVENTS.PONG);
+    assert.equal(pong.ok, true);
+
+    socket.disconnect();
+  });
+
+  it("slows down, then disconnects, a client that keeps going", async () => {
+    const socket = await editor("user_2");
+    const slowDown = once(socket, WS_EVENTS.RATE_LIMIT_WARNING, {
+      filter: ({ penalty }) => penalty === "slow_down",
+    });
+
+    for (let i = 0; i < 7; i++) await edit(socket); // 3 allowed, 4 rejected
+    assert.equal((await slowDown).strikes, 4);
+
+    // Allowed events now wait slowDownMs
+    const started = Date.now();
+    assert.equal((await socket.emitWithAck(WS_EVENTS.PONG)).ok, true);
+    assert.ok(Date.now() - started >= server.config.rateLimit.penalties.slowDownMs);
+
+    const error = once(socket, WS_EVENTS.ERROR);
+    const disconnected = once(socket, "disconnect");
+    socket.emit(DIARY_COLLAB_WS_EVENTS.ENTRY_EDIT, {});
+    socket.emit(DIARY_COLLAB_WS_EVENTS.ENTRY_EDIT, {});
+
+    assert.equal((await error).code, "RATE_LIMIT_EXCEEDED");
+    assert.equal(await disconnected, "io server disconnect");
+  });
+
+  it("shares the per-IP bucket between users behind one address", async () => {
+    const sockets = await Promise.all(["user_3", "user_4"].map((id) => server.connect(id)));
+    const request = (socket) =>
+      socket.emitWithAck(DIARY_SOCIAL_WS_EVENTS.FRIEND_REQUEST_SENT, { userId: "user_5" });
+
+    // Each user is far below their own social bucket
+    const results = [];
+    for (const socket of [...sockets, ...sockets]) results.push(await request(socket));
+
+    assert.deepEqual(results.map(limited), [false, false, false, true]);
+    assert.equal(results[3].error.scope, "ip");
+
+    sockets.forEach((socket) => socket.disconnect());
+  });
+});
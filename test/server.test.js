@@ -0,0 +1,206 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, once, collect, eventually } = require("./harness");
+const DIARY_WS_EVENTS = require("../src/constants/diaryWsEvents");
+const DIARY_COLLAB_WS_EVENTS = require("../src/constants/diaryCollabWsEvents");
+const documentCache = require("../src/cache/documentCache");
+
+const ENTRY = "entry_123"; // user_1's; user_2 may edit
+
+describe("servers side by side", () => {
+  let lasting;
+  let closing;
+  let closed = null;
+
+  before(async () => {
+    lasting = await startServer({
+      presence: { heartbeatInterval: 5000, staleTimeout: 5000, staleCheckInterval: 100 },
+    });
+    // Same database and store; reaps silent sockets and limits edits sooner
+    closing = await startServer(
+      {
+        presence: { heartbeatInterval: 100, staleTimeout: 400, staleCheckInterval: 100 },
+        rateLimit: { user: { edits: { capacity: 1, refillPerSec: 0.1 } } },
+      },
+      { pool: lasting.pool }
+    );
+  });
+
+  after(async () => {
+    await (closed || closing.close());
+    await lasting.close();
+  });
+
+  it("applies each server's own presence and rate limit settings", async () => {
+    const silentHere = await closing.connect("user_1", { answerHeartbeats: false });
+    const silentThere = await lasting.connect("user_2", { answerHeartbeats: false });
+
+    assert.equal(await once(silentHere, "disconnect", { timeout: 3000 }), "io server disconnect");
+    assert.equal(silentThere.connected, true);
+
+    // Allowed edits fail validation; limited ones never get that far
+    const codes = async (server, userId) => {
+      const socket = await server.connect(userId);
+      const results = [];
+      for (let i = 0; i < 2; i++) {
+        results.push(await socket.emitWithAck(DIARY_COLLAB_WS_EVENTS.ENTRY_EDIT, {}));
+      }
+      socket.disconnect();
+      return results.map((res) => res.error.code);
+    };
+    assert.deepEqual(await codes(closing, "user_3"), ["VALIDATION_ERROR", "RATE_LIMIT_EXCEEDED"]);
+    assert.deepEqual(await codes(lasting, "user_4"), ["VALIDATION_ERROR", "VALIDATION_ERROR"]);
+
+    silentThere.disconnect();
+  });
+
+  it("keeps serving after the server beside it closes", async () => {
+    const owner = await lasting.connect("user_1");
+    await owner.emitWithAck(DIARY_COLLAB_WS_EVENTS.JOIN_ENTRY_ROOM, { entryId: ENTRY });
+    const saves = collect(owner, DIARY_WS_EVENTS.SAVE_SUCCESS);
+
+    closed = closing.close();
+    await closed;
+    assert.equal(owner.connected, true);
+
+    // New connections, edits and saves still go through the shared store and pool
+    const editor = await lasting.connect("user_2");
+    await editor.emitWithAck(DIARY_COLLAB_WS_EVENTS.JOIN_ENTRY_ROOM, { entryId: ENTRY });
+    const state = await editor.emitWithAck(DIARY_COLLAB_WS_EVENTS.STATE_REQUEST, {
+      entryId: ENTRY,
+    });
+    const edit = await editor.emitWithAck(DIARY_COLLAB_WS_EVENTS.ENTRY_EDIT, {
+      entryId: ENTRY,
+      operation: { type: "insert", position: 0, text: "L" },
+      baseRevision: state.data.revision,
+      timestamp: Date.now(),
+    });
+    assert.equal(edit.ok, true, JSON.stringify(edit.error));
+
+    await eventually(() => saves.some((save) => save.revision === edit.data.revision));
+    const [saved] = await lasting.query(`SELECT content FROM diary_entries WHERE id = $1`, [ENTRY]);
+    assert.ok(saved.content.startsWith("L"));
+
+    owner.disconnect();
+    editor.disconnect();
+  });
+});
+
+describe("instances editing the same entry", () => {
+  let first;
+  let second;
+
+  before(async () => {
+    first = await startServer();
+    second = await startServer({}, { pool: first.pool });
+  });
+
+  after(async () => {
+    await second.close();
+    await first.close();
+  });
+
+  const join = async (server, userId) => {
+    const socket = await server.connect(userId);
+    await socket.emitWithAck(DIARY_COLLAB_WS_EVENTS.JOIN_ENTRY_ROOM, { entryId: ENTRY });
+    return socket;
+  };
+
+  const insert = (socket, text, baseRevision) =>
+    socket.emitWithAck(DIARY_COLLAB_WS_EVENTS.ENTRY_EDIT, {
+      entryId: ENTRY,
+      operation: { type: "insert", position: 0, text },
+      baseRevision,
+      timestamp: Date.now(),
+    });
+
+  it("sequences an entry on one instance at a time, losing no edits", async () => {
+    const owner = await join(first, "user_1");
+    const editor = await join(second, "user_2");
+    const state = await owner.emitWithAck(DIARY_COLLAB_WS_EVENTS.STATE_REQUEST, {
+      entryId: ENTRY,
+    });
+    const base = state.data.revision;
+
+    const mine = await insert(owner, "A", base);
+    assert.equal(mine.ok, true, JSON.stringify(mine.error));
+    assert.equal(mine.data.revision, base + 1);
+
+    // Sequenced on its own, the second instance would hand out base + 2 twice
+    const refused = await insert(editor, "B", base + 1);
+    assert.equal(refused.ok, false);
+    assert.equal(refused.error.code, "CONFLICT");
+
+    // Once the first instance has saved and let go, the second takes over
+    owner.disconnect();
+    assert.equal(await eventually(() => !documentCache.has(ENTRY)), true);
+
+    const theirs = await insert(editor, "B", base + 1);
+    assert.equal(theirs.ok, true, JSON.stringify(theirs.error));
+    assert.equal(theirs.data.revision, base + 2);
+
+    const saved = await eventually(async () => {
+      const [row] = await first.query(
+        `SELECT content, revision FROM diary_entries WHERE id = $1`,
+        [ENTRY]
+      );
+      return row.revision === base + 2 && row;
+    });
+    assert.ok(saved.content.startsWith("BA"));
+    const revisions = await first.query(
+      `SELECT revision FROM entry_revisions WHERE entry_id = $1 AND revision > $2 ORDER BY revision`,
+      [ENTRY, base]
+    );
+    assert.deepEqual(
+      revisions.map((row) => row.revision),
+      [base + 1, base + 2]
+    );
+
+    editor.disconnect();
+  });
+});
+
+describe("servers on different databases", () => {
+  let first;
+  let second;
+
+  before(async () => {
+    first = await startServer();
+    second = await startServer();
+  });
+
+  after(async () => {
+    await first.close();
+    await second.close();
+  });
+
+  it("keeps each server's queries in its own database", async () => {
+    const owner = await first.connect("user_1");
+    const created = await owner.emitWithAck(DIARY_WS_EVENTS.ENTRY_CREATE, {
+      title: "Only here",
+      content: "First database",
+    });
+    assert.equal(created.ok, true, JSON.stringify(created.error));
+
+    const entries = (server) =>
+      server.query(`SELECT id FROM diary_entries WHERE id = $1`, [created.data.entryId]);
+    assert.equal((await entries(first)).length, 1);
+    assert.equal((await entries(second)).length, 0);
+
+    // Connecting and disconnecting (outside any event) write to the second one only
+    const connections = (server) =>
+      server.query(`SELECT online FROM ws_connections WHERE user_id = $1`, ["user_4"]);
+    const visitor = await second.connect("user_4");
+    assert.deepEqual(await connections(second), [{ online: true }]);
+
+    visitor.disconnect();
+    const offline = await eventually(async () => {
+      const [row] = await connections(second);
+      return !row.online;
+    });
+    assert.equal(offline, true);
+    assert.deepEqual(await connections(first), []);
+
+    owner.disconnect();
+  });
+});